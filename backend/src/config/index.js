@@ -11,11 +11,14 @@ require('dotenv').config({ path: path.resolve(__dirname, '../../.env') });
 // Resolve paths relative to the backend directory
 const BASE_DIR = path.resolve(__dirname, '../..');
 const OUTPUT_DIR = process.env.OUTPUT_DIR || path.join(require('os').homedir(), 'converter_x_output');
+const UPLOAD_DIR = path.join(require('os').tmpdir(), 'converter_x_uploads');
 const LOG_DIR = path.join(BASE_DIR, 'logs');
 const LOG_FILE_PATH = process.env.LOG_FILE_PATH || path.join(LOG_DIR, 'audit.log');
+const DATA_DIR = path.resolve(BASE_DIR, process.env.DATA_DIR || 'data');
+const SCHEMA_DIR = path.resolve(BASE_DIR, process.env.SCHEMA_DIR || 'schemas');
 
 // Create necessary directories
-[OUTPUT_DIR, LOG_DIR].forEach(dir => {
+[OUTPUT_DIR, LOG_DIR, DATA_DIR].forEach(dir => {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
   }
@@ -25,8 +28,11 @@ const config = {
   // Base paths
   BASE_DIR,
   OUTPUT_DIR,
+  UPLOAD_DIR,
   LOG_DIR,
   LOG_FILE_PATH,
+  DATA_DIR,
+  SCHEMA_DIR,
 
   // API Settings
   API_V1_PREFIX: '/api/v1',
@@ -44,12 +50,38 @@ const config = {
   // Session
   SESSION_TIMEOUT_MINUTES: parseInt(process.env.SESSION_TIMEOUT_MINUTES, 10) || 5,
 
+  // Authentication
+  // When enabled, API routes require a bearer token from /auth/login
+  AUTH_ENABLED: process.env.AUTH_ENABLED?.toLowerCase() === 'true',
+  // Where accounts are kept: "file" (users.json) or "sqlite" (users.db)
+  USER_STORE: (process.env.USER_STORE || 'file').toLowerCase(),
+  // Converted outputs wait for another user's approval before download
+  APPROVAL_REQUIRED: process.env.APPROVAL_REQUIRED?.toLowerCase() === 'true',
+
   // CORS
   ALLOWED_ORIGINS: (process.env.ALLOWED_ORIGINS || 'http://localhost:3000').split(','),
 
   // File Upload
   MAX_UPLOAD_SIZE_MB: parseInt(process.env.MAX_UPLOAD_SIZE_MB, 10) || 10,
-  ALLOWED_EXTENSIONS: ['.xls', '.xlsx'],
+  MAX_BATCH_FILES: parseInt(process.env.MAX_BATCH_FILES, 10) || 50,
+  ALLOWED_EXTENSIONS: ['.xls', '.xlsx', '.ods', '.csv', '.tsv'],
+
+  // Conversion
+  STREAM_THRESHOLD_MB: parseFloat(process.env.STREAM_THRESHOLD_MB) || 2,
+
+  // Conversion Jobs
+  JOB_WORKERS: parseInt(process.env.JOB_WORKERS, 10) || 2,
+  JOB_RETENTION_MINUTES: parseInt(process.env.JOB_RETENTION_MINUTES, 10) || 60,
+
+  // Conversion History: outputs can be downloaded again until they expire
+  OUTPUT_RETENTION_HOURS: parseFloat(process.env.OUTPUT_RETENTION_HOURS) || 24,
+  PURGE_INTERVAL_MINUTES: parseInt(process.env.PURGE_INTERVAL_MINUTES, 10) || 15,
+  // Records older than this move to the archive once they have no output
+  CONVERSION_HISTORY_DAYS: parseFloat(process.env.CONVERSION_HISTORY_DAYS) || 30,
+
+  // Orphaned File Cleanup: uploads and output files nothing refers to
+  ORPHAN_FILE_TTL_HOURS: parseFloat(process.env.ORPHAN_FILE_TTL_HOURS) || 24,
+  SWEEP_INTERVAL_MINUTES: parseInt(process.env.SWEEP_INTERVAL_MINUTES, 10) || 60,
 
   // Rate Limiting
   RATE_LIMIT_CALLS: parseInt(process.env.RATE_LIMIT_CALLS, 10) || 100,
@@ -59,7 +91,12 @@ const config = {
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
 
   // XML Settings
-  XML_NAMESPACE: 'http://www.example.com/xml/converter',
+  // Default envelope of generated documents; requests can override each part
+  XML_ROOT_ELEMENT: process.env.XML_ROOT_ELEMENT || 'CALLREPORT',
+  XML_BODY_ELEMENT: process.env.XML_BODY_ELEMENT || 'BODY',
+  XML_ROW_ELEMENT: process.env.XML_ROW_ELEMENT || 'CALLREPORT_DATA',
+  // Default namespace written on the root element; none when empty
+  XML_NAMESPACE: process.env.XML_NAMESPACE || '',
   XML_SCHEMA_VERSION: '1.0',
 
   // Error Display
@@ -80,6 +117,13 @@ const config = {
     return path.join(this.OUTPUT_DIR, filename);
   },
 
+  /**
+   * Get the full path for a persistent data file
+   */
+  getDataPath(filename) {
+    return path.join(this.DATA_DIR, filename);
+  },
+
   /**
    * Get all settings as an object
    */
@@ -98,6 +142,16 @@ const config = {
   }
 };
 
+// Tokens cannot be signed or checked without a secret
+if (config.AUTH_ENABLED && !config.SECRET_KEY) {
+  throw new Error('AUTH_ENABLED requires SECRET_KEY to be set');
+}
+
+// Four-eyes review needs to know who converted and who approves
+if (config.APPROVAL_REQUIRED && !config.AUTH_ENABLED) {
+  throw new Error('APPROVAL_REQUIRED requires AUTH_ENABLED');
+}
+
 // Validate required environment variables in production
 if (process.env.NODE_ENV === 'production') {
   if (!config.SECRET_KEY) {
@@ -12,7 +12,19 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const config = require('./config');
 const { securityMiddleware } = require('./middleware/security');
+const { authenticate, getApiKeyRecord } = require('./middleware/auth');
+const { conversionStore } = require('./services/conversions');
+const { fileSweeper } = require('./services/sweeper');
+const authRoutes = require('./routes/auth');
 const converterRoutes = require('./routes/converter');
+const profileRoutes = require('./routes/profiles');
+const templateRoutes = require('./routes/templates');
+const userRoutes = require('./routes/users');
+const settingsRoutes = require('./routes/settings');
+const auditRoutes = require('./routes/audit');
+const apiKeyRoutes = require('./routes/apiKeys');
+const reviewRoutes = require('./routes/reviews');
+const conversionRoutes = require('./routes/conversions');
 const { auditLogger, logger } = require('./utils/logger');
 
 // Create Express app
@@ -43,7 +55,9 @@ app.use(cors({
   origin: config.ALLOWED_ORIGINS,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+  // Lets the web frontend name files it downloads with fetch
+  exposedHeaders: ['Content-Disposition']
 }));
 
 // Rate limiting
@@ -52,7 +66,9 @@ const limiter = rateLimit({
   max: config.RATE_LIMIT_CALLS,
   message: { detail: 'Too many requests' },
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  // API keys have rate limits of their own
+  skip: (req) => Boolean(getApiKeyRecord(req))
 });
 
 app.use(limiter);
@@ -64,8 +80,20 @@ app.use(express.urlencoded({ extended: true }));
 // Custom security middleware
 app.use(securityMiddleware);
 
+// Authentication routes, then every other API route requires a user
+app.use(`${config.API_V1_PREFIX}/auth`, authRoutes);
+app.use(config.API_V1_PREFIX, authenticate);
+
 // API routes
 app.use(config.API_V1_PREFIX, converterRoutes);
+app.use(`${config.API_V1_PREFIX}/profiles`, profileRoutes);
+app.use(`${config.API_V1_PREFIX}/templates`, templateRoutes);
+app.use(`${config.API_V1_PREFIX}/users`, userRoutes);
+app.use(`${config.API_V1_PREFIX}/settings`, settingsRoutes);
+app.use(`${config.API_V1_PREFIX}/audit`, auditRoutes);
+app.use(`${config.API_V1_PREFIX}/api-keys`, apiKeyRoutes);
+app.use(`${config.API_V1_PREFIX}/reviews`, reviewRoutes);
+app.use(`${config.API_V1_PREFIX}/conversions`, conversionRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -122,6 +150,8 @@ const server = app.listen(config.PORT, config.HOST, () => {
     {
       version: config.XML_SCHEMA_VERSION,
       debug_mode: config.DEBUG,
+      auth_enabled: config.AUTH_ENABLED,
+      approval_required: config.APPROVAL_REQUIRED,
       host: config.HOST,
       port: config.PORT
     }
@@ -129,6 +159,11 @@ const server = app.listen(config.PORT, config.HOST, () => {
 
   logger.info(`Server running on http://${config.HOST}:${config.PORT}`);
   logger.info(`API available at http://${config.HOST}:${config.PORT}${config.API_V1_PREFIX}`);
+
+  // Delete conversion outputs past their retention period, and files
+  // left behind by abandoned or interrupted conversions
+  conversionStore.startPurge();
+  fileSweeper.start();
 });
 
 // Graceful shutdown
@@ -141,6 +176,8 @@ const gracefulShutdown = () => {
   );
   
   logger.info('Shutting down gracefully...');
+  conversionStore.stopPurge();
+  fileSweeper.stop();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
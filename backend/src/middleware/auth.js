@@ -0,0 +1,211 @@
+/**
+ * Authentication Middleware
+ *
+ * Sets req.user from the request's bearer token or API key and checks
+ * what it may do: the permissions of a user's roles, or the routes of a
+ * key. With authentication disabled, requests without an API key run as
+ * the "system" user, which holds every role.
+ */
+
+const config = require('../config');
+const { auditLogger } = require('../utils/logger');
+const { AuthError, getCurrentUser } = require('../utils/auth');
+const { userService } = require('../services/users');
+const { ROLES, hasPermission, canReadOwnedBy } = require('../services/roles');
+const { apiKeyStore } = require('../services/apiKeys');
+const { getClientIP } = require('./security');
+
+// Who requests run as when authentication is disabled
+const SYSTEM_USER = { id: 'system', username: 'system', roles: ROLES };
+
+// API paths open without a token, such as health checks
+const PUBLIC_PATHS = ['/health'];
+
+/**
+ * Get the bearer token of a request, or null
+ */
+function getBearerToken(req) {
+  const authHeader = req.headers['authorization'] || '';
+  return authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() || null : null;
+}
+
+/**
+ * Get the API key of a request, or null
+ */
+function getApiKey(req) {
+  const key = req.headers['x-api-key'];
+  return typeof key === 'string' && key.trim() ? key.trim() : null;
+}
+
+/**
+ * The active key record of a request's API key, or null. It is looked up
+ * once per request: the rate limiter needs it before authentication does.
+ */
+function getApiKeyRecord(req) {
+  if (req.apiKeyRecord === undefined) {
+    req.apiKeyRecord = apiKeyStore.findActive(getApiKey(req));
+  }
+  return req.apiKeyRecord;
+}
+
+/**
+ * Reject a request that did not authenticate
+ */
+function rejectRequest(req, res, reason) {
+  auditLogger.logSecurityEvent('anonymous', 'authentication_failed', getClientIP(req), 'error', {
+    error_code: 401,
+    error_detail: reason,
+    method: req.method,
+    path: req.path
+  });
+  res.set('WWW-Authenticate', 'Bearer');
+  return res.status(401).json({ detail: 'Not authenticated' });
+}
+
+/**
+ * Authenticate a request by its API key and count it against the key's
+ * rate limit. Key requests are audit logged as "api_key:<id>".
+ */
+function authenticateApiKey(req, res, next) {
+  const record = getApiKeyRecord(req);
+  if (!record) {
+    return rejectRequest(req, res, 'Invalid or revoked API key');
+  }
+
+  const userId = `api_key:${record.id}`;
+  const usage = apiKeyStore.consume(record);
+  res.set({
+    'RateLimit-Limit': String(usage.limit),
+    'RateLimit-Remaining': String(usage.remaining),
+    'RateLimit-Reset': String(Math.ceil((usage.resetAt - Date.now()) / 1000))
+  });
+  if (!usage.allowed) {
+    auditLogger.logSecurityEvent(userId, 'rate_limit_exceeded', getClientIP(req), 'error', {
+      error_code: 429,
+      api_key: record.name,
+      method: req.method,
+      path: req.path
+    });
+    res.set('Retry-After', res.get('RateLimit-Reset'));
+    return res.status(429).json({ detail: 'Too many requests' });
+  }
+
+  apiKeyStore.touch(record);
+  req.user = { id: userId, username: record.name, roles: [], apiKey: record };
+  next();
+}
+
+/**
+ * Authenticate a request by its bearer token
+ */
+function authenticateToken(req, res, next) {
+  const token = getBearerToken(req);
+  if (!token) {
+    return rejectRequest(req, res, 'Missing bearer token');
+  }
+
+  try {
+    const { user_id: userId } = getCurrentUser(token);
+    const user = userService.get(userId);
+    if (!user) {
+      return rejectRequest(req, res, 'User no longer exists');
+    }
+    req.user = { id: user.id, username: user.username, roles: user.roles };
+    next();
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return rejectRequest(req, res, error.message);
+    }
+    next(error);
+  }
+}
+
+/**
+ * Authentication middleware function
+ */
+function authenticate(req, res, next) {
+  if (getApiKey(req)) {
+    return authenticateApiKey(req, res, next);
+  }
+
+  if (!config.AUTH_ENABLED) {
+    req.user = SYSTEM_USER;
+    return next();
+  }
+
+  if (PUBLIC_PATHS.includes(req.path)) {
+    return next();
+  }
+
+  authenticateToken(req, res, next);
+}
+
+/**
+ * The route a request matched, as "<METHOD> <path under /api/v1>", or
+ * null in middleware that applies to a whole router
+ */
+function getRouteName(req) {
+  if (!req.route) {
+    return null;
+  }
+  const routePath = req.route.path === '/' ? '' : req.route.path;
+  return `${req.method} ${req.baseUrl.slice(config.API_V1_PREFIX.length)}${routePath}`;
+}
+
+/**
+ * Middleware that lets a request through only if its user holds the
+ * permission, or its API key was given the route; denials are audit
+ * logged and answered with 403
+ */
+function authorize(permission) {
+  return (req, res, next) => {
+    const apiKey = req.user?.apiKey;
+    const route = getRouteName(req);
+    const allowed = apiKey
+      ? route !== null && apiKey.routes.includes(route)
+      : hasPermission(req.user, permission);
+    if (allowed) {
+      return next();
+    }
+
+    auditLogger.logSecurityEvent(req.user?.id || 'anonymous', 'access_denied', getClientIP(req), 'error', {
+      error_code: 403,
+      permission,
+      ...(apiKey ? { api_key: apiKey.name, route } : { roles: req.user?.roles || [] }),
+      method: req.method,
+      path: req.originalUrl.split('?')[0]
+    });
+    return res.status(403).json({ detail: 'You do not have permission to perform this action' });
+  };
+}
+
+/**
+ * Whether the request's user may read what ownerId submitted, see
+ * canReadOwnedBy. Denials are audit logged and answered with 403.
+ */
+function authorizeOwner(req, res, ownerId, details = {}) {
+  if (canReadOwnedBy(req.user, ownerId)) {
+    return true;
+  }
+
+  auditLogger.logSecurityEvent(req.user?.id || 'anonymous', 'access_denied', getClientIP(req), 'error', {
+    error_code: 403,
+    permission: 'conversion:read_all',
+    ...details,
+    method: req.method,
+    path: req.originalUrl.split('?')[0]
+  });
+  res.status(403).json({ detail: 'You do not have permission to perform this action' });
+  return false;
+}
+
+module.exports = {
+  authenticate,
+  authenticateToken,
+  authorize,
+  authorizeOwner,
+  getBearerToken,
+  getApiKey,
+  getApiKeyRecord,
+  SYSTEM_USER
+};
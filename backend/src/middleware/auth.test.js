@@ -0,0 +1,120 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "auth-test-"));
+process.env.DATA_DIR = tempDir;
+process.env.OUTPUT_DIR = path.join(tempDir, "output");
+process.env.SCHEMA_DIR = path.join(tempDir, "schemas");
+process.env.LOG_FILE_PATH = path.join(tempDir, "audit.log");
+
+const express = require("express");
+const XLSX = require("xlsx");
+const { authenticate } = require("./auth");
+const converterRoutes = require("../routes/converter");
+const { apiKeyStore } = require("../services/apiKeys");
+const { profileStore } = require("../services/profiles");
+
+let server;
+let baseUrl;
+let workbook;
+
+test.before(async () => {
+	const app = express();
+	app.use(express.json());
+	app.use("/api/v1", authenticate);
+	app.use("/api/v1", converterRoutes);
+	server = app.listen(0, "127.0.0.1");
+	await new Promise((resolve) => server.once("listening", resolve));
+	baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+
+	const book = XLSX.utils.book_new();
+	XLSX.utils.book_append_sheet(
+		book,
+		XLSX.utils.aoa_to_sheet([["ID"], [1], [2]]),
+		"Data"
+	);
+	workbook = XLSX.write(book, { type: "buffer", bookType: "xlsx" });
+});
+
+test.after(() => {
+	server.close();
+	fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const newProfile = (name) =>
+	profileStore.create({ name, columns: [{ column: "A", tag: "LOAN_ID" }] });
+
+const newKey = (definition) =>
+	apiKeyStore.create({ name: "etl", ...definition }, "admin").key;
+
+/**
+ * Dry-run /convert of the test workbook with an API key
+ */
+function convert(key, requestData = {}) {
+	const form = new FormData();
+	form.append("file", new Blob([workbook]), "loans.xlsx");
+	form.append(
+		"request_data",
+		JSON.stringify({ ...requestData, dry_run: true })
+	);
+	return fetch(`${baseUrl}/convert`, {
+		method: "POST",
+		headers: { "X-API-Key": key },
+		body: form,
+	});
+}
+
+test("a key can call only the routes it was given", async () => {
+	const key = newKey({ routes: ["POST /convert"] });
+
+	assert.equal((await convert(key)).status, 200);
+	const denied = await fetch(`${baseUrl}/schemas`, {
+		headers: { "X-API-Key": key },
+	});
+	assert.equal(denied.status, 403);
+	const unknown = await fetch(`${baseUrl}/schemas`, {
+		headers: { "X-API-Key": "cxk_unknown" },
+	});
+	assert.equal(unknown.status, 401);
+});
+
+test("a profile-scoped key must convert every sheet with one of its profiles", async () => {
+	const allowed = newProfile("allowed");
+	const other = newProfile("other");
+	const key = newKey({ routes: ["POST /convert"], profiles: [allowed.id] });
+
+	const statusOf = async (requestData) =>
+		(await convert(key, requestData)).status;
+
+	assert.equal(await statusOf({ profile_id: allowed.id }), 200);
+	assert.equal(await statusOf({}), 403);
+	assert.equal(await statusOf({ profile_id: other.id }), 403);
+
+	// Sheets use their own profile, or else the request's
+	assert.equal(
+		await statusOf({ sheets: [{ name: "Data", profile_id: allowed.id }] }),
+		200
+	);
+	assert.equal(
+		await statusOf({ profile_id: allowed.id, sheets: ["Data"] }),
+		200
+	);
+	assert.equal(
+		await statusOf({
+			profile_id: allowed.id,
+			sheets: [{ name: "Data", profile_id: other.id }],
+		}),
+		403
+	);
+	assert.equal(await statusOf({ sheets: [{ name: "Data" }] }), 403);
+	assert.equal(await statusOf({ sheets: "*" }), 403);
+
+	const response = await convert(key, { sheets: [{ name: "Data" }] });
+	assert.match(
+		(await response.json()).detail,
+		/must convert every sheet with one of its profiles/
+	);
+});
@@ -0,0 +1,78 @@
+/**
+ * API Key Routes
+ *
+ * Create, list and revoke the API keys of machine clients
+ */
+
+const express = require("express");
+const { apiKeyStore, ApiKeyError } = require("../services/apiKeys");
+const { authorize } = require("../middleware/auth");
+const { auditLogger } = require("../utils/logger");
+
+const router = express.Router();
+
+router.use(authorize("api_key:manage"));
+
+/**
+ * List API keys, revoked ones included
+ * GET /api/v1/api-keys
+ */
+router.get("/", (req, res) => {
+	res.json({ api_keys: apiKeyStore.list() });
+});
+
+/**
+ * Get an API key
+ * GET /api/v1/api-keys/:id
+ */
+router.get("/:id", (req, res) => {
+	const record = apiKeyStore.get(req.params.id);
+	if (!record) {
+		return res.status(404).json({ detail: "API key not found" });
+	}
+	res.json(record);
+});
+
+/**
+ * Create an API key. The response is the only time the key is shown.
+ * POST /api/v1/api-keys
+ */
+router.post("/", (req, res) => {
+	try {
+		const { record, key } = apiKeyStore.create(req.body, req.user.id);
+		auditLogger.logConfigurationEvent(
+			req.user.id,
+			"api_key_create",
+			"success",
+			{
+				api_key_id: record.id,
+				name: record.name,
+				routes: record.routes,
+				profiles: record.profiles,
+				rate_limit: record.rate_limit,
+			}
+		);
+		res.status(201).json({ ...record, key });
+	} catch (error) {
+		if (!(error instanceof ApiKeyError)) throw error;
+		res.status(400).json({ detail: error.message });
+	}
+});
+
+/**
+ * Revoke an API key
+ * DELETE /api/v1/api-keys/:id
+ */
+router.delete("/:id", (req, res) => {
+	const record = apiKeyStore.revoke(req.params.id, req.user.id);
+	if (!record) {
+		return res.status(404).json({ detail: "API key not found" });
+	}
+	auditLogger.logConfigurationEvent(req.user.id, "api_key_revoke", "success", {
+		api_key_id: record.id,
+		name: record.name,
+	});
+	res.json(record);
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+/**
+ * Audit Routes
+ *
+ * Read-only access to the audit log
+ */
+
+const express = require("express");
+const {
+	readAuditLog,
+	FILTERS,
+	DEFAULT_LIMIT,
+	MAX_LIMIT,
+} = require("../services/auditLog");
+const { authorize } = require("../middleware/auth");
+const { getClientIP } = require("../middleware/security");
+const { auditLogger } = require("../utils/logger");
+
+const router = express.Router();
+
+router.use(authorize("audit:read"));
+
+/**
+ * List the newest audit records, newest first. Query parameters:
+ * limit (default 100, at most 1000), since (ISO timestamp), event_type,
+ * user_id, action and status.
+ * GET /api/v1/audit/logs
+ */
+router.get("/logs", async (req, res, next) => {
+	const limit =
+		req.query.limit !== undefined
+			? parseInt(req.query.limit, 10)
+			: DEFAULT_LIMIT;
+	if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+		return res
+			.status(400)
+			.json({ detail: `limit must be between 1 and ${MAX_LIMIT}` });
+	}
+	const since = req.query.since ? String(req.query.since) : null;
+	if (since && Number.isNaN(Date.parse(since))) {
+		return res.status(400).json({ detail: "since must be an ISO timestamp" });
+	}
+
+	const filters = {};
+	for (const key of FILTERS) {
+		if (typeof req.query[key] === "string") filters[key] = req.query[key];
+	}
+
+	try {
+		const records = await readAuditLog({
+			limit,
+			since: since && new Date(since).toISOString(),
+			...filters,
+		});
+		auditLogger.logSecurityEvent(
+			req.user.id,
+			"audit_log_read",
+			getClientIP(req),
+			"success",
+			{ filters, since, returned: records.length }
+		);
+		res.json({ records });
+	} catch (error) {
+		next(error);
+	}
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+/**
+ * Authentication Routes
+ *
+ * Login, token refresh and logout for API clients
+ */
+
+const express = require("express");
+const config = require("../config");
+const { userService } = require("../services/users");
+const { permissionsOf } = require("../services/roles");
+const { authenticateToken, getBearerToken } = require("../middleware/auth");
+const { getClientIP } = require("../middleware/security");
+const {
+	AuthError,
+	createAccessToken,
+	refreshToken,
+	revokeToken,
+} = require("../utils/auth");
+const { auditLogger } = require("../utils/logger");
+
+const router = express.Router();
+
+// The endpoints only exist while authentication is enabled
+router.use((req, res, next) => {
+	if (!config.AUTH_ENABLED) {
+		return res.status(404).json({ detail: "Authentication is not enabled" });
+	}
+	next();
+});
+
+/**
+ * An account with the permissions its roles grant, so clients can tell
+ * what it may do
+ */
+const accountResponse = (user) => ({
+	...user,
+	permissions: permissionsOf(user.roles),
+});
+
+/**
+ * Token response for an account
+ */
+const tokenResponse = (token, user) => ({
+	access_token: token,
+	token_type: "bearer",
+	expires_in: config.SESSION_TIMEOUT_MINUTES * 60,
+	user: accountResponse(user),
+});
+
+/**
+ * Exchange a username and password for an access token
+ * POST /api/v1/auth/login
+ */
+router.post("/login", (req, res) => {
+	const { username, password } = req.body || {};
+	const user = userService.authenticate(username, password);
+
+	if (!user) {
+		auditLogger.logAuthEvent(
+			typeof username === "string" ? username : "anonymous",
+			"login",
+			"error",
+			{ ip_address: getClientIP(req), error: "Invalid username or password" }
+		);
+		return res.status(401).json({ detail: "Invalid username or password" });
+	}
+
+	const token = createAccessToken({ sub: user.id });
+	auditLogger.logAuthEvent(user.id, "login", "success", {
+		username: user.username,
+		ip_address: getClientIP(req),
+	});
+	res.json(tokenResponse(token, user));
+});
+
+/**
+ * Exchange a valid access token for a new one; the old token stops working
+ * POST /api/v1/auth/refresh
+ */
+router.post("/refresh", authenticateToken, (req, res) => {
+	try {
+		const token = refreshToken(getBearerToken(req));
+		auditLogger.logAuthEvent(req.user.id, "token_refresh", "success", {
+			ip_address: getClientIP(req),
+		});
+		res.json(tokenResponse(token, userService.get(req.user.id)));
+	} catch (error) {
+		if (!(error instanceof AuthError)) throw error;
+		auditLogger.logAuthEvent(req.user.id, "token_refresh", "error", {
+			ip_address: getClientIP(req),
+			error: error.message,
+		});
+		res.status(401).json({ detail: "Not authenticated" });
+	}
+});
+
+/**
+ * Revoke the access token of the request
+ * POST /api/v1/auth/logout
+ */
+router.post("/logout", authenticateToken, (req, res) => {
+	revokeToken(getBearerToken(req));
+	auditLogger.logAuthEvent(req.user.id, "logout", "success", {
+		ip_address: getClientIP(req),
+	});
+	res.status(204).end();
+});
+
+/**
+ * Get the signed-in account and its permissions
+ * GET /api/v1/auth/me
+ */
+router.get("/me", authenticateToken, (req, res) => {
+	res.json(accountResponse(userService.get(req.user.id)));
+});
+
+module.exports = router;
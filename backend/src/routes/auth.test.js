@@ -0,0 +1,168 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "auth-routes-"));
+process.env.DATA_DIR = tempDir;
+process.env.OUTPUT_DIR = path.join(tempDir, "output");
+process.env.SCHEMA_DIR = path.join(tempDir, "schemas");
+process.env.LOG_FILE_PATH = path.join(tempDir, "audit.log");
+process.env.AUTH_ENABLED = "true";
+process.env.SECRET_KEY = "test-secret";
+
+const express = require("express");
+const XLSX = require("xlsx");
+const { authenticate } = require("../middleware/auth");
+const authRoutes = require("./auth");
+const converterRoutes = require("./converter");
+const settingsRoutes = require("./settings");
+const auditRoutes = require("./audit");
+const conversionRoutes = require("./conversions");
+const { userService } = require("../services/users");
+const { conversionStore } = require("../services/conversions");
+const config = require("../config");
+
+const PASSWORD = "secretpass";
+
+let server;
+let baseUrl;
+const tokens = {};
+
+/**
+ * Sign in, returns the login response body
+ */
+async function login(username) {
+	const response = await fetch(`${baseUrl}/auth/login`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify({ username, password: PASSWORD }),
+	});
+	assert.equal(response.status, 200);
+	return response.json();
+}
+
+test.before(async () => {
+	const app = express();
+	app.use(express.json());
+	app.use("/api/v1/auth", authRoutes);
+	app.use("/api/v1", authenticate);
+	app.use("/api/v1", converterRoutes);
+	app.use("/api/v1/settings", settingsRoutes);
+	app.use("/api/v1/audit", auditRoutes);
+	app.use("/api/v1/conversions", conversionRoutes);
+	server = app.listen(0, "127.0.0.1");
+	await new Promise((resolve) => server.once("listening", resolve));
+	baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+
+	for (const [username, roles] of Object.entries({
+		prep: ["preparer"],
+		prep2: ["preparer"],
+		rev: ["reviewer"],
+		adm: ["admin"],
+		aud: ["auditor"],
+	})) {
+		userService.create(username, PASSWORD, roles);
+		tokens[username] = (await login(username)).access_token;
+	}
+});
+
+test.after(() => {
+	server.close();
+	fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const statusOf = async (username, url, init = {}) =>
+	(
+		await fetch(`${baseUrl}${url}`, {
+			...init,
+			headers: { Authorization: `Bearer ${tokens[username]}` },
+		})
+	).status;
+
+test("sign-in and /auth/me return the account's permissions", async () => {
+	const { user } = await login("prep");
+	assert.deepEqual(user.roles, ["preparer"]);
+	assert.ok(user.permissions.includes("conversion:create"));
+	assert.ok(!user.permissions.includes("conversion:download"));
+	assert.equal(user.password_hash, undefined);
+
+	const response = await fetch(`${baseUrl}/auth/me`, {
+		headers: { Authorization: `Bearer ${tokens.rev}` },
+	});
+	const me = await response.json();
+	assert.equal(me.username, "rev");
+	assert.ok(me.permissions.includes("conversion:download"));
+});
+
+test("routes deny roles without their permission", async () => {
+	assert.equal(await statusOf("prep", "/settings"), 403);
+	assert.equal(await statusOf("rev", "/settings"), 403);
+	assert.equal(await statusOf("adm", "/settings"), 200);
+
+	assert.equal(await statusOf("prep", "/audit/logs"), 403);
+	assert.equal(await statusOf("aud", "/audit/logs"), 200);
+
+	assert.equal(await statusOf("prep", "/download/unknown"), 403);
+	assert.equal(await statusOf("adm", "/download/unknown"), 403);
+	assert.equal(await statusOf("rev", "/download/unknown"), 404);
+
+	const book = XLSX.utils.book_new();
+	XLSX.utils.book_append_sheet(
+		book,
+		XLSX.utils.aoa_to_sheet([["ID"], [1]]),
+		"Data"
+	);
+	const convertStatus = (username) => {
+		const form = new FormData();
+		form.append(
+			"file",
+			new Blob([XLSX.write(book, { type: "buffer", bookType: "xlsx" })]),
+			"loans.xlsx"
+		);
+		form.append("request_data", JSON.stringify({ dry_run: true }));
+		return statusOf(username, "/convert", { method: "POST", body: form });
+	};
+	assert.equal(await convertStatus("aud"), 403);
+	assert.equal(await convertStatus("prep"), 200);
+});
+
+test("conversions are read by their submitter, reviewers and admins", async () => {
+	const { user } = await login("prep");
+	conversionStore.recordFailure({
+		fileId: "prep-conversion",
+		fileName: "loans.xlsx",
+		outputFormat: "xml",
+		userId: user.id,
+		message: "Sheet not found",
+	});
+
+	for (const username of ["prep", "rev", "adm"]) {
+		assert.equal(await statusOf(username, "/conversions/prep-conversion"), 200);
+	}
+	assert.equal(await statusOf("prep2", "/conversions/prep-conversion"), 403);
+
+	const response = await fetch(`${baseUrl}/conversions`, {
+		headers: { Authorization: `Bearer ${tokens.prep2}` },
+	});
+	assert.deepEqual((await response.json()).conversions, []);
+});
+
+test("others get the same 403 for error reports that exist and that do not", async () => {
+	const { user } = await login("prep");
+	conversionStore.recordFailure({
+		fileId: "prep-invalid",
+		fileName: "loans.xlsx",
+		outputFormat: "xml",
+		userId: user.id,
+		message: "1 cell(s) failed validation",
+	});
+	fs.mkdirSync(config.OUTPUT_DIR, { recursive: true });
+	fs.writeFileSync(config.getOutputPath("prep-invalid_errors.xlsx"), "report");
+
+	assert.equal(await statusOf("prep2", "/error-reports/prep-invalid"), 403);
+	assert.equal(await statusOf("prep2", "/error-reports/unknown"), 403);
+	assert.equal(await statusOf("prep", "/error-reports/unknown"), 403);
+	assert.equal(await statusOf("prep", "/error-reports/prep-invalid"), 200);
+});
@@ -0,0 +1,79 @@
+/**
+ * Conversion History Routes
+ *
+ * What was converted, by whom and with what outcome
+ */
+
+const express = require("express");
+const {
+	conversionStore,
+	REVIEW_STATES,
+	STATUSES,
+} = require("../services/conversions");
+const { authorize, authorizeOwner } = require("../middleware/auth");
+const { canReadOwnedBy } = require("../services/roles");
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+const canRead = authorize("conversion:read");
+
+/**
+ * List conversions, newest first; previews are left out. Takes status,
+ * state (review state), user_id and limit query parameters. Users without
+ * conversion:read_all only see their own.
+ * GET /api/v1/conversions
+ */
+router.get("/", canRead, (req, res) => {
+	const { status, state } = req.query;
+	const userId =
+		typeof req.query.user_id === "string" ? req.query.user_id : null;
+
+	if (status !== undefined && !STATUSES.includes(status)) {
+		return res
+			.status(400)
+			.json({ detail: `status must be one of: ${STATUSES.join(", ")}` });
+	}
+	if (state !== undefined && !REVIEW_STATES.includes(state)) {
+		return res
+			.status(400)
+			.json({ detail: `state must be one of: ${REVIEW_STATES.join(", ")}` });
+	}
+
+	const limit =
+		req.query.limit !== undefined
+			? parseInt(req.query.limit, 10)
+			: DEFAULT_LIMIT;
+	if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+		return res
+			.status(400)
+			.json({ detail: `limit must be between 1 and ${MAX_LIMIT}` });
+	}
+
+	res.json({
+		conversions: conversionStore
+			.list({ status, state, userId })
+			.filter((record) => canReadOwnedBy(req.user, record.submitted_by))
+			.slice(0, limit)
+			.map(({ preview, ...record }) => record),
+	});
+});
+
+/**
+ * Get a conversion
+ * GET /api/v1/conversions/:fileId
+ */
+router.get("/:fileId", canRead, (req, res) => {
+	const record = conversionStore.get(req.params.fileId);
+	if (!record) {
+		return res.status(404).json({ detail: "Conversion not found" });
+	}
+	if (!authorizeOwner(req, res, record.submitted_by, { file_id: record.id })) {
+		return;
+	}
+	res.json(record);
+});
+
+module.exports = router;
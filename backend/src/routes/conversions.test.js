@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "conversions-routes-"));
+process.env.DATA_DIR = tempDir;
+process.env.OUTPUT_DIR = path.join(tempDir, "output");
+process.env.LOG_FILE_PATH = path.join(tempDir, "audit.log");
+
+const express = require("express");
+const { authenticate } = require("../middleware/auth");
+const conversionRoutes = require("./conversions");
+const { apiKeyStore } = require("../services/apiKeys");
+const { conversionStore } = require("../services/conversions");
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+	const app = express();
+	app.use("/api/v1", authenticate);
+	app.use("/api/v1/conversions", conversionRoutes);
+	server = app.listen(0, "127.0.0.1");
+	await new Promise((resolve) => server.once("listening", resolve));
+	baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+});
+
+test.after(() => {
+	server.close();
+	fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const get = (url, key) =>
+	fetch(`${baseUrl}${url}`, { headers: { "X-API-Key": key } });
+
+/**
+ * A failed conversion submitted by userId
+ */
+const recordFailure = (fileId, userId) =>
+	conversionStore.recordFailure({
+		fileId,
+		fileName: "loans.xlsx",
+		outputFormat: "xml",
+		userId,
+		message: "Sheet not found",
+	});
+
+test("a key given the history routes reads its own conversions only", async () => {
+	const { key, record } = apiKeyStore.create(
+		{
+			name: "history",
+			routes: ["GET /conversions", "GET /conversions/:fileId"],
+		},
+		"admin"
+	);
+	recordFailure("own", `api_key:${record.id}`);
+	recordFailure("other", "someone-else");
+
+	const list = await get("/conversions", key);
+	assert.equal(list.status, 200);
+	assert.deepEqual(
+		(await list.json()).conversions.map((conversion) => conversion.id),
+		["own"]
+	);
+	assert.equal((await get("/conversions/own", key)).status, 200);
+	assert.equal((await get("/conversions/other", key)).status, 403);
+});
+
+test("a key without the history routes is denied them", async () => {
+	const { key } = apiKeyStore.create(
+		{ name: "convert-only", routes: ["POST /convert"] },
+		"admin"
+	);
+	assert.equal((await get("/conversions", key)).status, 403);
+	assert.equal((await get("/conversions/own", key)).status, 403);
+});
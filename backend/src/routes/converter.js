@@ -1,7 +1,8 @@
 /**
  * Converter Routes
  *
- * API endpoints for file validation, conversion, and download
+ * API endpoints for file validation, conversion, conversion jobs, and
+ * download
  */
 
 const express = require("express");
@@ -10,7 +11,36 @@ const path = require("path");
 const fs = require("fs");
 const { v4: uuidv4 } = require("uuid");
 const config = require("../config");
-const { converter } = require("../services/converter");
+const {
+	converter,
+	DataValidationError,
+	ConversionInputError,
+	OUTPUT_FORMATS,
+	isValidXmlName,
+	parseEnvelope,
+} = require("../services/converter");
+const { schemaRegistry } = require("../services/schemaRegistry");
+const {
+	validateDelimitedOptions,
+	DelimitedTextError,
+} = require("../services/delimitedText");
+const { profileStore } = require("../services/profiles");
+const { templateStore } = require("../services/templates");
+const { validateControlTotals } = require("../services/controlTotals");
+const {
+	validatePlaceholders,
+	PlaceholderError,
+} = require("../services/placeholders");
+const { jobQueue } = require("../services/jobs");
+const { batchConverter } = require("../services/batch");
+const { settingsStore } = require("../services/settings");
+const { conversionStore } = require("../services/conversions");
+const {
+	xmlToExcelConverter,
+	XmlDocumentError,
+} = require("../services/xmlToExcel");
+const { authorize, authorizeOwner } = require("../middleware/auth");
+const { getClientIP } = require("../middleware/security");
 const { auditLogger, logger } = require("../utils/logger");
 const { encryption } = require("../utils/encryption");
 
@@ -20,11 +50,10 @@ const router = express.Router();
 const storage = multer.diskStorage({
 	destination: (req, file, cb) => {
 		// Use system temp directory for uploads
-		const tempDir = path.join(require("os").tmpdir(), "converter_x_uploads");
-		if (!fs.existsSync(tempDir)) {
-			fs.mkdirSync(tempDir, { recursive: true });
+		if (!fs.existsSync(config.UPLOAD_DIR)) {
+			fs.mkdirSync(config.UPLOAD_DIR, { recursive: true });
 		}
-		cb(null, tempDir);
+		cb(null, config.UPLOAD_DIR);
 	},
 	filename: (req, file, cb) => {
 		const fileId = uuidv4();
@@ -49,6 +78,49 @@ const fileFilter = (req, file, cb) => {
 	}
 };
 
+// Batch uploads skip files of the wrong type instead of failing the whole
+// request; the skipped names are kept on req.rejectedFiles for the manifest
+const batchFileFilter = (req, file, cb) => {
+	const ext = path.extname(file.originalname).toLowerCase();
+	if (config.ALLOWED_EXTENSIONS.includes(ext)) {
+		return cb(null, true);
+	}
+	req.rejectedFiles = req.rejectedFiles || [];
+	req.rejectedFiles.push({
+		originalname: file.originalname,
+		error: `Invalid file type. Only ${config.ALLOWED_EXTENSIONS.join(
+			", "
+		)} files are allowed`,
+	});
+	cb(null, false);
+};
+
+// Output types /download looks for, as stored under "<fileId>_output<ext>",
+// with the content type each is served as
+const DOWNLOAD_TYPES = {
+	".xml": "application/xml",
+	".json": "application/json",
+	".csv": "text/csv; charset=utf-8",
+	".zip": "application/zip",
+	".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+/**
+ * Where the annotated workbook of a conversion that failed validation is
+ * kept until it is downloaded
+ */
+const errorReportPath = (fileId) =>
+	config.getOutputPath(`${fileId}_errors.xlsx`);
+
+// Permission checks of the routes below
+const canConvert = authorize("conversion:create");
+const canFollowJobs = authorize("conversion:read");
+const canDownload = authorize("conversion:download");
+
+// Data rows returned per sheet by /inspect and by /convert dry runs
+const DEFAULT_PREVIEW_ROWS = 5;
+const MAX_PREVIEW_ROWS = 100;
+
 const upload = multer({
 	storage,
 	fileFilter,
@@ -57,6 +129,457 @@ const upload = multer({
 	},
 });
 
+// A single file upload by a user allowed to convert; the permission is
+// checked before the file is received
+const conversionUpload = [canConvert, upload.single("file")];
+
+const batchUpload = multer({
+	storage,
+	fileFilter: batchFileFilter,
+	limits: {
+		fileSize: config.MAX_UPLOAD_SIZE_MB * 1024 * 1024,
+		files: config.MAX_BATCH_FILES,
+	},
+});
+
+// XML uploads for the reverse (XML to Excel) conversion
+const xmlUpload = multer({
+	storage,
+	fileFilter: (req, file, cb) => {
+		if (path.extname(file.originalname).toLowerCase() === ".xml") {
+			cb(null, true);
+		} else {
+			cb(new Error("Invalid file type. Only .xml files are allowed"), false);
+		}
+	},
+	limits: {
+		fileSize: config.MAX_UPLOAD_SIZE_MB * 1024 * 1024,
+	},
+});
+
+/**
+ * Turn the request_data "sheets" option into converter sheet specs.
+ * Accepts "*" or a list of sheet names / { name, wrapper_element,
+ * row_element, profile_id } objects. Throws with a client-facing message.
+ */
+function resolveSheetSpecs(sheets) {
+	if (sheets === "*") {
+		return "*";
+	}
+	if (!Array.isArray(sheets) || sheets.length === 0) {
+		throw new Error('sheets must be "*" or a non-empty list of sheets');
+	}
+
+	return sheets.map((sheet) => {
+		if (typeof sheet === "string") {
+			return sheet;
+		}
+		if (!sheet || typeof sheet.name !== "string" || !sheet.name) {
+			throw new Error("Each sheet must have a name");
+		}
+		for (const key of ["wrapper_element", "row_element"]) {
+			if (sheet[key] !== undefined && !isValidXmlName(sheet[key])) {
+				throw new Error(`Invalid ${key} for sheet "${sheet.name}"`);
+			}
+		}
+
+		let profile = null;
+		if (sheet.profile_id) {
+			profile = profileStore.get(sheet.profile_id);
+			if (!profile) {
+				throw new Error(`Unknown profile: ${sheet.profile_id}`);
+			}
+		}
+
+		return {
+			name: sheet.name,
+			wrapperElement: sheet.wrapper_element || null,
+			rowElement: sheet.row_element || null,
+			profile,
+		};
+	});
+}
+
+/**
+ * Raised when a conversion request carries invalid options. The message
+ * is returned to the client with the status, 400 unless the request is
+ * not allowed.
+ */
+class RequestError extends Error {
+	constructor(message, status = 400) {
+		super(message);
+		this.name = "RequestError";
+		this.status = status;
+	}
+}
+
+/**
+ * Read the csv_options of a request ({ delimiter, encoding, quote }),
+ * given as an object or a JSON string. Throws a RequestError when invalid.
+ */
+function parseCsvOptions(value) {
+	if (value === undefined || value === null || value === "") {
+		return null;
+	}
+
+	let options = value;
+	if (typeof value === "string") {
+		try {
+			options = JSON.parse(value);
+		} catch (error) {
+			throw new RequestError("csv_options must be a JSON object");
+		}
+	}
+	const errors = validateDelimitedOptions(options);
+	if (errors.length > 0) {
+		throw new RequestError(`Invalid csv_options: ${errors.join("; ")}`);
+	}
+	return options;
+}
+
+/**
+ * Read the header fields and conversion options of a /convert, /jobs or
+ * /convert/batch request from request_data (or the equivalent plain form
+ * fields). Throws a RequestError for anything the client has to fix.
+ */
+function parseConversionRequest(req) {
+	const uploadName = req.file
+		? req.file.originalname
+		: `batch of ${(req.files || []).length} file(s)`;
+
+	// Parse request data for header fields
+	let headerFields = {};
+	const requestData = req.body.request_data;
+
+	// Debug: log to console.error so it shows in docker logs
+	console.error("=== BACKEND DEBUG ===");
+	console.error("Request body keys:", Object.keys(req.body));
+	console.error("header_fields value:", req.body.header_fields);
+	console.error("request_data value:", requestData);
+
+	// Debug: log what we received
+	logger.info(`Request body keys: ${Object.keys(req.body).join(", ")}`);
+	logger.info(`header_fields raw: ${req.body.header_fields}`);
+	logger.info(`request_data raw: ${requestData}`);
+
+	// Preferred: parse JSON from request_data containing header_fields
+	if (requestData) {
+		try {
+			const requestDict = JSON.parse(requestData);
+			const headerArray = requestDict.header_fields || [];
+			logger.info(
+				`Parsed header_fields from request_data: ${JSON.stringify(headerArray)}`
+			);
+			for (const field of headerArray) {
+				if (field.tagName && field.tagValue) {
+					const tagName = field.tagName.replace(/\s+/g, "_");
+					headerFields[tagName] = field.tagValue;
+				}
+			}
+		} catch (parseError) {
+			auditLogger.logConversionEvent(req.user.id, uploadName, "", 0, "error", {
+				error: `Invalid request data format: ${parseError.message}`,
+			});
+			throw new RequestError("Invalid request data format");
+		}
+	} else if (req.body.header_fields) {
+		// Fallback: frontend sent header_fields directly as a JSON string
+		try {
+			const headerArray = JSON.parse(req.body.header_fields);
+			logger.info(
+				`Parsed header_fields directly: ${JSON.stringify(headerArray)}`
+			);
+			for (const field of headerArray) {
+				if (field.tagName && field.tagValue) {
+					const tagName = String(field.tagName).replace(/\s+/g, "_");
+					headerFields[tagName] = field.tagValue;
+				}
+			}
+		} catch (parseError) {
+			auditLogger.logConversionEvent(req.user.id, uploadName, "", 0, "error", {
+				error: `Invalid header_fields format: ${parseError.message}`,
+			});
+			throw new RequestError("Invalid header_fields format");
+		}
+	}
+
+	logger.info(`Final headerFields object: ${JSON.stringify(headerFields)}`);
+	logger.info(`Header fields count: ${Object.keys(headerFields).length}`);
+
+	// Get encryption and sheet options from request
+	let encryptOutput = false;
+	let sheetName = null;
+	let reportType = null;
+	let profileId = null;
+	let sheets = null;
+	let stream = null;
+	let headerSheet = null;
+	let csvOptions = null;
+	let outputFormat = "xml";
+	let envelope = null;
+	let templateId = null;
+	let controlTotals = null;
+	let dryRun = false;
+	let previewRows;
+
+	if (requestData) {
+		try {
+			const requestDict = JSON.parse(requestData);
+			encryptOutput = requestDict.encrypt_output || false;
+			sheetName = requestDict.sheet_name || null;
+			reportType = requestDict.report_type || null;
+			profileId = requestDict.profile_id || null;
+			sheets = requestDict.sheets || null;
+			headerSheet = requestDict.header_sheet || null;
+			csvOptions = requestDict.csv_options || null;
+			outputFormat = requestDict.output_format || "xml";
+			envelope = requestDict.envelope || null;
+			templateId = requestDict.template_id || null;
+			controlTotals = requestDict.control_totals || null;
+			dryRun = requestDict.dry_run === true;
+			previewRows = requestDict.preview_rows;
+			if (typeof requestDict.stream === "boolean") {
+				stream = requestDict.stream;
+			}
+		} catch (e) {
+			// Ignore parse errors for these optional fields
+		}
+	} else {
+		// Fallback: accept fields directly if provided
+		if (typeof req.body.encrypt_output !== "undefined") {
+			const val = req.body.encrypt_output;
+			encryptOutput = val === true || val === "true";
+		}
+		if (typeof req.body.sheet_name === "string" && req.body.sheet_name.trim()) {
+			sheetName = req.body.sheet_name.trim();
+		}
+		if (
+			typeof req.body.report_type === "string" &&
+			req.body.report_type.trim()
+		) {
+			reportType = req.body.report_type.trim();
+		}
+		if (typeof req.body.profile_id === "string" && req.body.profile_id.trim()) {
+			profileId = req.body.profile_id.trim();
+		}
+		if (
+			typeof req.body.output_format === "string" &&
+			req.body.output_format.trim()
+		) {
+			outputFormat = req.body.output_format.trim().toLowerCase();
+		}
+		if (
+			typeof req.body.template_id === "string" &&
+			req.body.template_id.trim()
+		) {
+			templateId = req.body.template_id.trim();
+		}
+		dryRun = req.body.dry_run === "true";
+		if (req.body.preview_rows !== undefined) {
+			previewRows = parseInt(req.body.preview_rows, 10);
+		}
+	}
+
+	// Template fields and envelope parts are defaults the request overrides
+	if (templateId) {
+		const template = templateStore.get(templateId);
+		if (!template) {
+			throw new RequestError(`Unknown template: ${templateId}`);
+		}
+		const templateFields = {};
+		for (const field of template.header_fields) {
+			templateFields[field.tagName] = field.tagValue;
+		}
+		headerFields = { ...templateFields, ...headerFields };
+		if (template.envelope) {
+			envelope = { ...template.envelope, ...(envelope || {}) };
+		}
+		// Request totals replace template totals with the same tag
+		if (template.control_totals && template.control_totals.length > 0) {
+			const requestTags = new Set(
+				(Array.isArray(controlTotals) ? controlTotals : []).map(
+					(total) => total && total.tag
+				)
+			);
+			controlTotals = [
+				...template.control_totals.filter(
+					(total) => !requestTags.has(total.tag)
+				),
+				...(Array.isArray(controlTotals) ? controlTotals : []),
+			];
+		}
+	}
+
+	for (const [tagName, value] of Object.entries(headerFields)) {
+		const [error] = validatePlaceholders(value);
+		if (error) {
+			throw new RequestError(`Invalid header field ${tagName}: ${error}`);
+		}
+	}
+
+	if (!Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, outputFormat)) {
+		throw new RequestError(
+			`Unknown output format: ${outputFormat}. Use one of: ${Object.keys(
+				OUTPUT_FORMATS
+			).join(", ")}`
+		);
+	}
+	if (reportType && outputFormat !== "xml") {
+		throw new RequestError("report_type can only be used with XML output");
+	}
+
+	if (controlTotals) {
+		const errors = validateControlTotals(controlTotals);
+		if (errors.length > 0) {
+			throw new RequestError(`Invalid control_totals: ${errors.join("; ")}`);
+		}
+		if (
+			outputFormat !== "xml" &&
+			controlTotals.some((total) => total.aggregate === "sha256")
+		) {
+			throw new RequestError(
+				"sha256 control totals can only be used with XML output"
+			);
+		}
+	}
+
+	if (dryRun && outputFormat !== "xml") {
+		throw new RequestError("dry_run previews XML output only");
+	}
+	if (previewRows === undefined || previewRows === null) {
+		previewRows = DEFAULT_PREVIEW_ROWS;
+	} else if (
+		!Number.isInteger(previewRows) ||
+		previewRows < 1 ||
+		previewRows > MAX_PREVIEW_ROWS
+	) {
+		throw new RequestError(
+			`preview_rows must be between 1 and ${MAX_PREVIEW_ROWS}`
+		);
+	}
+
+	if (reportType && !schemaRegistry.has(reportType)) {
+		throw new RequestError(`Unknown report type: ${reportType}`);
+	}
+
+	let profile = null;
+	if (profileId) {
+		profile = profileStore.get(profileId);
+		if (!profile) {
+			throw new RequestError(`Unknown profile: ${profileId}`);
+		}
+	}
+
+	csvOptions = parseCsvOptions(csvOptions || req.body.csv_options);
+
+	if (headerSheet !== null && typeof headerSheet !== "string") {
+		throw new RequestError("header_sheet must be a sheet name");
+	}
+
+	let sheetSpecs = null;
+	if (sheets) {
+		try {
+			sheetSpecs = resolveSheetSpecs(sheets);
+		} catch (error) {
+			throw new RequestError(error.message);
+		}
+		if (
+			outputFormat === "csv" &&
+			(sheetSpecs === "*" || sheetSpecs.length > 1)
+		) {
+			throw new RequestError("CSV output holds a single sheet");
+		}
+	}
+
+	// API keys limited to some profiles must convert every sheet with one
+	// of them: the sheet's own profile_id, or else the request's
+	const keyProfiles = req.user.apiKey && req.user.apiKey.profiles;
+	if (keyProfiles) {
+		const sheetProfileIds = Array.isArray(sheetSpecs)
+			? sheetSpecs.map((spec) => (spec.profile ? spec.profile.id : profileId))
+			: [profileId];
+		const deniedId = sheetProfileIds.find((id) => !keyProfiles.includes(id));
+		if (deniedId !== undefined) {
+			auditLogger.logSecurityEvent(
+				req.user.id,
+				"access_denied",
+				getClientIP(req),
+				"error",
+				{
+					error_code: 403,
+					api_key: req.user.apiKey.name,
+					profile_id: deniedId,
+					path: req.originalUrl,
+				}
+			);
+			throw new RequestError(
+				deniedId
+					? `This API key cannot convert with profile ${deniedId}`
+					: "This API key must convert every sheet with one of its profiles (profile_id)",
+				403
+			);
+		}
+	}
+
+	let envelopeOptions = null;
+	if (envelope) {
+		try {
+			envelopeOptions = parseEnvelope(envelope);
+		} catch (error) {
+			throw new RequestError(error.message);
+		}
+	}
+
+	return {
+		headerFields,
+		// Admins can require every output to be encrypted
+		encryptOutput: encryptOutput || settingsStore.get().encrypt_outputs,
+		sheetName,
+		dryRun,
+		options: {
+			reportType,
+			profile,
+			sheets: sheetSpecs,
+			stream,
+			headerSheet,
+			csvOptions,
+			outputFormat,
+			envelope: envelopeOptions,
+			controlTotals: controlTotals || [],
+			previewRows,
+			sourceFileName: req.file ? req.file.originalname : null,
+		},
+	};
+}
+
+/**
+ * Record a converted output in the conversion history; returns the review
+ * and retention fields of the response
+ */
+function recordConversion(
+	userId,
+	fileId,
+	fileName,
+	outputFile,
+	outputFormat,
+	details = {}
+) {
+	const encryptedFile = `${outputFile}.enc`;
+	const record = conversionStore.record({
+		fileId,
+		fileName,
+		outputFile: fs.existsSync(encryptedFile) ? encryptedFile : outputFile,
+		outputFormat,
+		userId,
+		...details,
+	});
+	return {
+		review_state: record.state,
+		review_url: `${config.API_V1_PREFIX}/reviews/${fileId}`,
+		expires_at: record.expires_at,
+	};
+}
+
 /**
  * Health check endpoint
  * GET /api/v1/health
@@ -69,11 +592,19 @@ router.get("/health", (req, res) => {
 	});
 });
 
+/**
+ * List report types with a registered XSD schema
+ * GET /api/v1/schemas
+ */
+router.get("/schemas", canConvert, (req, res) => {
+	res.json({ schemas: schemaRegistry.list() });
+});
+
 /**
  * Validate Excel file before conversion
  * POST /api/v1/validate
  */
-router.post("/validate", upload.single("file"), async (req, res) => {
+router.post("/validate", conversionUpload, async (req, res) => {
 	let uploadedFilePath = null;
 
 	try {
@@ -106,28 +637,113 @@ router.post("/validate", upload.single("file"), async (req, res) => {
 		if (!config.validateFileExtension(req.file.originalname)) {
 			return res.json({
 				is_valid: false,
-				message: "Invalid file type. Only .xls and .xlsx files are allowed",
+				message: `Invalid file type. Only ${config.ALLOWED_EXTENSIONS.join(
+					", "
+				)} files are allowed`,
 				file_size: fileSize,
 				file_type: fileType,
 			});
 		}
 
 		// Validate Excel content
-		const isValid = converter.validateExcelFile(uploadedFilePath);
+		const sheetName =
+			typeof req.body.sheet_name === "string" && req.body.sheet_name.trim()
+				? req.body.sheet_name.trim()
+				: null;
+		const report = converter.validateExcelFile(
+			uploadedFilePath,
+			sheetName,
+			parseCsvOptions(req.body.csv_options),
+			req.user.id
+		);
 
 		logger.info(`File upload success: filename=${req.file.originalname}`);
 
+		let message = "File is valid";
+		if (!report.is_valid) {
+			message = `File has ${report.summary.errors} error(s)`;
+		} else if (report.summary.warnings > 0) {
+			message = `File is valid with ${report.summary.warnings} warning(s)`;
+		}
+
 		res.json({
-			is_valid: isValid,
-			message: isValid ? "File is valid" : "Invalid Excel file format",
+			is_valid: report.is_valid,
+			message,
 			file_size: fileSize,
 			file_type: fileType,
+			sheets: report.sheets,
+			findings: report.findings,
+			summary: report.summary,
 		});
 	} catch (error) {
 		logger.error(
 			`File upload failed: filename=${req.file?.originalname}, error=${error.message}`
 		);
-		auditLogger.logError("system", "validate_file", error, {
+		auditLogger.logError(req.user.id, "validate_file", error, {
+			filename: req.file?.originalname,
+		});
+		res.status(400).json({ detail: error.message });
+	} finally {
+		// Cleanup uploaded file
+		if (uploadedFilePath && fs.existsSync(uploadedFilePath)) {
+			fs.unlinkSync(uploadedFilePath);
+		}
+	}
+});
+
+/**
+ * Inspect workbook sheets before conversion
+ * POST /api/v1/inspect
+ */
+router.post("/inspect", conversionUpload, async (req, res) => {
+	let uploadedFilePath = null;
+
+	try {
+		if (!req.file) {
+			return res.status(400).json({ detail: "No file uploaded" });
+		}
+
+		uploadedFilePath = req.file.path;
+
+		const previewRows =
+			req.body.preview_rows !== undefined
+				? parseInt(req.body.preview_rows, 10)
+				: DEFAULT_PREVIEW_ROWS;
+		if (
+			!Number.isInteger(previewRows) ||
+			previewRows < 0 ||
+			previewRows > MAX_PREVIEW_ROWS
+		) {
+			return res.status(400).json({
+				detail: `preview_rows must be between 0 and ${MAX_PREVIEW_ROWS}`,
+			});
+		}
+
+		const sheets = converter.inspectWorkbook(
+			uploadedFilePath,
+			previewRows,
+			parseCsvOptions(req.body.csv_options)
+		);
+
+		auditLogger.logFileOperation(
+			req.user.id,
+			"inspect",
+			req.file.originalname,
+			req.file.size,
+			"success",
+			{ sheets: sheets.length }
+		);
+
+		res.json({
+			file_name: req.file.originalname,
+			file_size: req.file.size,
+			sheets,
+		});
+	} catch (error) {
+		logger.error(
+			`File inspection failed: filename=${req.file?.originalname}, error=${error.message}`
+		);
+		auditLogger.logError(req.user.id, "inspect_file", error, {
 			filename: req.file?.originalname,
 		});
 		res.status(400).json({ detail: error.message });
@@ -143,10 +759,12 @@ router.post("/validate", upload.single("file"), async (req, res) => {
  * Convert Excel file to XML
  * POST /api/v1/convert
  */
-router.post("/convert", upload.single("file"), async (req, res) => {
+router.post("/convert", conversionUpload, async (req, res) => {
 	const startTime = Date.now();
 	let inputPath = null;
 	let outputPath = null;
+	let fileId = null;
+	let request = null;
 
 	try {
 		if (!req.file) {
@@ -161,7 +779,7 @@ router.post("/convert", upload.single("file"), async (req, res) => {
 
 		// Log file upload attempt
 		auditLogger.logFileOperation(
-			"system",
+			req.user.id,
 			"upload",
 			req.file.originalname,
 			fileSize,
@@ -169,122 +787,51 @@ router.post("/convert", upload.single("file"), async (req, res) => {
 			{ file_type: path.extname(req.file.originalname) }
 		);
 
-		// Parse request data for header fields
-		let headerFields = {};
-		const requestData = req.body.request_data;
-
-		// Debug: log to console.error so it shows in docker logs
-		console.error("=== BACKEND DEBUG ===");
-		console.error("Request body keys:", Object.keys(req.body));
-		console.error("header_fields value:", req.body.header_fields);
-		console.error("request_data value:", requestData);
-
-		// Debug: log what we received
-		logger.info(`Request body keys: ${Object.keys(req.body).join(", ")}`);
-		logger.info(`header_fields raw: ${req.body.header_fields}`);
-		logger.info(`request_data raw: ${requestData}`);
-
-		// Preferred: parse JSON from request_data containing header_fields
-		if (requestData) {
-			try {
-				const requestDict = JSON.parse(requestData);
-				const headerArray = requestDict.header_fields || [];
-				logger.info(
-					`Parsed header_fields from request_data: ${JSON.stringify(
-						headerArray
-					)}`
-				);
-				for (const field of headerArray) {
-					if (field.tagName && field.tagValue) {
-						const tagName = field.tagName.replace(/\s+/g, "_");
-						headerFields[tagName] = field.tagValue;
-					}
-				}
-			} catch (parseError) {
-				auditLogger.logConversionEvent(
-					"system",
-					req.file.originalname,
-					"",
-					0,
-					"error",
-					{ error: `Invalid request data format: ${parseError.message}` }
-				);
-				return res.status(400).json({ detail: "Invalid request data format" });
-			}
-		} else if (req.body.header_fields) {
-			// Fallback: frontend sent header_fields directly as a JSON string
-			try {
-				const headerArray = JSON.parse(req.body.header_fields);
-				logger.info(
-					`Parsed header_fields directly: ${JSON.stringify(headerArray)}`
-				);
-				for (const field of headerArray) {
-					if (field.tagName && field.tagValue) {
-						const tagName = String(field.tagName).replace(/\s+/g, "_");
-						headerFields[tagName] = field.tagValue;
-					}
-				}
-			} catch (parseError) {
-				auditLogger.logConversionEvent(
-					"system",
-					req.file.originalname,
-					"",
-					0,
-					"error",
-					{ error: `Invalid header_fields format: ${parseError.message}` }
-				);
-				return res.status(400).json({ detail: "Invalid header_fields format" });
-			}
-		}
+		request = parseConversionRequest(req);
+		const { headerFields, encryptOutput, sheetName, dryRun, options } = request;
 
-		logger.info(`Final headerFields object: ${JSON.stringify(headerFields)}`);
-		logger.info(`Header fields count: ${Object.keys(headerFields).length}`);
+		// A dry run shows what the output would hold and stores nothing
+		if (dryRun) {
+			const preview = converter.preview(
+				inputPath,
+				headerFields,
+				sheetName,
+				req.user.id,
+				options
+			);
+			return res.json({
+				status: "preview",
+				message: "Dry run, no output file was written",
+				root_element: preview.rootElement,
+				header: preview.header,
+				sheets: preview.sheets,
+				control_totals: preview.controlTotals,
+				violations: preview.violations,
+			});
+		}
 
 		// Generate unique file ID and output path
-		const fileId = uuidv4();
-		outputPath = config.getOutputPath(`${fileId}_output.xml`);
-
-		// Get encryption and sheet options from request
-		let encryptOutput = false;
-		let sheetName = null;
-
-		if (requestData) {
-			try {
-				const requestDict = JSON.parse(requestData);
-				encryptOutput = requestDict.encrypt_output || false;
-				sheetName = requestDict.sheet_name || null;
-			} catch (e) {
-				// Ignore parse errors for these optional fields
-			}
-		} else {
-			// Fallback: accept fields directly if provided
-			if (typeof req.body.encrypt_output !== "undefined") {
-				const val = req.body.encrypt_output;
-				encryptOutput = val === true || val === "true";
-			}
-			if (
-				typeof req.body.sheet_name === "string" &&
-				req.body.sheet_name.trim()
-			) {
-				sheetName = req.body.sheet_name.trim();
-			}
-		}
+		fileId = uuidv4();
+		outputPath = config.getOutputPath(
+			`${fileId}_output${OUTPUT_FORMATS[options.outputFormat]}`
+		);
 
 		// Convert file
-		converter.convert(
+		const result = await converter.convert(
 			inputPath,
 			outputPath,
 			headerFields,
 			sheetName,
 			encryptOutput,
-			"system"
+			req.user.id,
+			{ ...options, errorReportFile: errorReportPath(fileId) }
 		);
 
 		// Generate download URL
 		const downloadUrl = `${config.API_V1_PREFIX}/download/${fileId}`;
 
 		// Determine the actual output file (could be encrypted)
-		const encryptedPath = outputPath.replace(".xml", ".xml.enc");
+		const encryptedPath = `${outputPath}.enc`;
 		const actualOutputPath = fs.existsSync(encryptedPath)
 			? encryptedPath
 			: outputPath;
@@ -292,7 +839,7 @@ router.post("/convert", upload.single("file"), async (req, res) => {
 		// Log successful conversion
 		const conversionTime = (Date.now() - startTime) / 1000;
 		auditLogger.logConversionEvent(
-			"system",
+			req.user.id,
 			req.file.originalname,
 			actualOutputPath,
 			conversionTime,
@@ -306,12 +853,63 @@ router.post("/convert", upload.single("file"), async (req, res) => {
 			}
 		);
 
+		const review = recordConversion(
+			req.user.id,
+			fileId,
+			req.file.originalname,
+			outputPath,
+			result.outputFormat,
+			{
+				headerFields,
+				rowsProcessed: result.rowsProcessed,
+				sheets: result.sheets,
+				controlTotals: result.controlTotals,
+			}
+		);
+
 		res.json({
 			status: "success",
 			message: "File converted successfully",
 			downloadUrl,
+			output_format: result.outputFormat,
+			rows_processed: result.rowsProcessed,
+			sheets: result.sheets,
+			control_totals: result.controlTotals,
+			...review,
 		});
 	} catch (error) {
+		if (fileId) {
+			conversionStore.recordFailure({
+				fileId,
+				fileName: req.file.originalname,
+				outputFormat: request.options.outputFormat,
+				userId: req.user.id,
+				headerFields: request.headerFields,
+				message: error.message,
+			});
+		}
+		if (
+			error instanceof RequestError ||
+			error instanceof ConversionInputError ||
+			error instanceof DelimitedTextError ||
+			error instanceof PlaceholderError
+		) {
+			return res.status(error.status || 400).json({ detail: error.message });
+		}
+		if (error instanceof DataValidationError) {
+			logger.warn(
+				`Validation failed for file: ${req.file?.originalname} - ${error.violations.length} violation(s)`
+			);
+			return res.status(422).json({
+				status: "invalid",
+				message: error.message,
+				report_type: error.reportType || null,
+				violations: error.violations,
+				error_report_url: error.errorReportFile
+					? `${config.API_V1_PREFIX}/error-reports/${fileId}`
+					: null,
+			});
+		}
 		logger.error(
 			`Conversion failed for file: ${req.file?.originalname} - ${error.message}`
 		);
@@ -328,31 +926,403 @@ router.post("/convert", upload.single("file"), async (req, res) => {
 	}
 });
 
+/**
+ * Convert a CALLREPORT XML document back to an Excel workbook
+ * POST /api/v1/convert/xml-to-excel
+ */
+router.post(
+	"/convert/xml-to-excel",
+	canConvert,
+	xmlUpload.single("file"),
+	async (req, res) => {
+		let inputPath = null;
+		let fileId = null;
+
+		try {
+			if (!req.file) {
+				return res.status(400).json({
+					status: "error",
+					message: "No file uploaded",
+				});
+			}
+
+			inputPath = req.file.path;
+			auditLogger.logFileOperation(
+				req.user.id,
+				"upload",
+				req.file.originalname,
+				req.file.size,
+				"success",
+				{ file_type: path.extname(req.file.originalname) }
+			);
+
+			let encryptOutput = false;
+			if (req.body.request_data) {
+				try {
+					encryptOutput = Boolean(
+						JSON.parse(req.body.request_data).encrypt_output
+					);
+				} catch (parseError) {
+					return res
+						.status(400)
+						.json({ detail: "Invalid request data format" });
+				}
+			} else if (typeof req.body.encrypt_output !== "undefined") {
+				const val = req.body.encrypt_output;
+				encryptOutput = val === true || val === "true";
+			}
+			encryptOutput = encryptOutput || settingsStore.get().encrypt_outputs;
+
+			fileId = uuidv4();
+			const outputPath = config.getOutputPath(`${fileId}_output.xlsx`);
+			const result = await xmlToExcelConverter.convert(
+				inputPath,
+				outputPath,
+				encryptOutput,
+				req.user.id
+			);
+
+			const review = recordConversion(
+				req.user.id,
+				fileId,
+				req.file.originalname,
+				outputPath,
+				"xlsx",
+				{ rowsProcessed: result.rowsProcessed, sheets: result.sheets }
+			);
+
+			res.json({
+				status: "success",
+				message: "File converted successfully",
+				downloadUrl: `${config.API_V1_PREFIX}/download/${fileId}`,
+				rows_processed: result.rowsProcessed,
+				sheets: result.sheets,
+				request_data: result.requestData,
+				...review,
+			});
+		} catch (error) {
+			if (fileId) {
+				conversionStore.recordFailure({
+					fileId,
+					fileName: req.file.originalname,
+					outputFormat: "xlsx",
+					userId: req.user.id,
+					message: error.message,
+				});
+			}
+			if (error instanceof XmlDocumentError) {
+				return res.status(400).json({ detail: error.message });
+			}
+			logger.error(
+				`XML to Excel conversion failed for file: ${req.file?.originalname} - ${error.message}`
+			);
+			res.status(500).json({
+				detail: config.SHOW_ERROR_DETAILS
+					? error.message
+					: "An error occurred during the conversion process. Please try again later.",
+			});
+		} finally {
+			if (inputPath && fs.existsSync(inputPath)) {
+				fs.unlinkSync(inputPath);
+			}
+		}
+	}
+);
+
+/**
+ * Convert several workbooks with one shared request_data into a ZIP of
+ * XML files with a manifest.json of per-file row counts and errors
+ * POST /api/v1/convert/batch
+ */
+router.post(
+	"/convert/batch",
+	canConvert,
+	batchUpload.array("files", config.MAX_BATCH_FILES),
+	async (req, res) => {
+		const files = req.files || [];
+		const rejected = req.rejectedFiles || [];
+
+		try {
+			if (files.length === 0 && rejected.length === 0) {
+				return res.status(400).json({
+					status: "error",
+					message: "No files uploaded",
+				});
+			}
+
+			for (const file of files) {
+				auditLogger.logFileOperation(
+					req.user.id,
+					"upload",
+					file.originalname,
+					file.size,
+					"success",
+					{ file_type: path.extname(file.originalname), batch: true }
+				);
+			}
+
+			const request = parseConversionRequest(req);
+			if (request.dryRun) {
+				throw new RequestError("dry_run is only supported by /convert");
+			}
+
+			const fileId = uuidv4();
+			const { outputFile, manifest } = await batchConverter.convert(
+				files,
+				rejected,
+				request,
+				config.getOutputPath(`${fileId}_output.zip`),
+				req.user.id
+			);
+
+			const { summary } = manifest;
+			const sheets = manifest.files.map((file) => ({
+				file_name: file.file_name,
+				status: file.status,
+				rows_processed: file.rows_processed,
+			}));
+			if (!outputFile) {
+				conversionStore.recordFailure({
+					fileId,
+					fileName: `batch of ${summary.files} file(s)`,
+					outputFormat: "zip",
+					userId: req.user.id,
+					headerFields: request.headerFields,
+					message: "None of the files could be converted",
+					rowsProcessed: 0,
+					sheets,
+				});
+				return res.status(422).json({
+					status: "invalid",
+					message: "None of the files could be converted",
+					summary,
+					files: manifest.files,
+				});
+			}
+
+			const review = recordConversion(
+				req.user.id,
+				fileId,
+				`batch of ${summary.files} file(s)`,
+				outputFile,
+				"zip",
+				{
+					headerFields: request.headerFields,
+					rowsProcessed: summary.rows_processed,
+					sheets,
+				}
+			);
+
+			res.json({
+				status: summary.failed > 0 ? "partial" : "success",
+				message: `Converted ${summary.succeeded} of ${summary.files} file(s)`,
+				downloadUrl: `${config.API_V1_PREFIX}/download/${fileId}`,
+				summary,
+				files: manifest.files,
+				...review,
+			});
+		} catch (error) {
+			if (error instanceof RequestError) {
+				return res.status(error.status).json({ detail: error.message });
+			}
+			logger.error(`Batch conversion failed: ${error.message}`);
+			res.status(500).json({
+				detail: config.SHOW_ERROR_DETAILS
+					? error.message
+					: "An error occurred during the conversion process. Please try again later.",
+			});
+		} finally {
+			// Jobs remove the inputs they ran; this catches the rest
+			for (const file of files) {
+				if (fs.existsSync(file.path)) {
+					fs.unlinkSync(file.path);
+				}
+			}
+		}
+	}
+);
+
+/**
+ * Queue a conversion and return its job right away. Takes the same
+ * fields as /convert.
+ * POST /api/v1/jobs
+ */
+router.post("/jobs", conversionUpload, (req, res) => {
+	if (!req.file) {
+		return res.status(400).json({
+			status: "error",
+			message: "No file uploaded",
+		});
+	}
+
+	auditLogger.logFileOperation(
+		req.user.id,
+		"upload",
+		req.file.originalname,
+		req.file.size,
+		"success",
+		{ file_type: path.extname(req.file.originalname) }
+	);
+
+	let request;
+	try {
+		request = parseConversionRequest(req);
+		if (request.dryRun) {
+			throw new RequestError("dry_run is only supported by /convert");
+		}
+	} catch (error) {
+		fs.unlinkSync(req.file.path);
+		if (error instanceof RequestError) {
+			return res.status(error.status).json({ detail: error.message });
+		}
+		throw error;
+	}
+
+	const fileId = uuidv4();
+	const outputFile = config.getOutputPath(
+		`${fileId}_output${OUTPUT_FORMATS[request.options.outputFormat]}`
+	);
+	const job = jobQueue.submit(
+		{
+			inputFile: req.file.path,
+			outputFile,
+			headerFields: request.headerFields,
+			sheetName: request.sheetName,
+			encryptOutput: request.encryptOutput,
+			userId: req.user.id,
+			options: { ...request.options, errorReportFile: errorReportPath(fileId) },
+		},
+		{
+			fileName: req.file.originalname,
+			downloadUrl: `${config.API_V1_PREFIX}/download/${fileId}`,
+			errorReportUrl: `${config.API_V1_PREFIX}/error-reports/${fileId}`,
+			onSuccess: (finished) =>
+				recordConversion(
+					req.user.id,
+					fileId,
+					req.file.originalname,
+					outputFile,
+					request.options.outputFormat,
+					{
+						headerFields: request.headerFields,
+						rowsProcessed: finished.rows_processed,
+						sheets: finished.sheets,
+						controlTotals: finished.control_totals,
+					}
+				),
+			onFailure: (finished) => {
+				conversionStore.recordFailure({
+					fileId,
+					fileName: req.file.originalname,
+					outputFormat: request.options.outputFormat,
+					userId: req.user.id,
+					headerFields: request.headerFields,
+					message: finished.message,
+					rowsProcessed: finished.rows_processed,
+				});
+			},
+		}
+	);
+
+	res.status(202).location(`${config.API_V1_PREFIX}/jobs/${job.id}`).json(job);
+});
+
+/**
+ * Get the state of a conversion job
+ * GET /api/v1/jobs/:id
+ */
+router.get("/jobs/:id", canFollowJobs, (req, res) => {
+	const job = jobQueue.get(req.params.id);
+	if (!job) {
+		return res.status(404).json({ detail: "Job not found" });
+	}
+	if (!authorizeOwner(req, res, job.user_id, { job_id: job.id })) return;
+	res.json(job);
+});
+
+/**
+ * Stream a conversion job's progress as server-sent events. Each event
+ * carries the job as JSON; the stream ends once the job has succeeded or
+ * failed.
+ * GET /api/v1/jobs/:id/events
+ */
+router.get("/jobs/:id/events", canFollowJobs, (req, res) => {
+	const job = jobQueue.get(req.params.id);
+	if (!job) {
+		return res.status(404).json({ detail: "Job not found" });
+	}
+	if (!authorizeOwner(req, res, job.user_id, { job_id: job.id })) return;
+
+	res.set({
+		"Content-Type": "text/event-stream",
+		"Cache-Control": "no-cache",
+		Connection: "keep-alive",
+		"X-Accel-Buffering": "no",
+	});
+	res.flushHeaders();
+
+	const isFinished = (current) =>
+		current.state === "succeeded" || current.state === "failed";
+	const send = (current) => {
+		res.write(`data: ${JSON.stringify(current)}\n\n`);
+		if (isFinished(current)) {
+			jobQueue.off("update", onUpdate);
+			res.end();
+		}
+	};
+	const onUpdate = (current) => {
+		if (current.id === job.id) send(current);
+	};
+
+	jobQueue.on("update", onUpdate);
+	req.on("close", () => jobQueue.off("update", onUpdate));
+	send(job);
+});
+
 /**
  * Download converted file
  * GET /api/v1/download/:fileId
  */
-router.get("/download/:fileId", async (req, res) => {
+router.get("/download/:fileId", canDownload, async (req, res) => {
 	const { fileId } = req.params;
 
-	try {
-		// Check for both encrypted and unencrypted files
-		const encryptedPath = config.getOutputPath(`${fileId}_output.xml.enc`);
-		const unencryptedPath = config.getOutputPath(`${fileId}_output.xml`);
+	const record = conversionStore.get(fileId);
+	if (!authorizeOwner(req, res, record?.submitted_by, { file_id: fileId })) {
+		return;
+	}
 
-		let filePath = null;
-		let tempPath = null;
+	// With required approval, only approved outputs are handed out
+	if (!conversionStore.isDownloadable(record)) {
+		auditLogger.logSecurityEvent(
+			req.user.id,
+			"access_denied",
+			getClientIP(req),
+			"error",
+			{ file_id: fileId, reason: "Output has not been approved" }
+		);
+		return res
+			.status(403)
+			.json({ detail: "This output has not been approved for download" });
+	}
 
-		if (fs.existsSync(unencryptedPath)) {
-			filePath = unencryptedPath;
-		} else if (fs.existsSync(encryptedPath)) {
-			// Decrypt file to temporary location
-			tempPath = config.getOutputPath(`temp_${fileId}.xml`);
-			encryption.decryptFile(encryptedPath, tempPath);
-			filePath = tempPath;
-		} else {
+	// Outputs past their retention period are purged, or about to be
+	if (conversionStore.isExpired(record)) {
+		auditLogger.logFileOperation(req.user.id, "download", fileId, 0, "error", {
+			error: "Output has expired",
+		});
+		return res.status(410).json({ detail: "This output has expired" });
+	}
+
+	try {
+		// Check for both encrypted and unencrypted outputs of each type
+		const ext = Object.keys(DOWNLOAD_TYPES).find(
+			(candidate) =>
+				fs.existsSync(config.getOutputPath(`${fileId}_output${candidate}`)) ||
+				fs.existsSync(config.getOutputPath(`${fileId}_output${candidate}.enc`))
+		);
+		if (!ext) {
 			auditLogger.logFileOperation(
-				"system",
+				req.user.id,
 				"download",
 				`${fileId}.xml`,
 				0,
@@ -362,42 +1332,99 @@ router.get("/download/:fileId", async (req, res) => {
 			return res.status(404).json({ detail: "File not found" });
 		}
 
+		const encryptedPath = config.getOutputPath(`${fileId}_output${ext}.enc`);
+		const unencryptedPath = config.getOutputPath(`${fileId}_output${ext}`);
+
+		let filePath = null;
+		let tempPath = null;
+
+		if (fs.existsSync(unencryptedPath)) {
+			filePath = unencryptedPath;
+		} else {
+			// Decrypt file to temporary location
+			tempPath = config.getOutputPath(`temp_${fileId}${ext}`);
+			encryption.decryptFile(encryptedPath, tempPath, req.user.id);
+			filePath = tempPath;
+		}
+
 		const fileSize = fs.statSync(filePath).size;
 
 		// Log download
 		auditLogger.logFileOperation(
-			"system",
+			req.user.id,
 			"file_download",
-			`${fileId}.xml`,
+			`${fileId}${ext}`,
 			fileSize,
 			"success"
 		);
 
 		logger.info(`File download success: filename=${fileId}`);
+		conversionStore.markDownloaded(record);
 
 		// Send file
-		res.download(filePath, `converted_${fileId}.xml`, (err) => {
+		const options = { headers: { "Content-Type": DOWNLOAD_TYPES[ext] } };
+		// The output itself is kept for downloads until it expires
+		res.download(filePath, `converted_${fileId}${ext}`, options, (err) => {
 			// Cleanup temporary file after download
 			if (tempPath && fs.existsSync(tempPath)) {
 				fs.unlinkSync(tempPath);
 			}
-			// Cleanup original output file
-			if (fs.existsSync(unencryptedPath)) {
-				fs.unlinkSync(unencryptedPath);
-			}
-			if (fs.existsSync(encryptedPath)) {
-				fs.unlinkSync(encryptedPath);
-			}
 		});
 	} catch (error) {
 		logger.error(
 			`File download failed: filename=${fileId}, error=${error.message}`
 		);
-		auditLogger.logError("system", "download_file", error, { file_id: fileId });
+		auditLogger.logError(req.user.id, "download_file", error, {
+			file_id: fileId,
+		});
 		res.status(400).json({ detail: error.message });
 	}
 });
 
+/**
+ * Download the annotated workbook of a conversion that failed validation
+ * GET /api/v1/error-reports/:fileId
+ */
+router.get("/error-reports/:fileId", canConvert, (req, res) => {
+	const { fileId } = req.params;
+	const reportPath = errorReportPath(fileId);
+
+	// Error reports belong to the failed conversion's record. Ownership is
+	// checked first, so others cannot tell which reports exist.
+	const owner = conversionStore.get(fileId)?.submitted_by;
+	if (!authorizeOwner(req, res, owner, { file_id: fileId })) return;
+
+	if (!fs.existsSync(reportPath)) {
+		auditLogger.logFileOperation(
+			req.user.id,
+			"download",
+			`${fileId}_errors.xlsx`,
+			0,
+			"error",
+			{ error: "Error report not found" }
+		);
+		return res.status(404).json({ detail: "Error report not found" });
+	}
+
+	auditLogger.logFileOperation(
+		req.user.id,
+		"error_report_download",
+		`${fileId}_errors.xlsx`,
+		fs.statSync(reportPath).size,
+		"success"
+	);
+	res.download(
+		reportPath,
+		`validation_errors_${fileId}.xlsx`,
+		{ headers: { "Content-Type": DOWNLOAD_TYPES[".xlsx"] } },
+		() => {
+			if (fs.existsSync(reportPath)) {
+				fs.unlinkSync(reportPath);
+			}
+		}
+	);
+});
+
 // Error handling for multer
 router.use((error, req, res, next) => {
 	if (error instanceof multer.MulterError) {
@@ -406,6 +1433,16 @@ router.use((error, req, res, next) => {
 				detail: `File size exceeds ${config.MAX_UPLOAD_SIZE_MB}MB limit`,
 			});
 		}
+		if (error.code === "LIMIT_FILE_COUNT") {
+			return res.status(400).json({
+				detail: `A batch can contain at most ${config.MAX_BATCH_FILES} files`,
+			});
+		}
+		if (error.code === "LIMIT_UNEXPECTED_FILE") {
+			return res.status(400).json({
+				detail: `Unexpected file field "${error.field}"`,
+			});
+		}
 	}
 	if (error.message && error.message.includes("Invalid file type")) {
 		return res.status(400).json({ detail: error.message });
@@ -0,0 +1,172 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "converter-routes-"));
+process.env.DATA_DIR = tempDir;
+process.env.OUTPUT_DIR = path.join(tempDir, "output");
+process.env.SCHEMA_DIR = path.join(tempDir, "schemas");
+process.env.LOG_FILE_PATH = path.join(tempDir, "audit.log");
+
+const express = require("express");
+const XLSX = require("xlsx");
+const { authenticate } = require("../middleware/auth");
+const converterRoutes = require("./converter");
+const { profileStore } = require("../services/profiles");
+const { templateStore } = require("../services/templates");
+const { jobQueue } = require("../services/jobs");
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+	const app = express();
+	app.use(express.json());
+	app.use("/api/v1", authenticate);
+	app.use("/api/v1", converterRoutes);
+	server = app.listen(0, "127.0.0.1");
+	await new Promise((resolve) => server.once("listening", resolve));
+	baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+});
+
+test.after(async () => {
+	server.close();
+	// Idle workers would keep the test process alive
+	await Promise.all(jobQueue.idle.map((worker) => worker.terminate()));
+	fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * An xlsx workbook with a sheet per { name: rows } entry
+ */
+function workbookOf(sheets) {
+	const book = XLSX.utils.book_new();
+	for (const [name, rows] of Object.entries(sheets)) {
+		XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet(rows), name);
+	}
+	return XLSX.write(book, { type: "buffer", bookType: "xlsx" });
+}
+
+function convert(workbook, requestData = {}) {
+	const form = new FormData();
+	form.append("file", new Blob([workbook]), "loans.xlsx");
+	form.append("request_data", JSON.stringify(requestData));
+	return fetch(`${baseUrl}/convert`, { method: "POST", body: form });
+}
+
+test("a sheet with only a header row is answered with 400", async () => {
+	const headerOnly = workbookOf({ Data: [["ID", "Amount"]] });
+	for (const stream of [false, true]) {
+		const response = await convert(headerOnly, { stream });
+		assert.equal(response.status, 400);
+		assert.equal((await response.json()).detail, "Excel file is empty");
+	}
+
+	const oneEmpty = workbookOf({
+		Loans: [["ID"], [1]],
+		Deposits: [["ID"]],
+	});
+	for (const stream of [false, true]) {
+		const response = await convert(oneEmpty, {
+			sheets: ["Loans", "Deposits"],
+			stream,
+		});
+		assert.equal(response.status, 400);
+		assert.equal((await response.json()).detail, 'Sheet "Deposits" is empty');
+	}
+
+	const preview = await convert(headerOnly, { dry_run: true });
+	assert.equal(preview.status, 200);
+});
+
+test("a missing sheet is answered with 400", async () => {
+	const response = await convert(workbookOf({ Data: [["ID"], [1]] }), {
+		sheet_name: "Other",
+	});
+	assert.equal(response.status, 400);
+	assert.equal(
+		(await response.json()).detail,
+		'Sheet "Other" not found in workbook'
+	);
+});
+
+test("cells that fail their column type are answered with 422", async () => {
+	const profile = profileStore.create({
+		name: "typed",
+		columns: [{ column: "A", tag: "ID", type: "integer" }],
+	});
+	const response = await convert(workbookOf({ Data: [["ID"], [1], ["x"]] }), {
+		profile_id: profile.id,
+	});
+	assert.equal(response.status, 422);
+
+	const body = await response.json();
+	assert.equal(body.status, "invalid");
+	assert.equal(body.violations.length, 1);
+	assert.equal(body.violations[0].sheet, "Data");
+	assert.equal(body.violations[0].row, 3);
+	assert.match(body.error_report_url, /^\/api\/v1\/error-reports\//);
+});
+
+test("a template_id brings the template's header and control totals", async () => {
+	const template = templateStore.create({
+		name: "quarterly",
+		header_fields: [
+			{ tagName: "SOURCE", tagValue: "{{source_filename}}" },
+			{ tagName: "PERIOD", tagValue: "2024Q1" },
+		],
+		control_totals: [{ tag: "ROW_COUNT", aggregate: "count" }],
+	});
+	const response = await convert(workbookOf({ Data: [["ID"], [1], [2]] }), {
+		template_id: template.id,
+		header_fields: [{ tagName: "PERIOD", tagValue: "2024Q2" }],
+		dry_run: true,
+	});
+	assert.equal(response.status, 200);
+
+	const preview = await response.json();
+	assert.match(preview.header, /<SOURCE>loans\.xlsx<\/SOURCE>/);
+	assert.match(preview.header, /<PERIOD>2024Q2<\/PERIOD>/);
+	assert.deepEqual(preview.control_totals, { ROW_COUNT: "2" });
+
+	const unknown = await convert(workbookOf({ Data: [["ID"], [1]] }), {
+		template_id: "unknown",
+		dry_run: true,
+	});
+	assert.equal(unknown.status, 400);
+});
+
+test("a job's progress events end with the finished job", async () => {
+	const form = new FormData();
+	form.append(
+		"file",
+		new Blob([workbookOf({ Data: [["ID"], [1], [2]] })]),
+		"loans.xlsx"
+	);
+	const created = await fetch(`${baseUrl}/jobs`, {
+		method: "POST",
+		body: form,
+	});
+	assert.equal(created.status, 202);
+	const job = await created.json();
+
+	const response = await fetch(`${baseUrl}/jobs/${job.id}/events`);
+	assert.equal(response.status, 200);
+	assert.match(response.headers.get("content-type"), /^text\/event-stream/);
+
+	// The stream closes by itself once the job has finished
+	const events = (await response.text())
+		.split("\n\n")
+		.filter(Boolean)
+		.map((event) => JSON.parse(event.replace(/^data: /, "")));
+	assert.ok(events.every((event) => event.id === job.id));
+	const finished = events[events.length - 1];
+	assert.equal(finished.state, "succeeded");
+	assert.equal(finished.rows_processed, 2);
+	assert.match(finished.download_url, /^\/api\/v1\/download\/[\w-]+$/);
+
+	const unknown = await fetch(`${baseUrl}/jobs/unknown/events`);
+	assert.equal(unknown.status, 404);
+});
@@ -0,0 +1,87 @@
+/**
+ * Mapping Profile Routes
+ *
+ * CRUD endpoints for column-to-tag mapping profiles
+ */
+
+const express = require("express");
+const { profileStore } = require("../services/profiles");
+const { authorize } = require("../middleware/auth");
+const { auditLogger } = require("../utils/logger");
+
+const router = express.Router();
+
+/**
+ * List mapping profiles
+ * GET /api/v1/profiles
+ */
+router.get("/", authorize("profile:read"), (req, res) => {
+	res.json({ profiles: profileStore.list() });
+});
+
+/**
+ * Get a mapping profile
+ * GET /api/v1/profiles/:id
+ */
+router.get("/:id", authorize("profile:read"), (req, res) => {
+	const profile = profileStore.get(req.params.id);
+	if (!profile) {
+		return res.status(404).json({ detail: "Profile not found" });
+	}
+	res.json(profile);
+});
+
+/**
+ * Create a mapping profile
+ * POST /api/v1/profiles
+ */
+router.post("/", authorize("profile:write"), (req, res) => {
+	const errors = profileStore.validate(req.body);
+	if (errors.length > 0) {
+		return res.status(400).json({ detail: "Invalid profile", errors });
+	}
+
+	const profile = profileStore.create(req.body);
+	auditLogger.logConfigurationEvent(req.user.id, "profile_create", "success", {
+		profile_id: profile.id,
+		name: profile.name,
+	});
+	res.status(201).json(profile);
+});
+
+/**
+ * Replace a mapping profile
+ * PUT /api/v1/profiles/:id
+ */
+router.put("/:id", authorize("profile:write"), (req, res) => {
+	const errors = profileStore.validate(req.body);
+	if (errors.length > 0) {
+		return res.status(400).json({ detail: "Invalid profile", errors });
+	}
+
+	const profile = profileStore.update(req.params.id, req.body);
+	if (!profile) {
+		return res.status(404).json({ detail: "Profile not found" });
+	}
+	auditLogger.logConfigurationEvent(req.user.id, "profile_update", "success", {
+		profile_id: profile.id,
+		name: profile.name,
+	});
+	res.json(profile);
+});
+
+/**
+ * Delete a mapping profile
+ * DELETE /api/v1/profiles/:id
+ */
+router.delete("/:id", authorize("profile:write"), (req, res) => {
+	if (!profileStore.remove(req.params.id)) {
+		return res.status(404).json({ detail: "Profile not found" });
+	}
+	auditLogger.logConfigurationEvent(req.user.id, "profile_delete", "success", {
+		profile_id: req.params.id,
+	});
+	res.status(204).end();
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+/**
+ * Review Routes
+ *
+ * Maker-checker review of converted outputs: reviewers look at an
+ * output's preview and row statistics, then approve or reject it
+ */
+
+const express = require("express");
+const {
+	conversionStore,
+	ReviewError,
+	REVIEW_STATES,
+} = require("../services/conversions");
+const { authorize, authorizeOwner } = require("../middleware/auth");
+const { canReadOwnedBy } = require("../services/roles");
+const { getClientIP } = require("../middleware/security");
+const { auditLogger } = require("../utils/logger");
+
+const router = express.Router();
+
+const canRead = authorize("conversion:read");
+const canReview = authorize("conversion:approve");
+
+/**
+ * Record an approval or rejection of the output in the URL
+ */
+const reviewHandler = (decision) => (req, res) => {
+	const { fileId } = req.params;
+	const { comment = null } = req.body || {};
+
+	try {
+		res.json(conversionStore.review(fileId, req.user.id, decision, comment));
+	} catch (error) {
+		if (!(error instanceof ReviewError)) throw error;
+		if (error.status === 403) {
+			auditLogger.logSecurityEvent(
+				req.user.id,
+				"access_denied",
+				getClientIP(req),
+				"error",
+				{ file_id: fileId, reason: error.message }
+			);
+		} else {
+			auditLogger.logReviewEvent(
+				req.user.id,
+				decision === "approved" ? "review_approved" : "review_rejected",
+				fileId,
+				"error",
+				{ error: error.message }
+			);
+		}
+		res.status(error.status).json({ detail: error.message });
+	}
+};
+
+/**
+ * List conversions in a review state, pending_review unless ?state= says
+ * otherwise; previews are left out. Users without conversion:read_all
+ * only see their own.
+ * GET /api/v1/reviews
+ */
+router.get("/", canRead, (req, res) => {
+	const state = req.query.state || "pending_review";
+	if (!REVIEW_STATES.includes(state)) {
+		return res.status(400).json({
+			detail: `state must be one of: ${REVIEW_STATES.join(", ")}`,
+		});
+	}
+	res.json({
+		conversions: conversionStore
+			.list({ state })
+			.filter((record) => canReadOwnedBy(req.user, record.submitted_by))
+			.map(({ preview, ...record }) => record),
+	});
+});
+
+/**
+ * Get a conversion with its preview and row statistics
+ * GET /api/v1/reviews/:fileId
+ */
+router.get("/:fileId", canRead, (req, res) => {
+	const record = conversionStore.get(req.params.fileId);
+	if (!record) {
+		return res.status(404).json({ detail: "Conversion not found" });
+	}
+	if (!authorizeOwner(req, res, record.submitted_by, { file_id: record.id })) {
+		return;
+	}
+	res.json(record);
+});
+
+/**
+ * Approve a pending conversion, with an optional comment
+ * POST /api/v1/reviews/:fileId/approve
+ */
+router.post("/:fileId/approve", canReview, reviewHandler("approved"));
+
+/**
+ * Reject a pending conversion with a comment; its output is deleted
+ * POST /api/v1/reviews/:fileId/reject
+ */
+router.post("/:fileId/reject", canReview, reviewHandler("rejected"));
+
+module.exports = router;
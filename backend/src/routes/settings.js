@@ -0,0 +1,46 @@
+/**
+ * Settings Routes
+ *
+ * Read and change the run-time settings, such as output encryption
+ */
+
+const express = require("express");
+const config = require("../config");
+const { settingsStore } = require("../services/settings");
+const { authorize } = require("../middleware/auth");
+const { auditLogger } = require("../utils/logger");
+
+const router = express.Router();
+
+router.use(authorize("settings:manage"));
+
+/**
+ * Get the settings, with the fixed configuration for reference
+ * GET /api/v1/settings
+ */
+router.get("/", (req, res) => {
+	res.json({
+		...settingsStore.get(),
+		encryption_key_configured: Boolean(config.ENCRYPTION_KEY),
+		configuration: config.getSettings(),
+	});
+});
+
+/**
+ * Change some of the settings
+ * PUT /api/v1/settings
+ */
+router.put("/", (req, res) => {
+	const errors = settingsStore.validate(req.body);
+	if (errors.length > 0) {
+		return res.status(400).json({ detail: "Invalid settings", errors });
+	}
+
+	const settings = settingsStore.update(req.body);
+	auditLogger.logConfigurationEvent(req.user.id, "settings_update", "success", {
+		changes: req.body,
+	});
+	res.json(settings);
+});
+
+module.exports = router;
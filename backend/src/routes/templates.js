@@ -0,0 +1,87 @@
+/**
+ * Header Template Routes
+ *
+ * CRUD endpoints for saved header field templates
+ */
+
+const express = require("express");
+const { templateStore } = require("../services/templates");
+const { authorize } = require("../middleware/auth");
+const { auditLogger } = require("../utils/logger");
+
+const router = express.Router();
+
+/**
+ * List header templates
+ * GET /api/v1/templates
+ */
+router.get("/", authorize("template:read"), (req, res) => {
+	res.json({ templates: templateStore.list() });
+});
+
+/**
+ * Get a header template
+ * GET /api/v1/templates/:id
+ */
+router.get("/:id", authorize("template:read"), (req, res) => {
+	const template = templateStore.get(req.params.id);
+	if (!template) {
+		return res.status(404).json({ detail: "Template not found" });
+	}
+	res.json(template);
+});
+
+/**
+ * Create a header template
+ * POST /api/v1/templates
+ */
+router.post("/", authorize("template:write"), (req, res) => {
+	const errors = templateStore.validate(req.body);
+	if (errors.length > 0) {
+		return res.status(400).json({ detail: "Invalid template", errors });
+	}
+
+	const template = templateStore.create(req.body);
+	auditLogger.logConfigurationEvent(req.user.id, "template_create", "success", {
+		template_id: template.id,
+		name: template.name,
+	});
+	res.status(201).json(template);
+});
+
+/**
+ * Replace a header template
+ * PUT /api/v1/templates/:id
+ */
+router.put("/:id", authorize("template:write"), (req, res) => {
+	const errors = templateStore.validate(req.body);
+	if (errors.length > 0) {
+		return res.status(400).json({ detail: "Invalid template", errors });
+	}
+
+	const template = templateStore.update(req.params.id, req.body);
+	if (!template) {
+		return res.status(404).json({ detail: "Template not found" });
+	}
+	auditLogger.logConfigurationEvent(req.user.id, "template_update", "success", {
+		template_id: template.id,
+		name: template.name,
+	});
+	res.json(template);
+});
+
+/**
+ * Delete a header template
+ * DELETE /api/v1/templates/:id
+ */
+router.delete("/:id", authorize("template:write"), (req, res) => {
+	if (!templateStore.remove(req.params.id)) {
+		return res.status(404).json({ detail: "Template not found" });
+	}
+	auditLogger.logConfigurationEvent(req.user.id, "template_delete", "success", {
+		template_id: req.params.id,
+	});
+	res.status(204).end();
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+/**
+ * User Routes
+ *
+ * Account and role management for admins
+ */
+
+const express = require("express");
+const { userService, UserError } = require("../services/users");
+const { authorize } = require("../middleware/auth");
+const { auditLogger } = require("../utils/logger");
+
+const router = express.Router();
+
+router.use(authorize("user:manage"));
+
+/**
+ * List accounts
+ * GET /api/v1/users
+ */
+router.get("/", (req, res) => {
+	res.json({ users: userService.list() });
+});
+
+/**
+ * Create an account
+ * POST /api/v1/users
+ */
+router.post("/", (req, res) => {
+	const { username, password, roles = [] } = req.body || {};
+	try {
+		const user = userService.create(username, password, roles);
+		auditLogger.logConfigurationEvent(req.user.id, "user_create", "success", {
+			user_id: user.id,
+			username: user.username,
+			roles: user.roles,
+		});
+		res.status(201).json(user);
+	} catch (error) {
+		if (!(error instanceof UserError)) throw error;
+		res.status(400).json({ detail: error.message });
+	}
+});
+
+/**
+ * Replace the roles of an account
+ * PUT /api/v1/users/:id/roles
+ */
+router.put("/:id/roles", (req, res) => {
+	try {
+		const user = userService.setRoles(req.params.id, req.body?.roles);
+		if (!user) {
+			return res.status(404).json({ detail: "User not found" });
+		}
+		auditLogger.logConfigurationEvent(
+			req.user.id,
+			"user_roles_update",
+			"success",
+			{
+				user_id: user.id,
+				username: user.username,
+				roles: user.roles,
+			}
+		);
+		res.json(user);
+	} catch (error) {
+		if (!(error instanceof UserError)) throw error;
+		res.status(400).json({ detail: error.message });
+	}
+});
+
+/**
+ * Delete an account
+ * DELETE /api/v1/users/:id
+ */
+router.delete("/:id", (req, res) => {
+	if (!userService.remove(req.params.id)) {
+		return res.status(404).json({ detail: "User not found" });
+	}
+	auditLogger.logConfigurationEvent(req.user.id, "user_delete", "success", {
+		user_id: req.params.id,
+	});
+	res.status(204).end();
+});
+
+module.exports = router;
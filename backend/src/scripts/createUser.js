@@ -0,0 +1,76 @@
+/**
+ * Create a user account in the configured user store
+ *
+ * Usage: npm run create-user -- <username> [role ...]
+ *
+ * Roles are preparer, reviewer, admin and auditor; create the first admin
+ * here, then manage accounts through /api/v1/users.
+ *
+ * The password is read from the USER_PASSWORD environment variable, or
+ * asked for on the terminal.
+ */
+
+const readline = require("readline/promises");
+const { Writable } = require("stream");
+const { userService, UserError } = require("../services/users");
+const { auditLogger } = require("../utils/logger");
+
+/**
+ * Read the password, asking for it on the terminal without echoing what
+ * is typed
+ */
+async function readPassword() {
+	if (process.env.USER_PASSWORD) {
+		return process.env.USER_PASSWORD;
+	}
+
+	// Everything readline writes after the prompt would echo the password
+	let muted = false;
+	const output = new Writable({
+		write(chunk, encoding, callback) {
+			if (!muted) process.stdout.write(chunk, encoding);
+			callback();
+		},
+	});
+	const prompt = readline.createInterface({
+		input: process.stdin,
+		output,
+		terminal: Boolean(process.stdin.isTTY),
+	});
+	try {
+		const password = prompt.question("Password: ");
+		muted = true;
+		return await password;
+	} finally {
+		prompt.close();
+		process.stdout.write("\n");
+	}
+}
+
+async function main() {
+	const [username, ...roles] = process.argv.slice(2);
+	if (!username) {
+		console.error("Usage: npm run create-user -- <username> [role ...]");
+		process.exit(1);
+	}
+
+	try {
+		const user = userService.create(username, await readPassword(), roles);
+		auditLogger.logConfigurationEvent("system", "user_create", "success", {
+			user_id: user.id,
+			username: user.username,
+			roles: user.roles,
+		});
+		console.log(
+			`Created user ${user.username} (${user.id}) with roles: ${
+				user.roles.join(", ") || "none"
+			}`
+		);
+	} catch (error) {
+		if (!(error instanceof UserError)) throw error;
+		console.error(error.message);
+		process.exit(1);
+	}
+}
+
+main();
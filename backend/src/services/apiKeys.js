@@ -0,0 +1,254 @@
+/**
+ * API Key Service
+ *
+ * Keys for machine-to-machine clients such as scheduled ETL jobs. A key
+ * is shown once when it is created; only its SHA-256 hash is stored. Each
+ * key is limited to a list of routes, optionally to some mapping
+ * profiles, and to its own request rate.
+ */
+
+const crypto = require("crypto");
+const config = require("../config");
+const { JsonStore } = require("../utils/jsonStore");
+
+const KEY_PREFIX = "cxk_";
+const KEY_BYTES = 32;
+
+// How stale a key's last_used_at may get before a request rewrites it
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Routes a key can be given, as "<METHOD> <path under /api/v1>"
+const KEY_ROUTES = [
+	"GET /schemas",
+	"POST /validate",
+	"POST /inspect",
+	"POST /convert",
+	"POST /convert/xml-to-excel",
+	"POST /convert/batch",
+	"POST /jobs",
+	"GET /jobs/:id",
+	"GET /jobs/:id/events",
+	"GET /download/:fileId",
+	"GET /error-reports/:fileId",
+	"GET /profiles",
+	"GET /profiles/:id",
+	"GET /templates",
+	"GET /templates/:id",
+	"GET /reviews",
+	"GET /reviews/:fileId",
+	"GET /conversions",
+	"GET /conversions/:fileId",
+];
+
+/**
+ * Raised when an API key definition is invalid; the message says why
+ */
+class ApiKeyError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "ApiKeyError";
+	}
+}
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Key record without its hash, as returned by the service
+ */
+function publicKey(record) {
+	if (!record) return null;
+	const { key_hash: keyHash, ...rest } = record;
+	return rest;
+}
+
+/**
+ * API Key Store Class
+ *
+ * A key looks like:
+ * {
+ *   name: "nightly-etl",
+ *   routes: ["POST /convert", "GET /download/:fileId"],
+ *   profiles: ["<profile id>"],
+ *   rate_limit: { calls: 20, period: 60 }
+ * }
+ *
+ * profiles is optional; when set, conversions must use one of them.
+ * rate_limit is optional and defaults to RATE_LIMIT_CALLS requests per
+ * RATE_LIMIT_PERIOD seconds.
+ */
+class ApiKeyStore {
+	constructor(filePath = config.getDataPath("api_keys.json")) {
+		this.store = new JsonStore(filePath);
+		// Requests counted per key in the current window: id -> { start, count }
+		this.windows = new Map();
+	}
+
+	/**
+	 * Validate a key definition, returns a list of error messages
+	 */
+	validate(definition) {
+		if (!definition || typeof definition !== "object") {
+			return ["API key must be an object"];
+		}
+
+		const errors = [];
+		if (typeof definition.name !== "string" || !definition.name.trim()) {
+			errors.push("name is required");
+		}
+		if (!Array.isArray(definition.routes) || definition.routes.length === 0) {
+			errors.push("routes must be a non-empty array");
+		} else {
+			for (const route of definition.routes) {
+				if (!KEY_ROUTES.includes(route)) {
+					errors.push(
+						`Unknown route "${route}", expected one of: ${KEY_ROUTES.join(", ")}`
+					);
+				}
+			}
+		}
+		if (definition.profiles !== undefined && definition.profiles !== null) {
+			if (
+				!Array.isArray(definition.profiles) ||
+				definition.profiles.length === 0 ||
+				!definition.profiles.every((id) => typeof id === "string")
+			) {
+				errors.push("profiles must be a non-empty array of profile ids");
+			}
+		}
+		if (definition.rate_limit !== undefined) {
+			const limit = definition.rate_limit;
+			if (
+				!limit ||
+				typeof limit !== "object" ||
+				!isPositiveInteger(limit.calls) ||
+				!isPositiveInteger(limit.period)
+			) {
+				errors.push(
+					"rate_limit must have whole numbers of calls and period (seconds) above 0"
+				);
+			}
+		}
+		return errors;
+	}
+
+	list() {
+		return this.store.list().map(publicKey);
+	}
+
+	get(id) {
+		return publicKey(this.store.get(id));
+	}
+
+	/**
+	 * Create a key, returns its record and the key itself, which is not
+	 * stored and cannot be shown again
+	 */
+	create(definition, createdBy) {
+		const errors = this.validate(definition);
+		if (errors.length > 0) {
+			throw new ApiKeyError(errors.join("; "));
+		}
+
+		const key = `${KEY_PREFIX}${crypto.randomBytes(KEY_BYTES).toString("base64url")}`;
+		const record = this.store.create({
+			name: definition.name.trim(),
+			prefix: key.slice(0, KEY_PREFIX.length + 6),
+			key_hash: hashKey(key),
+			routes: [...new Set(definition.routes)],
+			profiles: definition.profiles ? [...new Set(definition.profiles)] : null,
+			rate_limit: definition.rate_limit || {
+				calls: config.RATE_LIMIT_CALLS,
+				period: config.RATE_LIMIT_PERIOD,
+			},
+			created_by: createdBy,
+			revoked_at: null,
+			last_used_at: null,
+		});
+		return { record: publicKey(record), key };
+	}
+
+	/**
+	 * Revoke a key, returns null if it does not exist. Revoked keys are
+	 * kept so audit records can still be traced to them.
+	 */
+	revoke(id, revokedBy) {
+		const record = this.store.get(id);
+		if (!record) {
+			return null;
+		}
+		if (record.revoked_at) {
+			return publicKey(record);
+		}
+		this.windows.delete(id);
+		return publicKey(
+			this.store.update(id, {
+				revoked_at: new Date().toISOString(),
+				revoked_by: revokedBy,
+			})
+		);
+	}
+
+	/**
+	 * The active (not revoked) key record for a key, or null
+	 */
+	findActive(key) {
+		if (typeof key !== "string" || !key.startsWith(KEY_PREFIX)) {
+			return null;
+		}
+		const hash = Buffer.from(hashKey(key), "hex");
+		const record = this.store
+			.list((candidate) => !candidate.revoked_at)
+			.find((candidate) =>
+				crypto.timingSafeEqual(Buffer.from(candidate.key_hash, "hex"), hash)
+			);
+		return publicKey(record);
+	}
+
+	/**
+	 * Note a request by a key. last_used_at is only rewritten once it is
+	 * older than TOUCH_INTERVAL_MS, so busy keys do not rewrite the store
+	 * on every request.
+	 */
+	touch(record, now = Date.now()) {
+		if (
+			record.last_used_at &&
+			now - Date.parse(record.last_used_at) < TOUCH_INTERVAL_MS
+		) {
+			return;
+		}
+		this.store.update(record.id, { last_used_at: new Date(now).toISOString() });
+	}
+
+	/**
+	 * Count a request against a key's rate limit. Returns whether it is
+	 * allowed, the calls left and when the window resets (epoch ms).
+	 */
+	consume(record) {
+		const { calls, period } = record.rate_limit;
+		const now = Date.now();
+		let window = this.windows.get(record.id);
+		if (!window || now - window.start >= period * 1000) {
+			window = { start: now, count: 0 };
+			this.windows.set(record.id, window);
+		}
+		window.count++;
+		return {
+			allowed: window.count <= calls,
+			limit: calls,
+			remaining: Math.max(calls - window.count, 0),
+			resetAt: window.start + period * 1000,
+		};
+	}
+}
+
+// Create singleton instance
+const apiKeyStore = new ApiKeyStore();
+
+module.exports = {
+	ApiKeyStore,
+	ApiKeyError,
+	apiKeyStore,
+	KEY_ROUTES,
+};
@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "api-keys-test-"));
+process.env.DATA_DIR = tempDir;
+process.env.OUTPUT_DIR = path.join(tempDir, "output");
+process.env.LOG_FILE_PATH = path.join(tempDir, "audit.log");
+
+const { ApiKeyStore, ApiKeyError } = require("./apiKeys");
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const newStore = () =>
+	new ApiKeyStore(
+		path.join(fs.mkdtempSync(path.join(tempDir, "keys-")), "api_keys.json")
+	);
+
+test("key definitions are validated", () => {
+	const store = newStore();
+	assert.deepEqual(
+		store.validate({ name: "etl", routes: ["POST /convert"] }),
+		[]
+	);
+	const errors = store.validate({
+		name: " ",
+		routes: ["POST /users"],
+		profiles: [],
+		rate_limit: { calls: 0, period: 60 },
+	});
+	assert.equal(errors.length, 4);
+	assert.match(errors[1], /Unknown route "POST \/users"/);
+	assert.throws(
+		() => store.create({ name: "x", routes: [] }, "admin"),
+		ApiKeyError
+	);
+});
+
+test("keys are found by their secret until revoked, and only their hash is stored", () => {
+	const store = newStore();
+	const { record, key } = store.create(
+		{ name: "etl", routes: ["POST /convert", "POST /convert"] },
+		"admin"
+	);
+	assert.match(key, /^cxk_/);
+	assert.equal(record.key_hash, undefined);
+	assert.deepEqual(record.routes, ["POST /convert"]);
+	assert.ok(!fs.readFileSync(store.store.filePath, "utf-8").includes(key));
+
+	assert.equal(store.findActive(key).id, record.id);
+	assert.equal(store.findActive(`${key}x`), null);
+	assert.equal(store.findActive("not-a-key"), null);
+
+	store.revoke(record.id, "admin");
+	assert.equal(store.findActive(key), null);
+	assert.ok(store.get(record.id).revoked_at);
+});
+
+test("each key has its own rate limit window", () => {
+	const store = newStore();
+	const { record } = store.create(
+		{
+			name: "etl",
+			routes: ["POST /convert"],
+			rate_limit: { calls: 2, period: 60 },
+		},
+		"admin"
+	);
+	const { record: other } = store.create(
+		{
+			name: "other",
+			routes: ["POST /convert"],
+			rate_limit: { calls: 2, period: 60 },
+		},
+		"admin"
+	);
+
+	assert.equal(store.consume(record).remaining, 1);
+	assert.equal(store.consume(record).allowed, true);
+	const denied = store.consume(record);
+	assert.equal(denied.allowed, false);
+	assert.equal(denied.remaining, 0);
+	assert.equal(store.consume(other).allowed, true);
+});
+
+test("last_used_at is rewritten at most once a minute", () => {
+	const store = newStore();
+	const { record } = store.create(
+		{ name: "etl", routes: ["POST /convert"] },
+		"admin"
+	);
+	const start = Date.parse("2024-01-01T00:00:00Z");
+
+	store.touch(record, start);
+	const touched = store.get(record.id);
+	assert.equal(touched.last_used_at, "2024-01-01T00:00:00.000Z");
+
+	store.touch(touched, start + 59 * 1000);
+	assert.equal(store.get(record.id).last_used_at, "2024-01-01T00:00:00.000Z");
+
+	store.touch(touched, start + 60 * 1000);
+	assert.equal(store.get(record.id).last_used_at, "2024-01-01T00:01:00.000Z");
+});
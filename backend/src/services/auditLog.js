@@ -0,0 +1,75 @@
+/**
+ * Audit Log Service
+ *
+ * Reads audit records back from the log file written by the audit logger.
+ * Only the current file is read; rotated files are left alone.
+ */
+
+const fs = require("fs");
+const readline = require("readline");
+const config = require("../config");
+
+// "<time> [LEVEL] <json>", as written by utils/logger.js
+const LINE_PATTERN = /^\S+ \S+ \[(\w+)\] (\{.*\})$/;
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+const FILTERS = ["event_type", "user_id", "action", "status"];
+
+/**
+ * Parse a log line as an audit record with its level, or null for lines
+ * that are not audit records
+ */
+function parseLine(line) {
+	const match = LINE_PATTERN.exec(line);
+	if (!match) return null;
+	try {
+		const record = JSON.parse(match[2]);
+		return record.event_type ? { level: match[1], ...record } : null;
+	} catch (error) {
+		return null;
+	}
+}
+
+/**
+ * Read the newest audit records, newest first. Records can be filtered
+ * on event_type, user_id, action and status, and on being no older than
+ * since (an ISO timestamp).
+ */
+async function readAuditLog(
+	{ limit = DEFAULT_LIMIT, since = null, ...filters } = {},
+	filePath = config.LOG_FILE_PATH
+) {
+	if (!fs.existsSync(filePath)) {
+		return [];
+	}
+
+	const matches = (record) =>
+		FILTERS.every(
+			(key) => filters[key] === undefined || record[key] === filters[key]
+		) &&
+		(!since || record.timestamp >= since);
+
+	// Keep the newest `limit` matching records while reading the file once
+	const records = [];
+	const lines = readline.createInterface({
+		input: fs.createReadStream(filePath, "utf-8"),
+		crlfDelay: Infinity,
+	});
+	for await (const line of lines) {
+		const record = parseLine(line);
+		if (record && matches(record)) {
+			records.push(record);
+			if (records.length > limit) records.shift();
+		}
+	}
+	return records.reverse();
+}
+
+module.exports = {
+	readAuditLog,
+	FILTERS,
+	DEFAULT_LIMIT,
+	MAX_LIMIT,
+};
@@ -0,0 +1,193 @@
+/**
+ * Batch Conversion Service
+ *
+ * Converts many workbooks with the same header fields and options and
+ * packs the outputs into one ZIP archive with a manifest
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { once } = require("events");
+const archiver = require("archiver");
+const { v4: uuidv4 } = require("uuid");
+const config = require("../config");
+const { auditLogger } = require("../utils/logger");
+const { encryption } = require("../utils/encryption");
+const { jobQueue } = require("./jobs");
+const { OUTPUT_FORMATS } = require("./converter");
+
+const MANIFEST_NAME = "manifest.json";
+
+/**
+ * Batch Converter Class
+ *
+ * Each workbook runs as its own job on the job queue's worker pool, so a
+ * workbook that fails to convert is recorded in the manifest and the rest
+ * of the batch carries on.
+ */
+class BatchConverter {
+	/**
+	 * Name each output after its workbook, numbering repeated names
+	 */
+	_entryNames(files, ext) {
+		const used = new Set([MANIFEST_NAME]);
+		return files.map((file) => {
+			const base =
+				path
+					.basename(file.originalname, path.extname(file.originalname))
+					.replace(/[^\w.-]+/g, "_") || "workbook";
+			let name = `${base}${ext}`;
+			for (let n = 2; used.has(name); n++) {
+				name = `${base}_${n}${ext}`;
+			}
+			used.add(name);
+			return name;
+		});
+	}
+
+	/**
+	 * Write the converted outputs and the manifest to a ZIP file
+	 */
+	async _writeZip(zipFile, entries, manifest) {
+		const out = fs.createWriteStream(zipFile);
+		const archive = archiver("zip", { zlib: { level: 9 } });
+		archive.pipe(out);
+
+		for (const entry of entries) {
+			archive.file(entry.outputFile, { name: entry.name });
+		}
+		archive.append(JSON.stringify(manifest, null, 2), { name: MANIFEST_NAME });
+
+		await Promise.all([archive.finalize(), once(out, "close")]);
+	}
+
+	/**
+	 * Convert uploaded workbooks into a ZIP at zipFile (zipFile + ".enc"
+	 * when encrypted). `files` are multer uploads, `rejected` lists
+	 * uploads refused before conversion as { originalname, error }, and
+	 * `request` is the shared parsed request_data. No ZIP is written when
+	 * no workbook converts.
+	 *
+	 * Resolves with { outputFile, manifest }; outputFile is null without a ZIP.
+	 */
+	async convert(files, rejected, request, zipFile, userId = "system") {
+		const startTime = Date.now();
+		const ext = OUTPUT_FORMATS[request.options.outputFormat || "xml"];
+		const names = this._entryNames(files, ext);
+
+		const entries = files.map((file, i) => ({
+			file,
+			name: names[i],
+			outputFile: config.getOutputPath(`${uuidv4()}_batch${ext}`),
+		}));
+
+		try {
+			const jobs = entries.map((entry) =>
+				jobQueue.submit(
+					{
+						inputFile: entry.file.path,
+						outputFile: entry.outputFile,
+						headerFields: request.headerFields,
+						sheetName: request.sheetName,
+						encryptOutput: false,
+						userId,
+						options: {
+							...request.options,
+							sourceFileName: entry.file.originalname,
+						},
+					},
+					{ fileName: entry.file.originalname }
+				)
+			);
+			const results = await Promise.all(jobs.map((job) => jobQueue.wait(job)));
+
+			const manifestFiles = entries.map((entry, i) => {
+				const job = results[i];
+				const succeeded = job.state === "succeeded";
+				return {
+					file_name: entry.file.originalname,
+					output_file: succeeded ? entry.name : null,
+					status: succeeded ? "succeeded" : "failed",
+					rows_processed: succeeded ? job.rows_processed : 0,
+					sheets: job.sheets || [],
+					control_totals: succeeded ? job.control_totals : null,
+					errors: job.errors,
+				};
+			});
+			for (const file of rejected) {
+				manifestFiles.push({
+					file_name: file.originalname,
+					output_file: null,
+					status: "failed",
+					rows_processed: 0,
+					sheets: [],
+					control_totals: null,
+					errors: [{ message: file.error }],
+				});
+			}
+
+			const succeeded = manifestFiles.filter((f) => f.status === "succeeded");
+			const manifest = {
+				created_at: new Date().toISOString(),
+				summary: {
+					files: manifestFiles.length,
+					succeeded: succeeded.length,
+					failed: manifestFiles.length - succeeded.length,
+					rows_processed: succeeded.reduce(
+						(total, f) => total + f.rows_processed,
+						0
+					),
+				},
+				files: manifestFiles,
+			};
+
+			let outputFile = null;
+			if (succeeded.length > 0) {
+				await this._writeZip(
+					zipFile,
+					entries.filter((entry, i) => results[i].state === "succeeded"),
+					manifest
+				);
+				outputFile = zipFile;
+
+				if (request.encryptOutput) {
+					outputFile = `${zipFile}.enc`;
+					encryption.encryptFile(zipFile, outputFile, userId);
+					fs.unlinkSync(zipFile);
+				}
+			}
+
+			auditLogger.logConversionEvent(
+				userId,
+				`batch of ${manifestFiles.length} file(s)`,
+				outputFile ? String(outputFile) : "",
+				Date.now() - startTime,
+				outputFile ? "success" : "error",
+				{
+					...manifest.summary,
+					failed_files: manifestFiles
+						.filter((f) => f.status === "failed")
+						.map((f) => f.file_name),
+					encrypted: Boolean(request.encryptOutput),
+				}
+			);
+
+			return { outputFile, manifest };
+		} finally {
+			// The ZIP holds the outputs now; jobs remove their own inputs
+			for (const entry of entries) {
+				if (fs.existsSync(entry.outputFile)) {
+					fs.unlinkSync(entry.outputFile);
+				}
+			}
+		}
+	}
+}
+
+// Create singleton instance
+const batchConverter = new BatchConverter();
+
+module.exports = {
+	batchConverter,
+	BatchConverter,
+};
@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "batch-test-"));
+process.env.DATA_DIR = tempDir;
+process.env.OUTPUT_DIR = path.join(tempDir, "output");
+process.env.SCHEMA_DIR = path.join(tempDir, "schemas");
+process.env.LOG_FILE_PATH = path.join(tempDir, "audit.log");
+
+const XLSX = require("xlsx");
+const config = require("../config");
+const { batchConverter } = require("./batch");
+const { jobQueue } = require("./jobs");
+
+test.after(async () => {
+	// Idle workers would keep the test process alive
+	await Promise.all(jobQueue.idle.map((worker) => worker.terminate()));
+	fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+let count = 0;
+
+/**
+ * An upload as multer gives it, of a workbook with one sheet of rows
+ */
+function upload(originalname, rows) {
+	const book = XLSX.utils.book_new();
+	XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet(rows), "Data");
+	const filePath = path.join(tempDir, `upload_${++count}.xlsx`);
+	XLSX.writeFile(book, filePath);
+	return { path: filePath, originalname };
+}
+
+const request = {
+	headerFields: { PERIOD: "2024Q1" },
+	sheetName: null,
+	encryptOutput: false,
+	options: { outputFormat: "xml" },
+};
+
+test("a batch zips the outputs that convert and lists every file", async () => {
+	const files = [
+		upload("loans.xlsx", [["ID"], [1], [2]]),
+		upload("loans.xlsx", [["ID"], [3]]),
+		upload("empty.xlsx", [["ID"]]),
+	];
+	const rejected = [{ originalname: "notes.txt", error: "Unsupported file" }];
+	const zipFile = config.getOutputPath("batch.zip");
+
+	const { outputFile, manifest } = await batchConverter.convert(
+		files,
+		rejected,
+		request,
+		zipFile
+	);
+
+	assert.equal(outputFile, zipFile);
+	assert.deepEqual(manifest.summary, {
+		files: 4,
+		succeeded: 2,
+		failed: 2,
+		rows_processed: 3,
+	});
+	assert.deepEqual(
+		manifest.files.map((file) => [file.file_name, file.output_file]),
+		[
+			["loans.xlsx", "loans.xml"],
+			["loans.xlsx", "loans_2.xml"],
+			["empty.xlsx", null],
+			["notes.txt", null],
+		]
+	);
+	assert.equal(manifest.files[2].errors[0].message, "Excel file is empty");
+	assert.equal(manifest.files[3].errors[0].message, "Unsupported file");
+
+	// Entry names are stored uncompressed in the ZIP's headers
+	const zip = fs.readFileSync(zipFile);
+	assert.equal(zip.subarray(0, 2).toString(), "PK");
+	for (const name of ["loans.xml", "loans_2.xml", "manifest.json"]) {
+		assert.ok(zip.includes(name), `${name} is in the ZIP`);
+	}
+
+	// Only the ZIP is left behind
+	for (const file of files) {
+		assert.equal(fs.existsSync(file.path), false);
+	}
+	assert.deepEqual(fs.readdirSync(config.OUTPUT_DIR), ["batch.zip"]);
+});
+
+test("a batch where nothing converts writes no ZIP", async () => {
+	const zipFile = config.getOutputPath("failed.zip");
+	const { outputFile, manifest } = await batchConverter.convert(
+		[upload("empty.xlsx", [["ID"]])],
+		[],
+		request,
+		zipFile
+	);
+
+	assert.equal(outputFile, null);
+	assert.equal(manifest.summary.succeeded, 0);
+	assert.equal(fs.existsSync(zipFile), false);
+});
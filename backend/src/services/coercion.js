@@ -0,0 +1,423 @@
+/**
+ * Column Type Coercion Service
+ *
+ * Turns spreadsheet cells into normalized text according to per-column type
+ * rules, independent of the sender's locale and display formats
+ */
+
+const XLSX = require("xlsx");
+
+const COLUMN_TYPES = [
+	"string",
+	"uppercase",
+	"date",
+	"decimal",
+	"integer",
+	"code",
+	"boolean",
+];
+const DATE_INPUT_FORMATS = ["DD/MM/YYYY", "MM/DD/YYYY"];
+const MONTHS = [
+	"JAN",
+	"FEB",
+	"MAR",
+	"APR",
+	"MAY",
+	"JUN",
+	"JUL",
+	"AUG",
+	"SEP",
+	"OCT",
+	"NOV",
+	"DEC",
+];
+const TRUE_VALUES = ["true", "yes", "y", "1"];
+const FALSE_VALUES = ["false", "no", "n", "0"];
+
+/**
+ * Raised when a cell value cannot be coerced to its column type
+ */
+class CoercionError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "CoercionError";
+	}
+}
+
+/**
+ * Validate a column type rule, returns a list of error messages
+ */
+function validateTypeRule(rule, label = "type") {
+	const errors = [];
+	if (!COLUMN_TYPES.includes(rule.type)) {
+		errors.push(`${label} must be one of ${COLUMN_TYPES.join(", ")}`);
+		return errors;
+	}
+
+	if (rule.type === "date") {
+		if (
+			rule.format !== undefined &&
+			(typeof rule.format !== "string" || !rule.format.trim())
+		) {
+			errors.push(
+				`${label} format must be a non-empty date pattern such as "YYYY-MM-DD"`
+			);
+		}
+		if (
+			rule.input_format !== undefined &&
+			!DATE_INPUT_FORMATS.includes(rule.input_format)
+		) {
+			errors.push(
+				`${label} input_format must be one of ${DATE_INPUT_FORMATS.join(", ")}`
+			);
+		}
+	}
+	if (rule.type === "decimal" && rule.scale !== undefined) {
+		if (!Number.isInteger(rule.scale) || rule.scale < 0 || rule.scale > 20) {
+			errors.push(`${label} scale must be an integer between 0 and 20`);
+		}
+	}
+	if (rule.type === "code") {
+		if (!Number.isInteger(rule.length) || rule.length < 1) {
+			errors.push(`${label} length must be a positive integer`);
+		}
+	}
+	if (rule.type === "boolean") {
+		for (const key of ["true_value", "false_value"]) {
+			if (rule[key] !== undefined && typeof rule[key] !== "string") {
+				errors.push(`${label} ${key} must be a string`);
+			}
+		}
+	}
+	return errors;
+}
+
+/**
+ * Keep only the options that apply to the rule's type
+ */
+function normalizeTypeRule(rule) {
+	switch (rule.type) {
+		case "date":
+			return {
+				type: "date",
+				format: rule.format || "YYYY-MM-DD",
+				...(rule.input_format ? { input_format: rule.input_format } : {}),
+			};
+		case "decimal":
+			return {
+				type: "decimal",
+				scale: rule.scale !== undefined ? rule.scale : 2,
+			};
+		case "code":
+			return { type: "code", length: rule.length };
+		case "boolean":
+			return {
+				type: "boolean",
+				true_value: rule.true_value !== undefined ? rule.true_value : "true",
+				false_value:
+					rule.false_value !== undefined ? rule.false_value : "false",
+			};
+		default:
+			return { type: rule.type };
+	}
+}
+
+const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+/**
+ * Format date parts ({ y, m, d, H, M, S }) with a pattern made of
+ * YYYY, YY, MMM, MM, M, DD, D, HH, mm and ss tokens
+ */
+function formatDate(parts, pattern) {
+	const tokens = {
+		YYYY: () => pad(parts.y, 4),
+		YY: () => pad(parts.y % 100),
+		MMM: () =>
+			MONTHS[parts.m - 1].charAt(0) +
+			MONTHS[parts.m - 1].slice(1).toLowerCase(),
+		MM: () => pad(parts.m),
+		M: () => String(parts.m),
+		DD: () => pad(parts.d),
+		D: () => String(parts.d),
+		HH: () => pad(parts.H || 0),
+		mm: () => pad(parts.M || 0),
+		ss: () => pad(parts.S || 0),
+	};
+	return pattern.replace(/YYYY|YY|MMM|MM|M|DD|D|HH|mm|ss/g, (token) =>
+		tokens[token]()
+	);
+}
+
+const DATE_TOKEN_PATTERN = /YYYY|YY|MMM|MM|M|DD|D|HH|mm|ss/g;
+const DATE_TOKEN_SOURCES = {
+	YYYY: "(\\d{4})",
+	YY: "(\\d{2})",
+	MMM: "([A-Za-z]{3})",
+	MM: "(\\d{2})",
+	M: "(\\d{1,2})",
+	DD: "(\\d{2})",
+	D: "(\\d{1,2})",
+	HH: "(\\d{2})",
+	mm: "(\\d{2})",
+	ss: "(\\d{2})",
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Read text written by formatDate with the same pattern back into a
+ * sortable number (YYYYMMDDHHmmss), or null when it does not match
+ */
+function parseFormattedDate(text, pattern) {
+	const tokens = [];
+	let source = "";
+	let last = 0;
+	for (const match of pattern.matchAll(DATE_TOKEN_PATTERN)) {
+		source +=
+			escapeRegExp(pattern.slice(last, match.index)) +
+			DATE_TOKEN_SOURCES[match[0]];
+		tokens.push(match[0]);
+		last = match.index + match[0].length;
+	}
+	source += escapeRegExp(pattern.slice(last));
+
+	const match = new RegExp(`^${source}$`).exec(String(text).trim());
+	if (!match) return null;
+
+	const parts = { y: 0, m: 1, d: 1, H: 0, M: 0, S: 0 };
+	tokens.forEach((token, i) => {
+		const value = match[i + 1];
+		switch (token) {
+			case "YYYY":
+				parts.y = Number(value);
+				break;
+			case "YY":
+				parts.y = expandYear(value);
+				break;
+			case "MMM":
+				parts.m = MONTHS.indexOf(value.toUpperCase()) + 1;
+				break;
+			case "MM":
+			case "M":
+				parts.m = Number(value);
+				break;
+			case "DD":
+			case "D":
+				parts.d = Number(value);
+				break;
+			case "HH":
+				parts.H = Number(value);
+				break;
+			case "mm":
+				parts.M = Number(value);
+				break;
+			case "ss":
+				parts.S = Number(value);
+				break;
+		}
+	});
+	if (parts.m < 1) return null;
+	return (
+		((((parts.y * 100 + parts.m) * 100 + parts.d) * 100 + parts.H) * 100 +
+			parts.M) *
+			100 +
+		parts.S
+	);
+}
+
+/**
+ * Expand a two digit year the way Excel does (00-29 => 2000s)
+ */
+function expandYear(year) {
+	if (year.length === 4) return Number(year);
+	const value = Number(year);
+	return value < 30 ? 2000 + value : 1900 + value;
+}
+
+/**
+ * Check that date parts describe a real calendar date
+ */
+function isValidDate({ y, m, d }) {
+	const date = new Date(Date.UTC(y, m - 1, d));
+	return (
+		date.getUTCFullYear() === y &&
+		date.getUTCMonth() === m - 1 &&
+		date.getUTCDate() === d
+	);
+}
+
+/**
+ * Parse a cell into date parts
+ */
+function parseDate(cell, text, rule) {
+	if (cell.t === "n") {
+		const parsed = XLSX.SSF.parse_date_code(cell.v);
+		if (!parsed) {
+			throw new CoercionError(`Cannot convert "${text}" to a date`);
+		}
+		return parsed;
+	}
+	if (cell.t === "d" && cell.v instanceof Date) {
+		const v = cell.v;
+		return {
+			y: v.getFullYear(),
+			m: v.getMonth() + 1,
+			d: v.getDate(),
+			H: v.getHours(),
+			M: v.getMinutes(),
+			S: v.getSeconds(),
+		};
+	}
+
+	let parts = null;
+	let match;
+	if (
+		(match =
+			/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(
+				text
+			))
+	) {
+		parts = {
+			y: Number(match[1]),
+			m: Number(match[2]),
+			d: Number(match[3]),
+			H: Number(match[4] || 0),
+			M: Number(match[5] || 0),
+			S: Number(match[6] || 0),
+		};
+	} else if (
+		(match = /^(\d{1,2})[-\s]([A-Za-z]{3})[a-z]*[-\s](\d{2}|\d{4})$/.exec(text))
+	) {
+		const month = MONTHS.indexOf(match[2].toUpperCase());
+		if (month !== -1) {
+			parts = { y: expandYear(match[3]), m: month + 1, d: Number(match[1]) };
+		}
+	} else if (
+		(match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/.exec(text))
+	) {
+		if (!rule.input_format) {
+			throw new CoercionError(
+				`Date "${text}" is ambiguous; set input_format to DD/MM/YYYY or MM/DD/YYYY`
+			);
+		}
+		const dayFirst = rule.input_format === "DD/MM/YYYY";
+		parts = {
+			y: expandYear(match[3]),
+			m: Number(dayFirst ? match[2] : match[1]),
+			d: Number(dayFirst ? match[1] : match[2]),
+		};
+	}
+
+	if (!parts || !isValidDate(parts)) {
+		throw new CoercionError(`Cannot convert "${text}" to a date`);
+	}
+	return parts;
+}
+
+/**
+ * Round a plain decimal string half away from zero to a fixed scale
+ */
+function roundDecimal(text, scale) {
+	const negative = text.startsWith("-");
+	const [whole, fraction = ""] = text.replace(/^[+-]/, "").split(".");
+	const digits = (whole + fraction.padEnd(scale + 1, "0").slice(0, scale + 1))
+		.split("")
+		.map(Number);
+
+	const roundUp = digits.pop() >= 5;
+	if (roundUp) {
+		let i = digits.length - 1;
+		while (i >= 0 && digits[i] === 9) {
+			digits[i] = 0;
+			i--;
+		}
+		if (i < 0) digits.unshift(1);
+		else digits[i]++;
+	}
+
+	const joined = digits.join("");
+	const intPart =
+		joined.slice(0, joined.length - scale).replace(/^0+(?=\d)/, "") || "0";
+	const fracPart = scale > 0 ? `.${joined.slice(joined.length - scale)}` : "";
+	const result = intPart + fracPart;
+	return negative && /[1-9]/.test(result) ? `-${result}` : result;
+}
+
+/**
+ * Get a plain decimal string (no exponent or separators) from a cell
+ */
+function parseNumber(cell, text, typeName) {
+	let value;
+	if (cell.t === "n") {
+		value = String(cell.v);
+		if (/e/i.test(value)) {
+			value = cell.v.toFixed(20).replace(/\.?0+$/, "");
+		}
+	} else {
+		value = text.replace(/[,\s]/g, "");
+	}
+	if (!/^[+-]?\d+(\.\d+)?$/.test(value)) {
+		throw new CoercionError(`Cannot convert "${text}" to ${typeName}`);
+	}
+	return value;
+}
+
+/**
+ * Coerce a cell to normalized text according to a column type rule.
+ * Blank cells stay blank; anything that cannot be coerced throws a
+ * CoercionError.
+ */
+function coerceCell(cell, text, rule) {
+	if (!cell || text.trim() === "") {
+		return "";
+	}
+	const trimmed = text.trim();
+
+	switch (rule.type) {
+		case "string":
+			return trimmed;
+		case "uppercase":
+			return trimmed.toUpperCase();
+		case "date":
+			return formatDate(parseDate(cell, trimmed, rule), rule.format);
+		case "decimal":
+			return roundDecimal(parseNumber(cell, trimmed, "a decimal"), rule.scale);
+		case "integer": {
+			const value = parseNumber(cell, trimmed, "an integer");
+			if (!/^[+-]?\d+(\.0+)?$/.test(value)) {
+				throw new CoercionError(`Cannot convert "${trimmed}" to an integer`);
+			}
+			return roundDecimal(value, 0);
+		}
+		case "code": {
+			const value = cell.t === "n" ? String(cell.v) : trimmed;
+			if (!/^\d+$/.test(value)) {
+				throw new CoercionError(`Code "${trimmed}" must contain only digits`);
+			}
+			if (value.length > rule.length) {
+				throw new CoercionError(
+					`Code "${trimmed}" is longer than ${rule.length} digits`
+				);
+			}
+			return value.padStart(rule.length, "0");
+		}
+		case "boolean": {
+			const value = cell.t === "b" ? String(cell.v) : trimmed.toLowerCase();
+			if (TRUE_VALUES.includes(value)) return rule.true_value;
+			if (FALSE_VALUES.includes(value)) return rule.false_value;
+			throw new CoercionError(`Cannot convert "${trimmed}" to a boolean`);
+		}
+		default:
+			throw new CoercionError(`Unknown column type "${rule.type}"`);
+	}
+}
+
+module.exports = {
+	COLUMN_TYPES,
+	CoercionError,
+	validateTypeRule,
+	normalizeTypeRule,
+	formatDate,
+	parseFormattedDate,
+	coerceCell,
+};
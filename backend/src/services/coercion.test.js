@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+	CoercionError,
+	validateTypeRule,
+	normalizeTypeRule,
+	formatDate,
+	parseFormattedDate,
+	coerceCell,
+} = require("./coercion");
+
+// Cells as the xlsx reader returns them: "n"umber, "s"tring, "b"oolean
+const number = (v) => ({ t: "n", v });
+const text = (v) => ({ t: "s", v });
+const coerce = (cell, rule) =>
+	coerceCell(cell, String(cell.v), normalizeTypeRule(rule));
+
+test("blank cells stay blank whatever the type", () => {
+	assert.equal(coerceCell(null, "", { type: "integer" }), "");
+	assert.equal(coerce(text("  "), { type: "date" }), "");
+});
+
+test("dates from Excel serials and ISO text use the rule's format", () => {
+	assert.equal(coerce(number(45292), { type: "date" }), "2024-01-01");
+	assert.equal(
+		coerce(text("2024-03-05 14:07"), {
+			type: "date",
+			format: "DD.MM.YYYY HH:mm",
+		}),
+		"05.03.2024 14:07"
+	);
+	assert.equal(
+		coerce(text("7-Feb-24"), { type: "date", format: "D MMM YY" }),
+		"7 Feb 24"
+	);
+});
+
+test("slash dates need an input_format to say which part is the day", () => {
+	assert.throws(
+		() => coerce(text("03/04/2024"), { type: "date" }),
+		/ambiguous/
+	);
+	assert.equal(
+		coerce(text("03/04/2024"), { type: "date", input_format: "DD/MM/YYYY" }),
+		"2024-04-03"
+	);
+	assert.equal(
+		coerce(text("03/04/2024"), { type: "date", input_format: "MM/DD/YYYY" }),
+		"2024-03-04"
+	);
+});
+
+test("impossible dates are rejected", () => {
+	assert.throws(
+		() => coerce(text("2023-02-29"), { type: "date" }),
+		CoercionError
+	);
+});
+
+test("formatted dates read back into sortable numbers", () => {
+	assert.equal(parseFormattedDate("05.03.2024", "DD.MM.YYYY"), 20240305000000);
+	assert.equal(parseFormattedDate("2024-03-05", "DD.MM.YYYY"), null);
+	assert.equal(formatDate({ y: 2024, m: 12, d: 9 }, "YYYYMMDD"), "20241209");
+});
+
+test("decimals round half away from zero to their scale", () => {
+	assert.equal(coerce(number(2.345), { type: "decimal" }), "2.35");
+	assert.equal(
+		coerce(text("-1,234.5"), { type: "decimal", scale: 0 }),
+		"-1235"
+	);
+	assert.equal(
+		coerce(number(1e-7), { type: "decimal", scale: 8 }),
+		"0.00000010"
+	);
+	assert.equal(coerce(text("-0.001"), { type: "decimal" }), "0.00");
+	assert.throws(
+		() => coerce(text("12abc"), { type: "decimal" }),
+		/Cannot convert "12abc" to a decimal/
+	);
+});
+
+test("integers refuse fractions", () => {
+	assert.equal(coerce(text("42.0"), { type: "integer" }), "42");
+	assert.throws(() => coerce(number(4.2), { type: "integer" }), CoercionError);
+});
+
+test("codes are zero padded and limited to their length", () => {
+	assert.equal(coerce(number(42), { type: "code", length: 5 }), "00042");
+	assert.throws(
+		() => coerce(text("123456"), { type: "code", length: 5 }),
+		/longer than 5 digits/
+	);
+	assert.throws(
+		() => coerce(text("12-3"), { type: "code", length: 5 }),
+		/digits/
+	);
+});
+
+test("booleans map to the rule's true and false values", () => {
+	const rule = { type: "boolean", true_value: "Y", false_value: "N" };
+	assert.equal(coerce({ t: "b", v: true }, rule), "Y");
+	assert.equal(coerce(text("No"), rule), "N");
+	assert.throws(() => coerce(text("maybe"), rule), CoercionError);
+});
+
+test("type rules are validated", () => {
+	assert.deepEqual(validateTypeRule({ type: "date", format: "YYYY" }), []);
+	assert.match(validateTypeRule({ type: "money" })[0], /type must be one of/);
+	assert.match(
+		validateTypeRule({ type: "date", input_format: "YYYY/MM/DD" })[0],
+		/input_format/
+	);
+	assert.match(
+		validateTypeRule({ type: "decimal", scale: 21 })[0],
+		/scale must be an integer between 0 and 20/
+	);
+	assert.match(validateTypeRule({ type: "code" })[0], /length/);
+});
@@ -0,0 +1,168 @@
+/**
+ * Control Total Service
+ *
+ * Validates control total definitions and aggregates column values for
+ * them. Sums and comparisons use exact decimal arithmetic.
+ */
+
+const AGGREGATES = ["count", "sum", "min", "max", "sha256"];
+
+// Same rule the frontend applies to header tag names
+const XML_NAME_PATTERN = /^[a-zA-Z_][\w.-]*$/;
+
+const DECIMAL_PATTERN = /^([+-]?)(\d+)(?:\.(\d+))?$/;
+const GROUPED_DECIMAL_PATTERN = /^[+-]?\d{1,3}(,\d{3})+(\.\d+)?$/;
+
+/**
+ * Raised when a value cannot be added to a control total; the message is
+ * reported against the value's row and column
+ */
+class ControlTotalError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "ControlTotalError";
+	}
+}
+
+/**
+ * Validate control total definitions ([{ tag, aggregate, column }]),
+ * returns a list of error messages
+ */
+function validateControlTotals(definitions, label = "control_totals") {
+	if (!Array.isArray(definitions)) {
+		return [`${label} must be an array`];
+	}
+
+	const errors = [];
+	const tags = new Set();
+	definitions.forEach((definition, i) => {
+		const item = `${label}[${i}]`;
+		if (!definition || typeof definition !== "object") {
+			errors.push(`${item} must be an object`);
+			return;
+		}
+
+		if (
+			typeof definition.tag !== "string" ||
+			!XML_NAME_PATTERN.test(definition.tag)
+		) {
+			errors.push(`${item}.tag must be a valid XML element name`);
+		} else if (tags.has(definition.tag)) {
+			errors.push(`${item}.tag "${definition.tag}" is used more than once`);
+		} else {
+			tags.add(definition.tag);
+		}
+
+		if (!AGGREGATES.includes(definition.aggregate)) {
+			errors.push(`${item}.aggregate must be one of ${AGGREGATES.join(", ")}`);
+			return;
+		}
+		const hasColumn =
+			typeof definition.column === "string" && definition.column.trim();
+		if (definition.column !== undefined && !hasColumn) {
+			errors.push(`${item}.column must be a column name`);
+		}
+		if (["sum", "min", "max"].includes(definition.aggregate) && !hasColumn) {
+			errors.push(`${item}.column is required for ${definition.aggregate}`);
+		}
+		if (definition.aggregate === "sha256" && definition.column !== undefined) {
+			errors.push(`${item}.column cannot be set for sha256`);
+		}
+	});
+	return errors;
+}
+
+/**
+ * Parse a decimal number as { digits, scale } where the value is
+ * digits / 10^scale, or null when the text is not a number. Thousands
+ * separators are accepted.
+ */
+function parseDecimal(text) {
+	let value = String(text).trim();
+	if (GROUPED_DECIMAL_PATTERN.test(value)) {
+		value = value.replace(/,/g, "");
+	}
+	const match = DECIMAL_PATTERN.exec(value);
+	if (!match) {
+		return null;
+	}
+	const [, sign, whole, fraction = ""] = match;
+	return {
+		digits: BigInt(`${sign}${whole}${fraction}`),
+		scale: fraction.length,
+	};
+}
+
+const rescale = (number, scale) =>
+	number.digits * 10n ** BigInt(scale - number.scale);
+
+function compareDecimals(a, b) {
+	const scale = Math.max(a.scale, b.scale);
+	const left = rescale(a, scale);
+	const right = rescale(b, scale);
+	return left < right ? -1 : left > right ? 1 : 0;
+}
+
+function formatDecimal({ digits, scale }) {
+	const negative = digits < 0n;
+	const text = (negative ? -digits : digits)
+		.toString()
+		.padStart(scale + 1, "0");
+	const whole = text.slice(0, text.length - scale);
+	const fraction = text.slice(text.length - scale);
+	return `${negative ? "-" : ""}${whole}${scale > 0 ? `.${fraction}` : ""}`;
+}
+
+/**
+ * Accumulates the values of one count, sum, min or max control total.
+ * Blank values are skipped.
+ */
+class Aggregator {
+	constructor(definition) {
+		this.aggregate = definition.aggregate;
+		this.count = 0;
+		this.value = null;
+	}
+
+	/**
+	 * Add a record, or for column totals one of its values
+	 */
+	add(value = null) {
+		if (value !== null && String(value).trim() === "") return;
+		this.count++;
+		if (this.aggregate === "count") return;
+
+		const number = parseDecimal(value);
+		if (!number) {
+			throw new ControlTotalError(`"${value}" is not a number`);
+		}
+		if (this.value === null) {
+			this.value = number;
+		} else if (this.aggregate === "sum") {
+			const scale = Math.max(this.value.scale, number.scale);
+			this.value = {
+				digits: rescale(this.value, scale) + rescale(number, scale),
+				scale,
+			};
+		} else {
+			const order = compareDecimals(number, this.value);
+			if (this.aggregate === "min" ? order < 0 : order > 0) {
+				this.value = number;
+			}
+		}
+	}
+
+	result() {
+		if (this.aggregate === "count") return String(this.count);
+		if (this.value === null) return this.aggregate === "sum" ? "0" : "";
+		return formatDecimal(this.value);
+	}
+}
+
+module.exports = {
+	ControlTotalError,
+	Aggregator,
+	validateControlTotals,
+	parseDecimal,
+	compareDecimals,
+};
@@ -0,0 +1,452 @@
+/**
+ * Conversion History Service
+ *
+ * Keeps a record of every conversion: what was converted, by whom, its
+ * row statistics and, for successful ones, a hash and a preview of the
+ * output. Outputs can be downloaded again until they expire after
+ * OUTPUT_RETENTION_HOURS; a scheduled purge then deletes them while their
+ * record stays for CONVERSION_HISTORY_DAYS, after which it moves to an
+ * append-only archive.
+ *
+ * With APPROVAL_REQUIRED, outputs wait in "pending_review" until a user
+ * other than the one who converted them approves or rejects them, and
+ * only approved outputs can be downloaded.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+const { JsonStore } = require("../utils/jsonStore");
+const { encryption } = require("../utils/encryption");
+const { auditLogger, logger } = require("../utils/logger");
+
+const REVIEW_STATES = ["pending_review", "approved", "rejected"];
+const STATUSES = ["succeeded", "failed"];
+
+// Outputs previewed as text, and how much of them
+const PREVIEW_FORMATS = [".xml", ".json", ".csv"];
+const PREVIEW_LINES = 40;
+const MAX_PREVIEW_BYTES = 16 * 1024;
+
+const READ_CHUNK_BYTES = 64 * 1024;
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Raised when a review cannot be recorded; status is the HTTP status
+ * the route answers with
+ */
+class ReviewError extends Error {
+	constructor(message, status) {
+		super(message);
+		this.name = "ReviewError";
+		this.status = status;
+	}
+}
+
+/**
+ * First lines of the start of a text output
+ */
+const previewOf = (head) =>
+	head.toString("utf-8").split("\n").slice(0, PREVIEW_LINES).join("\n");
+
+/**
+ * SHA-256 hash, size and preview of an output as it is downloaded, so
+ * decrypted if it is stored encrypted. The preview is null for binary
+ * outputs.
+ */
+function inspectOutput(outputFile, userId) {
+	const encrypted = outputFile.endsWith(".enc");
+	const ext = path.extname(encrypted ? outputFile.slice(0, -4) : outputFile);
+	const previewable = PREVIEW_FORMATS.includes(ext);
+
+	if (encrypted) {
+		const content = encryption.decryptData(
+			fs.readFileSync(outputFile, "utf-8"),
+			userId
+		);
+		return {
+			sha256: crypto.createHash("sha256").update(content).digest("hex"),
+			size: content.length,
+			preview: previewable
+				? previewOf(content.subarray(0, MAX_PREVIEW_BYTES))
+				: null,
+		};
+	}
+
+	const hash = crypto.createHash("sha256");
+	const chunk = Buffer.alloc(READ_CHUNK_BYTES);
+	let size = 0;
+	let head = Buffer.alloc(0);
+	const fd = fs.openSync(outputFile, "r");
+	try {
+		let bytesRead;
+		while ((bytesRead = fs.readSync(fd, chunk, 0, chunk.length, size)) > 0) {
+			hash.update(chunk.subarray(0, bytesRead));
+			if (size === 0) {
+				head = Buffer.from(
+					chunk.subarray(0, Math.min(bytesRead, MAX_PREVIEW_BYTES))
+				);
+			}
+			size += bytesRead;
+		}
+	} finally {
+		fs.closeSync(fd);
+	}
+	return {
+		sha256: hash.digest("hex"),
+		size,
+		preview: previewable ? previewOf(head) : null,
+	};
+}
+
+/**
+ * Conversion Store Class
+ *
+ * Records are keyed by the output's file id, the id in its download URL.
+ * A failed conversion has no output and no review state. Archived records
+ * are kept as JSON lines next to the store, "conversions_archive.jsonl"
+ * for "conversions.json".
+ */
+class ConversionStore {
+	constructor(
+		filePath = config.getDataPath("conversions.json"),
+		archivePath = filePath.replace(/\.json$/, "_archive.jsonl")
+	) {
+		this.store = new JsonStore(filePath);
+		this.archivePath = archivePath;
+		this.purgeTimer = null;
+	}
+
+	/**
+	 * Record a successful conversion. Its output is pending review when
+	 * approval is required, approved otherwise.
+	 */
+	record({
+		fileId,
+		fileName,
+		outputFile,
+		outputFormat,
+		userId,
+		headerFields = null,
+		rowsProcessed = null,
+		sheets = null,
+		controlTotals = null,
+	}) {
+		let output = { sha256: null, size: null, preview: null };
+		try {
+			output = inspectOutput(outputFile, userId);
+		} catch (error) {
+			auditLogger.logError(userId, "inspect_output", error, {
+				file_id: fileId,
+			});
+		}
+
+		const pending = config.APPROVAL_REQUIRED;
+		const record = this.store.create({
+			id: fileId,
+			status: "succeeded",
+			file_name: fileName,
+			output_file: path.basename(outputFile),
+			output_format: outputFormat,
+			output_sha256: output.sha256,
+			output_size: output.size,
+			submitted_by: userId,
+			header_fields: headerFields,
+			rows_processed: rowsProcessed,
+			sheets,
+			control_totals: controlTotals,
+			message: null,
+			preview: output.preview,
+			state: pending ? "pending_review" : "approved",
+			reviewed_by: null,
+			review_comment: null,
+			reviewed_at: null,
+			download_count: 0,
+			last_downloaded_at: null,
+			expires_at: new Date(
+				Date.now() + config.OUTPUT_RETENTION_HOURS * 3600 * 1000
+			).toISOString(),
+			expired_at: null,
+		});
+
+		if (pending) {
+			auditLogger.logReviewEvent(
+				userId,
+				"review_submitted",
+				fileId,
+				"success",
+				{
+					file_name: fileName,
+					rows_processed: rowsProcessed,
+				}
+			);
+		}
+		return record;
+	}
+
+	/**
+	 * Record a conversion that failed, with the reason it failed
+	 */
+	recordFailure({
+		fileId,
+		fileName,
+		outputFormat,
+		userId,
+		message,
+		headerFields = null,
+		rowsProcessed = null,
+		sheets = null,
+	}) {
+		return this.store.create({
+			id: fileId,
+			status: "failed",
+			file_name: fileName,
+			output_file: null,
+			output_format: outputFormat,
+			output_sha256: null,
+			output_size: null,
+			submitted_by: userId,
+			header_fields: headerFields,
+			rows_processed: rowsProcessed,
+			sheets,
+			control_totals: null,
+			message,
+			preview: null,
+			state: null,
+			reviewed_by: null,
+			review_comment: null,
+			reviewed_at: null,
+			download_count: 0,
+			last_downloaded_at: null,
+			expires_at: null,
+			expired_at: null,
+		});
+	}
+
+	/**
+	 * List records, newest first, optionally only those with the given
+	 * status, review state and submitting user
+	 */
+	list({ status = null, state = null, userId = null } = {}) {
+		return this.store
+			.list(
+				(record) =>
+					(!status || record.status === status) &&
+					(!state || record.state === state) &&
+					(!userId || record.submitted_by === userId)
+			)
+			.reverse();
+	}
+
+	get(fileId) {
+		return this.store.get(fileId);
+	}
+
+	/**
+	 * Whether the output of a record (as returned by get) may be
+	 * downloaded as far as review goes: always without required approval,
+	 * otherwise only once approved
+	 */
+	isDownloadable(record) {
+		if (!config.APPROVAL_REQUIRED) {
+			return true;
+		}
+		return Boolean(record) && record.state === "approved";
+	}
+
+	/**
+	 * Whether the output of a record has passed its retention period,
+	 * purged or not
+	 */
+	isExpired(record, now = Date.now()) {
+		return Boolean(
+			record &&
+			(record.expired_at ||
+				(record.expires_at && Date.parse(record.expires_at) <= now))
+		);
+	}
+
+	/**
+	 * Count a download of a record's output
+	 */
+	markDownloaded(record) {
+		if (!record) return null;
+		return this.store.update(record.id, {
+			download_count: record.download_count + 1,
+			last_downloaded_at: new Date().toISOString(),
+		});
+	}
+
+	/**
+	 * Approve or reject a pending output. Throws ReviewError when the
+	 * output is unknown, expired or not pending, when the reviewer
+	 * converted it, or when a rejection has no comment. A rejected output
+	 * is deleted.
+	 */
+	review(fileId, reviewerId, decision, comment = null) {
+		const record = this.get(fileId);
+		if (!record) {
+			throw new ReviewError("Conversion not found", 404);
+		}
+		if (!record.output_file) {
+			throw new ReviewError("Conversion has no output to review", 409);
+		}
+		if (record.state !== "pending_review") {
+			throw new ReviewError(`Conversion is already ${record.state}`, 409);
+		}
+		if (this.isExpired(record)) {
+			throw new ReviewError("Conversion output has expired", 410);
+		}
+		if (record.submitted_by === reviewerId) {
+			throw new ReviewError(
+				"A conversion must be reviewed by someone other than who converted it",
+				403
+			);
+		}
+		if (comment !== null && typeof comment !== "string") {
+			throw new ReviewError("comment must be a string", 400);
+		}
+		const text = (comment || "").trim();
+		if (decision === "rejected" && !text) {
+			throw new ReviewError("A rejection needs a comment", 400);
+		}
+		if (text.length > MAX_COMMENT_LENGTH) {
+			throw new ReviewError(
+				`comment must be at most ${MAX_COMMENT_LENGTH} characters`,
+				400
+			);
+		}
+
+		const updated = this.store.update(fileId, {
+			state: decision,
+			reviewed_by: reviewerId,
+			review_comment: text || null,
+			reviewed_at: new Date().toISOString(),
+		});
+
+		if (decision === "rejected") {
+			const outputPath = config.getOutputPath(record.output_file);
+			if (fs.existsSync(outputPath)) {
+				fs.unlinkSync(outputPath);
+			}
+		}
+
+		auditLogger.logReviewEvent(
+			reviewerId,
+			decision === "approved" ? "review_approved" : "review_rejected",
+			fileId,
+			"success",
+			{
+				file_name: record.file_name,
+				submitted_by: record.submitted_by,
+				comment: updated.review_comment,
+			}
+		);
+		return updated;
+	}
+
+	/**
+	 * Delete the outputs past their retention period and mark their
+	 * records expired, then archive the records older than
+	 * CONVERSION_HISTORY_DAYS that no longer have an output. Returns the
+	 * number of records expired and archived.
+	 */
+	purgeExpired(now = Date.now()) {
+		const expired = this.store.list(
+			(record) =>
+				record.output_file &&
+				!record.expired_at &&
+				Date.parse(record.expires_at) <= now
+		);
+
+		for (const record of expired) {
+			const outputPath = config.getOutputPath(record.output_file);
+			let size = 0;
+			if (fs.existsSync(outputPath)) {
+				size = fs.statSync(outputPath).size;
+				fs.unlinkSync(outputPath);
+			}
+			this.store.update(record.id, {
+				expired_at: new Date(now).toISOString(),
+			});
+			auditLogger.logFileOperation(
+				"system",
+				"output_purge",
+				record.output_file,
+				size,
+				"success",
+				{ file_id: record.id, expires_at: record.expires_at }
+			);
+		}
+
+		return { expired: expired.length, archived: this._archive(now) };
+	}
+
+	/**
+	 * Move the records older than CONVERSION_HISTORY_DAYS whose output has
+	 * expired, or that never had one, to the archive. They are appended
+	 * before they are removed, so a crash in between at worst archives a
+	 * record twice. Returns the number archived.
+	 */
+	_archive(now) {
+		const cutoff = now - config.CONVERSION_HISTORY_DAYS * 24 * 3600 * 1000;
+		const isArchivable = (record) =>
+			Date.parse(record.created_at) <= cutoff &&
+			(record.status === "failed" || Boolean(record.expired_at));
+
+		const archivable = this.store.list(isArchivable);
+		if (archivable.length === 0) {
+			return 0;
+		}
+		fs.mkdirSync(path.dirname(this.archivePath), { recursive: true });
+		fs.appendFileSync(
+			this.archivePath,
+			archivable.map((record) => `${JSON.stringify(record)}\n`).join(""),
+			"utf-8"
+		);
+		return this.store.removeWhere(isArchivable).length;
+	}
+
+	/**
+	 * Purge expired outputs now and then every PURGE_INTERVAL_MINUTES
+	 */
+	startPurge(intervalMinutes = config.PURGE_INTERVAL_MINUTES) {
+		const purge = () => {
+			try {
+				const { expired, archived } = this.purgeExpired();
+				if (expired > 0) {
+					logger.info(`Purged ${expired} expired conversion output(s)`);
+				}
+				if (archived > 0) {
+					logger.info(`Archived ${archived} conversion record(s)`);
+				}
+			} catch (error) {
+				auditLogger.logError("system", "output_purge", error);
+			}
+		};
+
+		this.stopPurge();
+		purge();
+		this.purgeTimer = setInterval(purge, intervalMinutes * 60 * 1000);
+		this.purgeTimer.unref();
+	}
+
+	stopPurge() {
+		if (this.purgeTimer) {
+			clearInterval(this.purgeTimer);
+			this.purgeTimer = null;
+		}
+	}
+}
+
+// Create singleton instance
+const conversionStore = new ConversionStore();
+
+module.exports = {
+	ConversionStore,
+	ReviewError,
+	REVIEW_STATES,
+	STATUSES,
+	conversionStore,
+};
@@ -0,0 +1,152 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "conversions-test-"));
+process.env.DATA_DIR = tempDir;
+process.env.OUTPUT_DIR = path.join(tempDir, "output");
+process.env.LOG_FILE_PATH = path.join(tempDir, "audit.log");
+process.env.AUTH_ENABLED = "true";
+process.env.SECRET_KEY = "test-secret";
+process.env.APPROVAL_REQUIRED = "true";
+
+const config = require("../config");
+const { ConversionStore, ReviewError } = require("./conversions");
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+let count = 0;
+
+/**
+ * A store with one conversion by "maker", pending review
+ */
+function pendingConversion() {
+	const store = new ConversionStore(
+		path.join(tempDir, `conversions_${++count}.json`)
+	);
+	const fileId = `file-${count}`;
+	const outputFile = config.getOutputPath(`${fileId}_output.xml`);
+	fs.writeFileSync(outputFile, "<CALLREPORT/>\n");
+	const record = store.record({
+		fileId,
+		fileName: "loans.xlsx",
+		outputFile,
+		outputFormat: "xml",
+		userId: "maker",
+	});
+	return { store, record, outputFile };
+}
+
+/**
+ * Assert that a review throws a ReviewError with the HTTP status
+ */
+function assertReviewError(review, status) {
+	assert.throws(review, (error) => {
+		assert.ok(error instanceof ReviewError);
+		assert.equal(error.status, status);
+		return true;
+	});
+}
+
+test("outputs wait for review and cannot be downloaded until approved", () => {
+	const { store, record } = pendingConversion();
+	assert.equal(record.state, "pending_review");
+	assert.equal(record.output_sha256.length, 64);
+	assert.equal(store.isDownloadable(record), false);
+
+	const approved = store.review(record.id, "checker", "approved", " fine ");
+	assert.equal(approved.state, "approved");
+	assert.equal(approved.reviewed_by, "checker");
+	assert.equal(approved.review_comment, "fine");
+	assert.equal(store.isDownloadable(approved), true);
+});
+
+test("the user who converted an output cannot review it", () => {
+	const { store, record } = pendingConversion();
+	assertReviewError(() => store.review(record.id, "maker", "approved"), 403);
+	assert.equal(store.get(record.id).state, "pending_review");
+});
+
+test("a rejection needs a comment and deletes the output", () => {
+	const { store, record, outputFile } = pendingConversion();
+	assertReviewError(() => store.review(record.id, "checker", "rejected"), 400);
+	assertReviewError(
+		() => store.review(record.id, "checker", "rejected", "   "),
+		400
+	);
+
+	const rejected = store.review(
+		record.id,
+		"checker",
+		"rejected",
+		"Wrong period"
+	);
+	assert.equal(rejected.state, "rejected");
+	assert.equal(store.isDownloadable(rejected), false);
+	assert.equal(fs.existsSync(outputFile), false);
+});
+
+test("only pending outputs can be reviewed, once", () => {
+	const { store, record } = pendingConversion();
+	store.review(record.id, "checker", "approved");
+	assertReviewError(
+		() => store.review(record.id, "other", "rejected", "No"),
+		409
+	);
+	assertReviewError(() => store.review("unknown", "checker", "approved"), 404);
+
+	store.recordFailure({
+		fileId: "failed",
+		fileName: "loans.xlsx",
+		outputFormat: "xml",
+		userId: "maker",
+		message: "Sheet not found",
+	});
+	assertReviewError(() => store.review("failed", "checker", "approved"), 409);
+});
+
+test("expired outputs can no longer be reviewed", () => {
+	const { store, record } = pendingConversion();
+	store.purgeExpired(
+		Date.now() + (config.OUTPUT_RETENTION_HOURS + 1) * 3600 * 1000
+	);
+	assertReviewError(() => store.review(record.id, "checker", "approved"), 410);
+});
+
+test("purging deletes expired outputs, then archives old records", () => {
+	const { store, record, outputFile } = pendingConversion();
+	const hour = 3600 * 1000;
+	const afterRetention =
+		Date.now() + (config.OUTPUT_RETENTION_HOURS + 1) * hour;
+
+	assert.deepEqual(store.purgeExpired(Date.now()), {
+		expired: 0,
+		archived: 0,
+	});
+	assert.deepEqual(store.purgeExpired(afterRetention), {
+		expired: 1,
+		archived: 0,
+	});
+	assert.equal(fs.existsSync(outputFile), false);
+	assert.ok(store.isExpired(store.get(record.id)));
+
+	const afterHistory =
+		Date.now() + (config.CONVERSION_HISTORY_DAYS * 24 + 1) * hour;
+	assert.deepEqual(store.purgeExpired(afterHistory), {
+		expired: 0,
+		archived: 1,
+	});
+	assert.equal(store.get(record.id), null);
+
+	const archived = fs
+		.readFileSync(store.archivePath, "utf-8")
+		.trim()
+		.split("\n")
+		.map((line) => JSON.parse(line));
+	assert.deepEqual(
+		archived.map((entry) => entry.id),
+		[record.id]
+	);
+});
@@ -5,18 +5,158 @@
  */
 
 const XLSX = require("xlsx");
-const { create } = require("xmlbuilder2");
+const { create, fragment } = require("xmlbuilder2");
 const fs = require("fs");
+const crypto = require("crypto");
+const { once } = require("events");
+const { finished } = require("stream/promises");
 const path = require("path");
+const readline = require("readline");
 const config = require("../config");
 const { auditLogger } = require("../utils/logger");
 const { encryption } = require("../utils/encryption");
+const { schemaRegistry } = require("./schemaRegistry");
+const { coerceCell, CoercionError } = require("./coercion");
+const { resolvePlaceholders } = require("./placeholders");
+const { Aggregator, ControlTotalError } = require("./controlTotals");
+const { RuleChecker } = require("./rules");
+const { writeErrorReport } = require("./errorReport");
+const {
+	isDelimitedFile,
+	readDelimitedWorkbook,
+	formatDelimited,
+} = require("./delimitedText");
 
-// XML element name constants
-const XML_ROOT_ELEMENT = "CALLREPORT";
+// XML element name constants. The root, body and row names are defaults
+// from config that each conversion's envelope can override.
 const XML_HEADER_ELEMENT = "HEADER";
-const XML_BODY_ELEMENT = "BODY";
-const XML_ROW_ELEMENT = "CALLREPORT_DATA";
+
+// Namespace bound to the xsi prefix for xsi:schemaLocation
+const XSI_NAMESPACE = "http://www.w3.org/2001/XMLSchema-instance";
+
+// Output formats and the extension each is written with
+const OUTPUT_FORMATS = {
+	xml: ".xml",
+	json: ".json",
+	csv: ".csv",
+};
+
+// Source spreadsheet row number kept on each record. A symbol key keeps it
+// out of Object.keys/entries, so it never becomes an XML element.
+const SOURCE_ROW = Symbol("sourceRow");
+
+// Rows serialized per write when streaming a conversion
+const STREAM_BATCH_ROWS = 500;
+
+// Rows read between two progress callbacks
+const PROGRESS_INTERVAL_ROWS = 100;
+
+// Findings listed in a validation report before the rest are only counted
+const MAX_VALIDATION_FINDINGS = 200;
+
+/**
+ * Check that a name can be used as an XML element name as-is
+ */
+function isValidXmlName(name) {
+	return typeof name === "string" && /^[a-zA-Z_][\w.-]*$/.test(name);
+}
+
+/**
+ * Turn the envelope of a request ({ root_element, body_element,
+ * row_element, namespace, namespaces, schema_location }) into converter
+ * options. Throws when a name or namespace is invalid.
+ */
+function parseEnvelope(envelope) {
+	if (!envelope || typeof envelope !== "object" || Array.isArray(envelope)) {
+		throw new Error("envelope must be an object");
+	}
+
+	for (const key of ["root_element", "body_element", "row_element"]) {
+		if (envelope[key] !== undefined && !isValidXmlName(envelope[key])) {
+			throw new Error(`Invalid envelope ${key}`);
+		}
+	}
+	if (
+		envelope.namespace !== undefined &&
+		typeof envelope.namespace !== "string"
+	) {
+		throw new Error("Envelope namespace must be a string");
+	}
+
+	const namespaces = envelope.namespaces || {};
+	if (typeof namespaces !== "object" || Array.isArray(namespaces)) {
+		throw new Error("Envelope namespaces must map prefixes to URIs");
+	}
+	for (const [prefix, uri] of Object.entries(namespaces)) {
+		if (!isValidXmlName(prefix) || /^xml/i.test(prefix)) {
+			throw new Error(`Invalid namespace prefix: ${prefix}`);
+		}
+		if (typeof uri !== "string" || !uri) {
+			throw new Error(`Namespace prefix ${prefix} needs a URI`);
+		}
+		if (prefix === "xsi" && uri !== XSI_NAMESPACE) {
+			throw new Error(`Namespace prefix xsi is reserved for ${XSI_NAMESPACE}`);
+		}
+	}
+
+	if (
+		envelope.schema_location !== undefined &&
+		(typeof envelope.schema_location !== "string" ||
+			!envelope.schema_location.trim())
+	) {
+		throw new Error("Envelope schema_location must be a non-empty string");
+	}
+
+	return {
+		rootElement: envelope.root_element || null,
+		bodyElement: envelope.body_element || null,
+		rowElement: envelope.row_element || null,
+		namespace:
+			envelope.namespace !== undefined ? envelope.namespace.trim() : null,
+		namespaces,
+		schemaLocation: envelope.schema_location
+			? envelope.schema_location.trim()
+			: null,
+	};
+}
+
+/**
+ * Raised when spreadsheet data cannot be converted. Each violation carries
+ * the spreadsheet row and column it refers to.
+ */
+class DataValidationError extends Error {
+	constructor(message, violations) {
+		super(message);
+		this.name = "DataValidationError";
+		this.violations = violations;
+	}
+}
+
+/**
+ * Raised when the upload cannot be converted as the request asks: a named
+ * sheet is missing, a name is not a valid XML name or the file holds
+ * nothing to convert. The message is meant for the client.
+ */
+class ConversionInputError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "ConversionInputError";
+	}
+}
+
+/**
+ * Raised when the generated XML does not conform to the report type schema
+ */
+class SchemaValidationError extends DataValidationError {
+	constructor(reportType, violations) {
+		super(
+			`Generated XML does not conform to the "${reportType}" schema`,
+			violations
+		);
+		this.name = "SchemaValidationError";
+		this.reportType = reportType;
+	}
+}
 
 /**
  * Excel to XML Converter Class
@@ -25,7 +165,66 @@ class ExcelToXMLConverter {
 	constructor() {
 		this.namespace = config.XML_NAMESPACE;
 		this.schemaVersion = config.XML_SCHEMA_VERSION;
-		this.rowElementName = XML_ROW_ELEMENT;
+		this.rootElementName = config.XML_ROOT_ELEMENT;
+		this.bodyElementName = config.XML_BODY_ELEMENT;
+		this.rowElementName = config.XML_ROW_ELEMENT;
+	}
+
+	/**
+	 * Fill in a conversion's envelope from the configured defaults.
+	 * `envelope` may set rootElement, bodyElement, rowElement, namespace
+	 * (the default namespace, "" for none), namespaces ({ prefix: uri }
+	 * declared on the root) and schemaLocation.
+	 */
+	_resolveEnvelope(envelope = null) {
+		envelope = envelope || {};
+		return {
+			rootElement: envelope.rootElement || this.rootElementName,
+			bodyElement: envelope.bodyElement || this.bodyElementName,
+			rowElement: envelope.rowElement || this.rowElementName,
+			namespace:
+				typeof envelope.namespace === "string"
+					? envelope.namespace
+					: this.namespace,
+			namespaces: envelope.namespaces || {},
+			schemaLocation: envelope.schemaLocation || null,
+		};
+	}
+
+	/**
+	 * Namespace declarations and xsi:schemaLocation of the root element, in
+	 * the order they are written
+	 */
+	_rootAttributes(envelope) {
+		const attributes = {};
+		if (envelope.namespace) {
+			attributes.xmlns = envelope.namespace;
+		}
+		for (const [prefix, uri] of Object.entries(envelope.namespaces)) {
+			attributes[`xmlns:${prefix}`] = uri;
+		}
+		if (envelope.schemaLocation) {
+			attributes["xmlns:xsi"] = XSI_NAMESPACE;
+			attributes["xsi:schemaLocation"] = envelope.schemaLocation;
+		}
+		return attributes;
+	}
+
+	/**
+	 * Root start tag as the streaming writer emits it, escaped the same way
+	 * as the in-memory serializer
+	 */
+	_rootStartTag(envelope) {
+		const escape = (value) =>
+			String(value)
+				.replace(/&/g, "&amp;")
+				.replace(/</g, "&lt;")
+				.replace(/>/g, "&gt;")
+				.replace(/"/g, "&quot;");
+		const attributes = Object.entries(this._rootAttributes(envelope))
+			.map(([name, value]) => ` ${name}="${escape(value)}"`)
+			.join("");
+		return `<${envelope.rootElement}${attributes}>`;
 	}
 
 	/**
@@ -76,7 +275,7 @@ class ExcelToXMLConverter {
 					.ele(tagName)
 					.txt(value !== null && value !== undefined ? String(value) : "");
 			} catch (error) {
-				throw new Error(
+				throw new ConversionInputError(
 					`Error processing header field ${key}: ${error.message}`
 				);
 			}
@@ -84,234 +283,1895 @@ class ExcelToXMLConverter {
 	}
 
 	/**
-	 * Process Excel data and handle various data types
+	 * Get exactly what's displayed in Excel - treat everything as text
 	 */
-	_processExcelData(worksheet) {
-		// Get exactly what's displayed in Excel - treat everything as text
-		const range = XLSX.utils.decode_range(worksheet["!ref"] || "A1");
+	_getDisplay(cell) {
+		if (!cell) return "";
+		// Use the formatted display text from Excel (cell.w)
+		// This preserves leading zeros, date formats, phone numbers, etc.
+		if (cell.w !== undefined && cell.w !== "") return String(cell.w);
+		// Fallback to raw value as string
+		return cell.v !== undefined ? String(cell.v) : "";
+	}
 
-		const getDisplay = (cell) => {
-			if (!cell) return "";
-			// Use the formatted display text from Excel (cell.w)
-			// This preserves leading zeros, date formats, phone numbers, etc.
-			if (cell.w !== undefined && cell.w !== "") return String(cell.w);
-			// Fallback to raw value as string
-			return cell.v !== undefined ? String(cell.v) : "";
-		};
+	/**
+	 * Read the header row into a column index -> header name map
+	 */
+	_readHeaders(worksheet) {
+		const range = XLSX.utils.decode_range(worksheet["!ref"] || "A1");
 
 		const headerMap = {};
 		for (let c = range.s.c; c <= range.e.c; c++) {
 			const addr = XLSX.utils.encode_cell({ r: range.s.r, c });
 			const cell = worksheet[addr];
 			if (cell) {
-				const headerName = getDisplay(cell).trim();
+				const headerName = this._getDisplay(cell).trim();
 				headerMap[c] = headerName || `COL_${c + 1}`;
 			} else {
 				headerMap[c] = `COL_${c + 1}`;
 			}
 		}
+		return headerMap;
+	}
+
+	/**
+	 * Resolve the output columns of a worksheet in output order. Without a
+	 * mapping profile every column is keyed by its header text; with one,
+	 * columns are renamed, dropped and reordered as the profile describes,
+	 * and may be placed in attributes, nested paths or repeated elements.
+	 */
+	_resolveColumns(worksheet, profile = null) {
+		const headerMap = this._readHeaders(worksheet);
+		const sheetColumns = Object.entries(headerMap).map(([c, header]) => ({
+			index: Number(c),
+			letter: XLSX.utils.encode_col(Number(c)),
+			header,
+			key: header,
+			required: false,
+			typeRule: null,
+			attribute: false,
+			path: null,
+			repeat: false,
+			separator: null,
+		}));
+
+		if (!profile) {
+			return sheetColumns;
+		}
+
+		const matched = new Set();
+		const columns = [];
+		const violations = [];
+		for (const rule of profile.columns) {
+			const match = sheetColumns.find((col) =>
+				rule.column
+					? col.letter === rule.column.toUpperCase()
+					: col.header.toLowerCase() === rule.header.trim().toLowerCase()
+			);
+
+			if (match) {
+				matched.add(match.index);
+			}
+			if (rule.drop) {
+				continue;
+			}
+			if (!match) {
+				if (rule.required) {
+					violations.push({
+						row: null,
+						column: rule.column || null,
+						field: rule.header || null,
+						element: rule.tag,
+						message: `Required column "${
+							rule.header || rule.column
+						}" not found in sheet`,
+					});
+				}
+				continue;
+			}
+
+			columns.push({
+				...match,
+				key: rule.tag,
+				required: Boolean(rule.required),
+				typeRule: rule.type ? rule : null,
+				attribute: Boolean(rule.attribute),
+				path: rule.attribute ? null : rule.tag.split("/"),
+				repeat: Boolean(rule.repeat),
+				separator: rule.separator || null,
+			});
+		}
+
+		if (violations.length > 0) {
+			throw new DataValidationError(
+				`Sheet does not match profile "${profile.name}"`,
+				violations
+			);
+		}
+
+		if (!profile.drop_unmapped) {
+			columns.push(...sheetColumns.filter((col) => !matched.has(col.index)));
+		}
+
+		return columns;
+	}
+
+	/**
+	 * Yield the non-empty data rows of a worksheet one record at a time.
+	 * Typed columns are coerced; cells that cannot be coerced, blank
+	 * required values and values breaking a profile rule are pushed to
+	 * violations. Repeated columns collect their non-empty values in an
+	 * array under their shared key.
+	 */
+	*_iterateRecords(worksheet, columns, violations, rules = null) {
+		const range = XLSX.utils.decode_range(worksheet["!ref"] || "A1");
+		const checker =
+			rules && rules.length > 0 ? new RuleChecker(rules, columns) : null;
 
-		const records = [];
 		for (let r = range.s.r + 1; r <= range.e.r; r++) {
-			const rowRecord = {};
+			const rowRecord = { [SOURCE_ROW]: r + 1 };
 			let hasData = false;
-			for (let c = range.s.c; c <= range.e.c; c++) {
-				const addr = XLSX.utils.encode_cell({ r, c });
+			const rowViolations = [];
+			const coerce = (cell, text, column) => {
+				if (!column.typeRule) return text;
+				try {
+					return coerceCell(cell, text, column.typeRule);
+				} catch (error) {
+					if (!(error instanceof CoercionError)) throw error;
+					rowViolations.push({
+						row: r + 1,
+						column: column.letter,
+						field: column.header,
+						element: column.key,
+						message: error.message,
+					});
+					return text;
+				}
+			};
+
+			for (const column of columns) {
+				const addr = XLSX.utils.encode_cell({ r, c: column.index });
 				const cell = worksheet[addr];
-				const colName = headerMap[c];
-				if (cell) {
-					const text = getDisplay(cell);
-					rowRecord[colName] = text;
-					if (text !== "") hasData = true;
+				const text = cell ? this._getDisplay(cell) : "";
+				if (text !== "") hasData = true;
+
+				if (column.repeat) {
+					const values = rowRecord[column.key] || [];
+					if (column.separator && text !== "") {
+						// Each part is coerced as the text it is
+						for (const part of text.split(column.separator)) {
+							if (part.trim() === "") continue;
+							values.push(coerce({ t: "s", v: part, w: part }, part, column));
+						}
+					} else if (text.trim() !== "") {
+						values.push(coerce(cell, text, column));
+					}
+					rowRecord[column.key] = values;
 				} else {
-					rowRecord[colName] = "";
+					rowRecord[column.key] = cell ? coerce(cell, text, column) : "";
+				}
+			}
+			if (!hasData) continue;
+
+			for (const column of columns) {
+				if (column.required && String(rowRecord[column.key]).trim() === "") {
+					rowViolations.push({
+						row: r + 1,
+						column: column.letter,
+						field: column.header,
+						element: column.key,
+						message: `Required value for "${column.key}" is missing`,
+					});
 				}
 			}
-			if (hasData) records.push(rowRecord);
+			if (checker) {
+				// Rules skip the values that already failed
+				const failed = new Set(rowViolations.map((v) => v.element));
+				rowViolations.push(...checker.check(rowRecord, r + 1, failed));
+			}
+			violations.push(...rowViolations);
+			yield rowRecord;
 		}
-		return records;
 	}
 
 	/**
-	 * Create XML data section from processed records
+	 * Process Excel data and handle various data types. Typed columns are
+	 * coerced; cells that cannot be coerced, and values breaking one of the
+	 * given profile rules, become row-level violations. onRecord, when
+	 * given, is called once per record read.
 	 */
-	_createDataSection(body, records) {
-		for (const record of records) {
-			const row = body.ele(this.rowElementName);
-			for (const [fieldName, value] of Object.entries(record)) {
-				// Sanitize field name
-				const sanitizedName = this._sanitizeXmlTag(fieldName);
-				// Skip empty values entirely to avoid empty tags like <COL_38/>
-				if (
-					value !== undefined &&
-					value !== null &&
-					String(value).trim() !== ""
-				) {
-					row.ele(sanitizedName).txt(value);
-				}
-			}
+	_processExcelData(
+		worksheet,
+		columns = null,
+		limit = null,
+		onRecord = null,
+		rules = null
+	) {
+		columns = columns || this._resolveColumns(worksheet);
+
+		const records = [];
+		const violations = [];
+		for (const record of this._iterateRecords(
+			worksheet,
+			columns,
+			violations,
+			rules
+		)) {
+			if (limit !== null && records.length >= limit) break;
+			records.push(record);
+			if (onRecord) onRecord();
+		}
+
+		if (violations.length > 0) {
+			throw new DataValidationError(
+				`${violations.length} cell(s) failed validation`,
+				violations
+			);
 		}
+		return records;
 	}
 
 	/**
-	 * Convert Excel file to XML with optional header fields and encryption
+	 * Create XML data section from processed records. Attribute columns are
+	 * set on the row element and the other columns become child elements
+	 * in column order, nested along their path. Consecutive columns under
+	 * the same parent path share the parent element.
 	 */
-	convert(
-		inputFile,
-		outputFile,
-		headerFields = null,
-		sheetName = null,
-		encryptOutput = false,
-		userId = "system"
+	_createDataSection(
+		body,
+		records,
+		columns,
+		rowElementName = this.rowElementName
 	) {
-		const startTime = Date.now();
+		// Skip empty values entirely to avoid empty tags like <COL_38/>
+		const isBlank = (value) =>
+			value === undefined || value === null || String(value).trim() === "";
 
-		try {
-			// Validate input file exists
-			if (!fs.existsSync(inputFile)) {
-				throw new Error(`Input file not found: ${inputFile}`);
+		for (const record of records) {
+			const attributes = {};
+			for (const column of columns) {
+				if (column.attribute && !isBlank(record[column.key])) {
+					attributes[column.key] = String(record[column.key]);
+				}
 			}
+			const row = body.ele(rowElementName, attributes);
 
-			// Read Excel file
-			let workbook;
-			try {
-				// Read as raw text - no formatting, no date conversion
-				workbook = XLSX.readFile(inputFile, {
-					type: "file",
-					raw: false,
-					cellText: true,
-					cellDates: false,
-					cellNF: false,
-					cellStyles: false,
-				});
-			} catch (error) {
-				throw new Error(`Failed to read Excel file: ${error.message}`);
-			}
+			const written = new Set();
+			let parents = []; // open nested elements as [{ name, node }]
+			for (const column of columns) {
+				// Repeated columns write all their values at the first one
+				if (column.attribute || written.has(column.key)) continue;
+				written.add(column.key);
 
-			// Get the sheet to process
-			const sheetToProcess = sheetName || workbook.SheetNames[0];
-			if (!workbook.SheetNames.includes(sheetToProcess)) {
-				throw new Error(`Sheet "${sheetToProcess}" not found in workbook`);
-			}
+				const values = [].concat(record[column.key]).filter((v) => !isBlank(v));
+				if (values.length === 0) continue;
 
-			const worksheet = workbook.Sheets[sheetToProcess];
+				const path = column.path || [this._sanitizeXmlTag(column.key)];
+				const parentPath = path.slice(0, -1);
+				let shared = 0;
+				while (
+					shared < parentPath.length &&
+					shared < parents.length &&
+					parents[shared].name === parentPath[shared]
+				) {
+					shared++;
+				}
+				parents = parents.slice(0, shared);
 
-			// Check if sheet is empty
-			const range = XLSX.utils.decode_range(worksheet["!ref"] || "A1");
-			if (range.e.r === 0 && range.e.c === 0 && !worksheet["A1"]) {
-				throw new Error("Excel file is empty");
+				let parent = shared > 0 ? parents[shared - 1].node : row;
+				for (const name of parentPath.slice(shared)) {
+					parent = parent.ele(name);
+					parents.push({ name, node: parent });
+				}
+				for (const value of values) {
+					parent.ele(path[path.length - 1]).txt(value);
+				}
 			}
+		}
+	}
 
-			// Process Excel data
-			const records = this._processExcelData(worksheet);
+	/**
+	 * Find the section, row index and element that the given line numbers
+	 * of a pretty-printed document belong to, so validator line numbers
+	 * can be traced back to the spreadsheet. Children of the root are the
+	 * HEADER and one data section per sheet; their children are rows.
+	 * The lines may come from an async iterable, such as a file being read;
+	 * it is read up to the last line asked for. Returns locations by line
+	 * number.
+	 */
+	async _locateXmlLines(lines, lineNumbers) {
+		const locations = new Map();
+		const lastLine = [...lineNumbers].reduce(
+			(last, lineNumber) => Math.max(last, lineNumber),
+			0
+		);
+		let lineNumber = 0;
+		let section = null;
+		let sectionIndex = -1;
+		let rowIndex = null;
 
-			if (records.length === 0) {
-				throw new Error("Excel file is empty");
-			}
+		for await (const line of lines) {
+			if (++lineNumber > lastLine) break;
 
-			// Create root element
-			const root = create({ version: "1.0", encoding: "utf-8" }).ele(
-				XML_ROOT_ELEMENT
-			);
+			const match = /^( *)<([^\s/>!?]+)/.exec(line);
+			const depth = match ? match[1].length / 2 : null;
+			const element = match ? match[2] : null;
+			const inData = section !== null && section !== XML_HEADER_ELEMENT;
 
-			// Add header fields if provided
-			if (headerFields && Object.keys(headerFields).length > 0) {
-				this._createHeader(root, headerFields);
+			let location;
+			if (depth === 1) {
+				section = element;
+				if (element !== XML_HEADER_ELEMENT) {
+					sectionIndex++;
+				}
+				rowIndex = null;
+				location = this._lineLocation(section, sectionIndex, null, null);
+			} else if (depth === 2 && inData) {
+				rowIndex = rowIndex === null ? 0 : rowIndex + 1;
+				location = this._lineLocation(section, sectionIndex, rowIndex, null);
+			} else {
+				location = this._lineLocation(section, sectionIndex, rowIndex, element);
 			}
+			if (lineNumbers.has(lineNumber)) {
+				locations.set(lineNumber, location);
+			}
+		}
+		return locations;
+	}
 
-			// Create BODY element
-			const body = root.ele(XML_BODY_ELEMENT);
-
-			// Create data section
-			this._createDataSection(body, records);
+	_lineLocation(section, sectionIndex, rowIndex, element) {
+		const inData = section !== null && section !== XML_HEADER_ELEMENT;
+		return {
+			section,
+			sectionIndex: inData ? sectionIndex : null,
+			rowIndex: inData ? rowIndex : null,
+			element,
+		};
+	}
 
-			// Convert to pretty-printed XML
-			const xmlContent = root.end({ prettyPrint: true });
+	/**
+	 * Validate generated XML against the report type schema and throw a
+	 * SchemaValidationError with spreadsheet row/column references
+	 */
+	async _validateAgainstSchema(xmlContent, reportType, sections) {
+		const result = await schemaRegistry.validate(xmlContent, reportType);
+		if (!result.valid) {
+			await this._rejectDocument(
+				result.errors,
+				xmlContent.split("\n"),
+				reportType,
+				sections
+			);
+		}
+	}
 
-			// Write to file
-			fs.writeFileSync(outputFile, xmlContent, "utf-8");
+	/**
+	 * Validate a written document like _validateAgainstSchema, without
+	 * reading it into a string. Only the lines the validator reports are
+	 * traced back, reading the file again up to the last of them.
+	 */
+	async _validateFileAgainstSchema(xmlFile, reportType, sections) {
+		const result = await schemaRegistry.validateFile(xmlFile, reportType);
+		if (result.valid) {
+			return;
+		}
 
-			// Get columns from first record
-			const columns = records.length > 0 ? Object.keys(records[0]) : [];
+		const input = fs.createReadStream(xmlFile, { encoding: "utf-8" });
+		try {
+			await this._rejectDocument(
+				result.errors,
+				readline.createInterface({ input, crlfDelay: Infinity }),
+				reportType,
+				sections
+			);
+		} finally {
+			input.destroy();
+		}
+	}
 
-			// Encrypt the output file if requested
-			let finalOutput = outputFile;
-			if (encryptOutput) {
-				const encryptedOutput = outputFile.replace(".xml", ".xml.enc");
-				encryption.encryptFile(outputFile, encryptedOutput);
-				finalOutput = encryptedOutput;
-				// Remove unencrypted file
-				fs.unlinkSync(outputFile);
+	/**
+	 * Throw a SchemaValidationError for validator errors, locating each in
+	 * the spreadsheet through the document's lines
+	 */
+	async _rejectDocument(errors, documentLines, reportType, sections) {
+		const lines = await this._locateXmlLines(
+			documentLines,
+			new Set(errors.map(({ line }) => line).filter(Boolean))
+		);
+		const columnsByTag = sections.map(({ columns }) => {
+			const byTag = {};
+			for (const { key, letter, header, attribute, path } of columns) {
+				if (attribute) continue;
+				const tag = path ? path[path.length - 1] : this._sanitizeXmlTag(key);
+				if (!byTag[tag]) {
+					byTag[tag] = { column: letter, field: header };
+				}
 			}
+			return byTag;
+		});
 
-			// Calculate conversion time
-			const conversionTime = Date.now() - startTime;
-
-			// Log successful conversion
-			auditLogger.logConversionEvent(
-				userId,
-				String(inputFile),
-				String(finalOutput),
-				conversionTime,
-				"success",
-				{
-					rows_processed: records.length,
-					columns: columns,
-					sheet_name: sheetToProcess,
-					encrypted: encryptOutput,
-				}
-			);
+		const violations = errors.map(({ line, message }) => {
+			const location = lines.get(line) || {};
+			const section =
+				location.sectionIndex !== null && location.sectionIndex !== undefined
+					? sections[location.sectionIndex]
+					: null;
+			const row =
+				section && location.rowIndex !== null
+					? section.rowNumbers[location.rowIndex]
+					: undefined;
+			const column =
+				section && location.element
+					? columnsByTag[location.sectionIndex][location.element]
+					: null;
 
 			return {
-				success: true,
-				rowsProcessed: records.length,
-				conversionTime,
+				section: location.section || null,
+				sheet: section ? section.sheetName : null,
+				row: row !== undefined ? row : null,
+				column: column ? column.column : null,
+				field: column ? column.field : null,
+				element: location.element || null,
+				line,
+				message,
 			};
-		} catch (error) {
-			// Log conversion error
-			auditLogger.logError(userId, "convert_excel_to_xml", error, {
-				input_file: String(inputFile),
-				output_file: String(outputFile),
-				sheet_name: sheetName,
-				encrypted: encryptOutput,
+		});
+
+		throw new SchemaValidationError(reportType, violations);
+	}
+
+	/**
+	 * Read a workbook the way conversion sees it
+	 */
+	_readWorkbook(inputFile, csvOptions = null) {
+		if (isDelimitedFile(inputFile)) {
+			return readDelimitedWorkbook(inputFile, csvOptions || {});
+		}
+
+		try {
+			// Read as raw text - no formatting, no date conversion
+			return XLSX.readFile(inputFile, {
+				type: "file",
+				raw: false,
+				cellText: true,
+				cellDates: false,
+				cellNF: false,
+				cellStyles: false,
 			});
-			throw error;
+		} catch (error) {
+			throw new ConversionInputError(
+				`Failed to read Excel file: ${error.message}`
+			);
 		}
 	}
 
 	/**
-	 * Validate Excel file format and content
+	 * Resolve the placeholders in header field values
 	 */
-	validateExcelFile(filePath) {
-		try {
-			// Check file extension
-			if (!config.validateFileExtension(filePath)) {
-				return false;
-			}
+	_resolveHeaderFields(headerFields, context) {
+		if (!headerFields) {
+			return headerFields;
+		}
+		const resolved = {};
+		for (const [key, value] of Object.entries(headerFields)) {
+			resolved[key] =
+				value !== null && value !== undefined
+					? resolvePlaceholders(value, context)
+					: value;
+		}
+		return resolved;
+	}
 
-			// Try to read the file
-			const workbook = XLSX.readFile(filePath);
+	/**
+	 * Yield a section for each sheet whose records are read lazily, for
+	 * values that are needed in the header before rows are streamed.
+	 * Problems with a sheet are left for when it is converted.
+	 */
+	*_lazySections(workbook, sheetSpecs) {
+		for (const spec of sheetSpecs) {
+			const worksheet = workbook.Sheets[spec.name];
+			if (!worksheet || !worksheet["!ref"]) continue;
+			let columns;
+			try {
+				columns = this._resolveColumns(worksheet, spec.profile);
+			} catch (error) {
+				// Reported when the sheet itself is converted
+				if (error instanceof DataValidationError) continue;
+				throw error;
+			}
+			yield {
+				sheetName: spec.name,
+				wrapperElement: spec.wrapperElement,
+				rowElement: spec.rowElement,
+				columns,
+				records: this._iterateRecords(worksheet, columns, []),
+			};
+		}
+	}
 
-			// Check if file has sheets
-			if (!workbook.SheetNames || workbook.SheetNames.length === 0) {
-				return false;
+	/**
+	 * Count the records the sheets will give without keeping them
+	 */
+	_countRecords(workbook, sheetSpecs) {
+		let count = 0;
+		for (const section of this._lazySections(workbook, sheetSpecs)) {
+			for (const record of section.records) {
+				count++;
 			}
+		}
+		return count;
+	}
 
-			// Check if first sheet has data
-			const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
-			const jsonData = XLSX.utils.sheet_to_json(firstSheet);
+	/**
+	 * Check if a control total's column name refers to a column: its
+	 * output name, its key or its header text
+	 */
+	_matchesColumn(column, name) {
+		return (
+			name === this._fieldName(column) ||
+			name === column.key ||
+			name === column.header
+		);
+	}
 
-			if (!jsonData || jsonData.length === 0) {
-				return false;
-			}
+	/**
+	 * Compute control totals ({ tag, aggregate, column }) over the records
+	 * of the data sections, returns the values by tag. A sha256 total
+	 * hashes the data sections exactly as they are written to the XML
+	 * document, from the first section's start tag to the last section's
+	 * end tag. Values that are not numbers, and columns no section has,
+	 * fail the conversion.
+	 */
+	_computeControlTotals(definitions, sections) {
+		if (!definitions || definitions.length === 0) {
+			return {};
+		}
 
-			return true;
-		} catch (error) {
-			auditLogger.logError("system", "validate_excel_file", error, {
-				file: filePath,
+		const totals = definitions.map((definition) => ({
+			definition,
+			aggregator:
+				definition.aggregate === "sha256" ? null : new Aggregator(definition),
+			found: !definition.column,
+		}));
+		const hash = definitions.some(
+			(definition) => definition.aggregate === "sha256"
+		)
+			? crypto.createHash("sha256")
+			: null;
+		const violations = [];
+		let sectionsHashed = 0;
+
+		for (const section of sections) {
+			const columns = totals.map(({ definition }) =>
+				definition.column
+					? section.columns.find((column) =>
+							this._matchesColumn(column, definition.column)
+						)
+					: null
+			);
+			columns.forEach((column, i) => {
+				if (column) totals[i].found = true;
 			});
-			return false;
+			let rows = 0;
+			let batch = null;
+			const flush = () => {
+				if (batch) {
+					hash.update(`\n${batch.end({ prettyPrint: true, offset: 2 })}`);
+					batch = null;
+				}
+			};
+
+			for (const record of section.records) {
+				totals.forEach(({ definition, aggregator }, i) => {
+					const column = columns[i];
+					if (!aggregator || (definition.column && !column)) return;
+
+					// Totals without a column count records
+					const values = column
+						? [].concat(record[column.key])
+						: [record[SOURCE_ROW]];
+					for (const value of values) {
+						try {
+							aggregator.add(value);
+						} catch (error) {
+							if (!(error instanceof ControlTotalError)) throw error;
+							violations.push({
+								sheet: section.sheetName,
+								row: record[SOURCE_ROW],
+								column: column.letter,
+								field: column.header,
+								element: column.key,
+								message: `${error.message} (control total ${definition.tag})`,
+							});
+						}
+					}
+				});
+
+				if (hash) {
+					if (rows === 0) {
+						hash.update(
+							`${sectionsHashed > 0 ? "\n  " : ""}<${section.wrapperElement}>`
+						);
+						sectionsHashed++;
+					}
+					batch = batch || fragment();
+					this._createDataSection(
+						batch,
+						[record],
+						section.columns,
+						section.rowElement
+					);
+					if ((rows + 1) % STREAM_BATCH_ROWS === 0) flush();
+				}
+				rows++;
+			}
+			if (hash && rows > 0) {
+				flush();
+				hash.update(`\n  </${section.wrapperElement}>`);
+			}
 		}
+
+		for (const { definition, found } of totals) {
+			if (!found) {
+				violations.push({
+					sheet: null,
+					row: null,
+					column: null,
+					field: definition.column,
+					element: definition.tag,
+					message: `Column "${definition.column}" for control total ${definition.tag} not found`,
+				});
+			}
+		}
+		if (violations.length > 0) {
+			throw new DataValidationError(
+				`${violations.length} value(s) failed control totals`,
+				violations
+			);
+		}
+
+		const digest = hash ? hash.digest("hex") : null;
+		return Object.fromEntries(
+			totals.map(({ definition, aggregator }) => [
+				definition.tag,
+				aggregator ? aggregator.result() : digest,
+			])
+		);
+	}
+
+	/**
+	 * Resolve which sheets to convert and with which element names. Without
+	 * a sheets option only sheetName (or the first sheet) is converted.
+	 * Sheets without their own element names use the envelope's.
+	 */
+	_resolveSheetSpecs(workbook, sheetName, options, envelope) {
+		const { sheets = null, profile = null, headerSheet = null } = options;
+		const defaults = {
+			wrapperElement: envelope.bodyElement,
+			rowElement: envelope.rowElement,
+			profile,
+		};
+		// The header sheet holds header fields, never data rows
+		const dataSheetNames = workbook.SheetNames.filter(
+			(name) => name !== headerSheet
+		);
+
+		if (!sheets) {
+			return [
+				{
+					...defaults,
+					name: sheetName || dataSheetNames[0] || workbook.SheetNames[0],
+				},
+			];
+		}
+		if (sheets === "*") {
+			return dataSheetNames.map((name) => ({
+				...defaults,
+				name,
+				skipEmpty: true,
+			}));
+		}
+
+		return sheets.map((spec) =>
+			typeof spec === "string"
+				? { ...defaults, name: spec }
+				: {
+						name: spec.name,
+						wrapperElement: spec.wrapperElement || defaults.wrapperElement,
+						rowElement: spec.rowElement || defaults.rowElement,
+						profile: spec.profile || defaults.profile,
+					}
+		);
+	}
+
+	/**
+	 * Read header fields from a two-column sheet: tag names in column A and
+	 * values in column B, below a title row
+	 */
+	_readHeaderSheet(workbook, sheetName) {
+		const worksheet = workbook.Sheets[sheetName];
+		if (!worksheet) {
+			throw new ConversionInputError(
+				`Header sheet "${sheetName}" not found in workbook`
+			);
+		}
+
+		const headerFields = {};
+		const range = XLSX.utils.decode_range(worksheet["!ref"] || "A1");
+		for (let r = range.s.r + 1; r <= range.e.r; r++) {
+			const tagCell = worksheet[XLSX.utils.encode_cell({ r, c: range.s.c })];
+			const tag = this._getDisplay(tagCell).trim();
+			if (!tag) continue;
+			const valueCell =
+				worksheet[XLSX.utils.encode_cell({ r, c: range.s.c + 1 })];
+			headerFields[tag] = this._getDisplay(valueCell);
+		}
+		return headerFields;
+	}
+
+	/**
+	 * Count the rows below the header row of each sheet to convert, blank
+	 * rows included. Used as the progress total.
+	 */
+	_countDataRows(workbook, sheetSpecs) {
+		return sheetSpecs.reduce((total, spec) => {
+			const worksheet = workbook.Sheets[spec.name];
+			if (!worksheet || !worksheet["!ref"]) return total;
+			const range = XLSX.utils.decode_range(worksheet["!ref"]);
+			return total + range.e.r - range.s.r;
+		}, 0);
+	}
+
+	/**
+	 * Get the worksheet for a sheet spec, or null when an empty sheet may be
+	 * skipped
+	 */
+	_getSpecWorksheet(workbook, spec, sheetCount) {
+		if (!workbook.SheetNames.includes(spec.name)) {
+			throw new ConversionInputError(
+				`Sheet "${spec.name}" not found in workbook`
+			);
+		}
+		for (const elementName of [spec.wrapperElement, spec.rowElement]) {
+			if (!isValidXmlName(elementName)) {
+				throw new ConversionInputError(
+					`Invalid XML element name: ${elementName}`
+				);
+			}
+		}
+
+		const worksheet = workbook.Sheets[spec.name];
+
+		// Check if sheet is empty
+		const range = XLSX.utils.decode_range(worksheet["!ref"] || "A1");
+		if (range.e.r === 0 && range.e.c === 0 && !worksheet["A1"]) {
+			if (spec.skipEmpty) return null;
+			throw this._emptySheetError(spec, sheetCount);
+		}
+		return worksheet;
+	}
+
+	_emptySheetError(spec, sheetCount) {
+		return new ConversionInputError(
+			sheetCount > 1 ? `Sheet "${spec.name}" is empty` : "Excel file is empty"
+		);
+	}
+
+	/**
+	 * Process each requested sheet into a data section. Violations from all
+	 * sheets are collected before failing.
+	 */
+	_buildSections(workbook, sheetSpecs, onRecord = null) {
+		const sections = [];
+		const violations = [];
+
+		for (const spec of sheetSpecs) {
+			const worksheet = this._getSpecWorksheet(
+				workbook,
+				spec,
+				sheetSpecs.length
+			);
+			if (!worksheet) continue;
+
+			// Process Excel data
+			try {
+				const columns = this._resolveColumns(worksheet, spec.profile);
+				const records = this._processExcelData(
+					worksheet,
+					columns,
+					null,
+					onRecord,
+					spec.profile ? spec.profile.rules : null
+				);
+				if (records.length === 0) {
+					if (spec.skipEmpty) continue;
+					throw this._emptySheetError(spec, sheetSpecs.length);
+				}
+				sections.push({
+					sheetName: spec.name,
+					wrapperElement: spec.wrapperElement,
+					rowElement: spec.rowElement,
+					profile: spec.profile,
+					columns,
+					records,
+					rowNumbers: records.map((record) => record[SOURCE_ROW]),
+				});
+			} catch (error) {
+				if (!(error instanceof DataValidationError)) throw error;
+				violations.push(
+					...error.violations.map((v) => ({ sheet: spec.name, ...v }))
+				);
+			}
+		}
+
+		if (violations.length > 0) {
+			throw new DataValidationError(
+				`${violations.length} cell(s) failed validation`,
+				violations
+			);
+		}
+		if (sections.length === 0) {
+			throw new ConversionInputError("Excel file is empty");
+		}
+		return sections;
+	}
+
+	/**
+	 * Build the whole pretty-printed document in memory
+	 */
+	_buildXmlDocument(headerFields, sections, envelope) {
+		// Create root element
+		const root = create({ version: "1.0", encoding: "utf-8" }).ele(
+			envelope.rootElement,
+			this._rootAttributes(envelope)
+		);
+
+		// Add header fields if provided
+		if (headerFields && Object.keys(headerFields).length > 0) {
+			this._createHeader(root, headerFields);
+		}
+
+		// Create a BODY (or wrapper) element per sheet
+		for (const section of sections) {
+			const body = root.ele(section.wrapperElement);
+			this._createDataSection(
+				body,
+				section.records,
+				section.columns,
+				section.rowElement
+			);
+		}
+
+		// Convert to pretty-printed XML
+		return root.end({ prettyPrint: true });
+	}
+
+	/**
+	 * Header field names as written to the output, spaces replaced by
+	 * underscores as in the XML HEADER
+	 */
+	_headerEntries(headerFields) {
+		return Object.entries(headerFields || {}).map(([key, value]) => [
+			key.replace(/\s+/g, "_"),
+			value !== null && value !== undefined ? String(value) : "",
+		]);
+	}
+
+	/**
+	 * Name of a column's value in JSON and CSV output: its element or
+	 * attribute name, or its slash-separated path
+	 */
+	_fieldName(column) {
+		if (column.path) return column.path.join("/");
+		return column.attribute ? column.key : this._sanitizeXmlTag(column.key);
+	}
+
+	/**
+	 * Records keyed by their field names, every column present. Repeated
+	 * columns give an array of values.
+	 */
+	_sectionRows(section) {
+		return section.records.map((record) => {
+			const row = {};
+			for (const column of section.columns) {
+				const value = record[column.key];
+				row[this._fieldName(column)] = Array.isArray(value)
+					? value.map(String)
+					: value !== null && value !== undefined
+						? String(value)
+						: "";
+			}
+			return row;
+		});
+	}
+
+	/**
+	 * Build a JSON document: the header object and the rows of a single
+	 * sheet, or the rows of each sheet under "sheets"
+	 */
+	_buildJsonDocument(headerFields, sections) {
+		const document = {
+			header: Object.fromEntries(this._headerEntries(headerFields)),
+		};
+		if (sections.length === 1) {
+			document.rows = this._sectionRows(sections[0]);
+		} else {
+			document.sheets = sections.map((section) => ({
+				name: section.sheetName,
+				wrapper_element: section.wrapperElement,
+				rows: this._sectionRows(section),
+			}));
+		}
+		return JSON.stringify(document, null, 2);
+	}
+
+	/**
+	 * Build a normalized CSV document: comma separated UTF-8 with a header
+	 * line of field names. Header fields are repeated as leading columns
+	 * on every row; a header field named like a data column is left out.
+	 * Repeated values are joined with their separator (";" by default).
+	 */
+	_buildCsvDocument(headerFields, sections) {
+		if (sections.length !== 1) {
+			throw new ConversionInputError("CSV output holds a single sheet");
+		}
+		const [section] = sections;
+		const fields = [];
+		const separators = {};
+		for (const column of section.columns) {
+			const name = this._fieldName(column);
+			if (fields.includes(name)) continue;
+			fields.push(name);
+			separators[name] = column.separator || ";";
+		}
+		const headerEntries = this._headerEntries(headerFields).filter(
+			([name]) => !fields.includes(name)
+		);
+
+		const lines = [[...headerEntries.map(([name]) => name), ...fields]];
+		const headerValues = headerEntries.map(([, value]) => value);
+		for (const row of this._sectionRows(section)) {
+			lines.push([
+				...headerValues,
+				...fields.map((name) =>
+					Array.isArray(row[name])
+						? row[name].join(separators[name])
+						: row[name]
+				),
+			]);
+		}
+		return formatDelimited(lines);
+	}
+
+	/**
+	 * Write the document to a file stream row by row instead of building
+	 * the whole XML tree in memory. Each batch of rows is serialized with
+	 * the same pretty-printer as the in-memory path, so the output is
+	 * byte-identical. The event loop is released between batches. Rows
+	 * come from the already parsed workbook: SheetJS has no streaming
+	 * reader, so only the output side is streamed.
+	 */
+	async _writeXmlStream(
+		outputFile,
+		headerFields,
+		workbook,
+		sheetSpecs,
+		envelope,
+		onRecord = null
+	) {
+		const out = fs.createWriteStream(outputFile, { encoding: "utf-8" });
+		// Settles once the file is closed; a write error rejects it instead
+		// of being emitted with no listener
+		const closed = finished(out);
+		const write = async (chunk) => {
+			if (!out.write(chunk)) {
+				await once(out, "drain");
+			}
+		};
+
+		const sections = [];
+		const violations = [];
+
+		try {
+			await write(
+				`<?xml version="1.0" encoding="utf-8"?>\n${this._rootStartTag(envelope)}`
+			);
+
+			// Add header fields if provided
+			if (headerFields && Object.keys(headerFields).length > 0) {
+				const header = fragment();
+				this._createHeader(header, headerFields);
+				await write(`\n${header.end({ prettyPrint: true, offset: 1 })}`);
+			}
+
+			for (const spec of sheetSpecs) {
+				const worksheet = this._getSpecWorksheet(
+					workbook,
+					spec,
+					sheetSpecs.length
+				);
+				if (!worksheet) continue;
+
+				let columns;
+				try {
+					columns = this._resolveColumns(worksheet, spec.profile);
+				} catch (error) {
+					if (!(error instanceof DataValidationError)) throw error;
+					violations.push(
+						...error.violations.map((v) => ({ sheet: spec.name, ...v }))
+					);
+					continue;
+				}
+
+				const sheetViolations = [];
+				const rowNumbers = [];
+				let batch = null;
+				const flush = async () => {
+					if (batch) {
+						await write(`\n${batch.end({ prettyPrint: true, offset: 2 })}`);
+						batch = null;
+					}
+					await new Promise((resolve) => setImmediate(resolve));
+				};
+
+				for (const record of this._iterateRecords(
+					worksheet,
+					columns,
+					sheetViolations,
+					spec.profile ? spec.profile.rules : null
+				)) {
+					// Open the section lazily so empty sheets leave no trace
+					if (rowNumbers.length === 0 && violations.length === 0) {
+						await write(`\n  <${spec.wrapperElement}>`);
+					}
+					rowNumbers.push(record[SOURCE_ROW]);
+					if (onRecord) onRecord();
+
+					// Once the document is known to be invalid, keep reading
+					// only to collect the remaining violations
+					if (violations.length > 0 || sheetViolations.length > 0) continue;
+
+					batch = batch || fragment();
+					this._createDataSection(batch, [record], columns, spec.rowElement);
+					if (rowNumbers.length % STREAM_BATCH_ROWS === 0) {
+						await flush();
+					}
+				}
+				await flush();
+
+				violations.push(
+					...sheetViolations.map((v) => ({ sheet: spec.name, ...v }))
+				);
+				if (rowNumbers.length === 0) {
+					if (spec.skipEmpty) continue;
+					throw this._emptySheetError(spec, sheetSpecs.length);
+				}
+
+				await write(`\n  </${spec.wrapperElement}>`);
+				sections.push({
+					sheetName: spec.name,
+					wrapperElement: spec.wrapperElement,
+					rowElement: spec.rowElement,
+					profile: spec.profile,
+					columns,
+					rowNumbers,
+				});
+			}
+
+			if (violations.length > 0) {
+				throw new DataValidationError(
+					`${violations.length} cell(s) failed validation`,
+					violations
+				);
+			}
+			if (sections.length === 0) {
+				throw new ConversionInputError("Excel file is empty");
+			}
+
+			await write(`\n</${envelope.rootElement}>`);
+			out.end();
+			await closed;
+			return sections;
+		} catch (error) {
+			// Let a write in progress finish before the file is removed
+			out.destroy();
+			await closed.catch(() => {});
+			if (fs.existsSync(outputFile)) {
+				fs.unlinkSync(outputFile);
+			}
+			throw error;
+		}
+	}
+
+	/**
+	 * Convert Excel file to XML with optional header fields and encryption
+	 *
+	 * Options:
+	 * - reportType: validate the document against this report type's XSD
+	 *   schema before writing it
+	 * - profile: mapping profile that renames, drops and orders columns
+	 * - sheets: "*" for every non-empty sheet, or a list of sheet names or
+	 *   { name, wrapperElement, rowElement, profile } specs. Each sheet is
+	 *   written to its own wrapper element (BODY by default).
+	 * - stream: write rows to the file as they are read instead of building
+	 *   the document in memory, and validate the written file without
+	 *   reading it back into a string. The workbook is still read whole.
+	 *   Defaults to true for files of at least config.STREAM_THRESHOLD_MB.
+	 * - csvOptions: { delimiter, encoding, quote } for .csv and .tsv input
+	 * - headerSheet: name of a sheet with header fields (tags in column A,
+	 *   values in column B). It is left out of the data sheets.
+	 * - sourceFileName: uploaded file name for the {{source_filename}}
+	 *   placeholder; header values may use any placeholder of
+	 *   services/placeholders.js
+	 * - envelope: { rootElement, bodyElement, rowElement, namespace,
+	 *   namespaces, schemaLocation } overriding the configured root, body
+	 *   and row element names and default namespace (see _resolveEnvelope)
+	 * - outputFormat: "xml" (default), "json" for { header, rows } or
+	 *   "csv" for normalized CSV of a single sheet. JSON and CSV are built
+	 *   in memory and cannot be checked against a report type schema.
+	 * - controlTotals: [{ tag, aggregate, column }] computed over the
+	 *   converted records and written to the header under their tags (see
+	 *   _computeControlTotals). aggregate is count, sum, min, max or sha256;
+	 *   sha256 applies to XML output only.
+	 * - errorReportFile: when the records fail validation, write an
+	 *   annotated copy of the workbook highlighting the offending cells to
+	 *   this path and set it as the error's errorReportFile
+	 * - onProgress: called with { stage, rowsProcessed, totalRows } as the
+	 *   conversion moves through the reading, processing, validating,
+	 *   writing, encrypting and done stages, and every
+	 *   PROGRESS_INTERVAL_ROWS rows while rows are read. Streamed
+	 *   conversions read and write rows together, so their rows are
+	 *   reported under the writing stage. totalRows counts every row below
+	 *   the header row, blank or not, until the conversion is done.
+	 */
+	async convert(
+		inputFile,
+		outputFile,
+		headerFields = null,
+		sheetName = null,
+		encryptOutput = false,
+		userId = "system",
+		options = {}
+	) {
+		const startTime = Date.now();
+		const {
+			reportType = null,
+			profile = null,
+			outputFormat = "xml",
+			controlTotals: totalDefinitions = [],
+			onProgress = null,
+		} = options;
+
+		let stage = null;
+		let rowsRead = 0;
+		let totalRows = null;
+		const report = (nextStage) => {
+			stage = nextStage;
+			if (onProgress) {
+				onProgress({ stage, rowsProcessed: rowsRead, totalRows });
+			}
+		};
+		const onRecord = onProgress
+			? () => {
+					rowsRead++;
+					if (rowsRead % PROGRESS_INTERVAL_ROWS === 0) {
+						report(stage);
+					}
+				}
+			: null;
+
+		let workbook = null;
+		try {
+			if (!OUTPUT_FORMATS[outputFormat]) {
+				throw new Error(`Unsupported output format "${outputFormat}"`);
+			}
+			if (reportType && outputFormat !== "xml") {
+				throw new Error("Report type validation only applies to XML output");
+			}
+			if (
+				outputFormat !== "xml" &&
+				totalDefinitions.some((total) => total.aggregate === "sha256")
+			) {
+				throw new Error("sha256 control totals only apply to XML output");
+			}
+			if (reportType && !schemaRegistry.has(reportType)) {
+				throw new Error(
+					`No XSD schema registered for report type "${reportType}"`
+				);
+			}
+
+			// Validate input file exists
+			if (!fs.existsSync(inputFile)) {
+				throw new Error(`Input file not found: ${inputFile}`);
+			}
+
+			// Read Excel file
+			report("reading");
+			workbook = this._readWorkbook(inputFile, options.csvOptions);
+
+			// Header fields given in the request win over the header sheet
+			if (options.headerSheet) {
+				headerFields = {
+					...this._readHeaderSheet(workbook, options.headerSheet),
+					...(headerFields || {}),
+				};
+			}
+
+			// Get the sheets to process
+			const envelope = this._resolveEnvelope(options.envelope);
+			const sheetSpecs = this._resolveSheetSpecs(
+				workbook,
+				sheetName,
+				options,
+				envelope
+			);
+			totalRows = this._countDataRows(workbook, sheetSpecs);
+
+			// Placeholders in header values are resolved once the rows to
+			// write are known
+			const placeholderContext = {
+				workbook,
+				sheetNames: sheetSpecs.map((spec) => spec.name),
+				sourceFileName: options.sourceFileName || path.basename(inputFile),
+				now: new Date(),
+			};
+			let sections;
+			let controlTotals;
+			const countRows = () =>
+				sections.reduce(
+					(total, section) => total + section.rowNumbers.length,
+					0
+				);
+
+			// Large files are streamed unless the caller decides otherwise;
+			// only XML is written as a stream
+			const stream =
+				outputFormat === "xml" &&
+				(options.stream !== undefined && options.stream !== null
+					? Boolean(options.stream)
+					: fs.statSync(inputFile).size >=
+						config.STREAM_THRESHOLD_MB * 1024 * 1024);
+
+			if (stream) {
+				// Stream to a partial file so an invalid document never
+				// appears under the output name
+				const partialFile = `${outputFile}.partial`;
+				controlTotals = this._computeControlTotals(
+					totalDefinitions,
+					this._lazySections(workbook, sheetSpecs)
+				);
+				headerFields = {
+					...this._resolveHeaderFields(headerFields, {
+						...placeholderContext,
+						rowCount: () => this._countRecords(workbook, sheetSpecs),
+					}),
+					...controlTotals,
+				};
+				report("writing");
+				sections = await this._writeXmlStream(
+					partialFile,
+					headerFields,
+					workbook,
+					sheetSpecs,
+					envelope,
+					onRecord
+				);
+
+				if (reportType) {
+					report("validating");
+					try {
+						await this._validateFileAgainstSchema(
+							partialFile,
+							reportType,
+							sections
+						);
+					} catch (error) {
+						fs.unlinkSync(partialFile);
+						throw error;
+					}
+				}
+				fs.renameSync(partialFile, outputFile);
+			} else if (outputFormat !== "xml") {
+				report("processing");
+				sections = this._buildSections(workbook, sheetSpecs, onRecord);
+				controlTotals = this._computeControlTotals(totalDefinitions, sections);
+				headerFields = {
+					...this._resolveHeaderFields(headerFields, {
+						...placeholderContext,
+						sheetNames: sections.map((section) => section.sheetName),
+						rowCount: countRows,
+					}),
+					...controlTotals,
+				};
+				const content =
+					outputFormat === "json"
+						? this._buildJsonDocument(headerFields, sections)
+						: this._buildCsvDocument(headerFields, sections);
+
+				report("writing");
+				fs.writeFileSync(outputFile, content, "utf-8");
+			} else {
+				report("processing");
+				sections = this._buildSections(workbook, sheetSpecs, onRecord);
+				controlTotals = this._computeControlTotals(totalDefinitions, sections);
+				headerFields = {
+					...this._resolveHeaderFields(headerFields, {
+						...placeholderContext,
+						sheetNames: sections.map((section) => section.sheetName),
+						rowCount: countRows,
+					}),
+					...controlTotals,
+				};
+				const xmlContent = this._buildXmlDocument(
+					headerFields,
+					sections,
+					envelope
+				);
+
+				// Validate against the report type schema before writing
+				if (reportType) {
+					report("validating");
+					await this._validateAgainstSchema(xmlContent, reportType, sections);
+				}
+
+				// Write to file
+				report("writing");
+				fs.writeFileSync(outputFile, xmlContent, "utf-8");
+			}
+
+			const rowsProcessed = countRows();
+
+			// Encrypt the output file if requested
+			let finalOutput = outputFile;
+			if (encryptOutput) {
+				report("encrypting");
+				const encryptedOutput = `${outputFile}.enc`;
+				encryption.encryptFile(outputFile, encryptedOutput, userId);
+				finalOutput = encryptedOutput;
+				// Remove unencrypted file
+				fs.unlinkSync(outputFile);
+			}
+
+			// Calculate conversion time
+			const conversionTime = Date.now() - startTime;
+
+			rowsRead = rowsProcessed;
+			totalRows = rowsProcessed;
+			report("done");
+
+			// Log successful conversion
+			auditLogger.logConversionEvent(
+				userId,
+				String(inputFile),
+				String(finalOutput),
+				conversionTime,
+				"success",
+				{
+					rows_processed: rowsProcessed,
+					sheets: sections.map((section) => ({
+						sheet_name: section.sheetName,
+						rows: section.rowNumbers.length,
+						columns: section.columns.map((column) => column.key),
+						profile_id: section.profile ? section.profile.id : null,
+					})),
+					encrypted: encryptOutput,
+					report_type: reportType,
+					output_format: outputFormat,
+					root_element: envelope.rootElement,
+					namespace: envelope.namespace || null,
+					control_totals: controlTotals,
+					streamed: stream,
+				}
+			);
+
+			return {
+				success: true,
+				rowsProcessed,
+				conversionTime,
+				reportType,
+				outputFormat,
+				sheets: sections.map((section) => ({
+					name: section.sheetName,
+					rows: section.rowNumbers.length,
+				})),
+				controlTotals,
+			};
+		} catch (error) {
+			if (
+				error instanceof DataValidationError &&
+				options.errorReportFile &&
+				workbook
+			) {
+				try {
+					await writeErrorReport(
+						workbook,
+						error.violations,
+						options.errorReportFile
+					);
+					error.errorReportFile = options.errorReportFile;
+				} catch (reportError) {
+					auditLogger.logError(userId, "write_error_report", reportError, {
+						input_file: String(inputFile),
+						report_file: String(options.errorReportFile),
+					});
+				}
+			}
+
+			// Log conversion error
+			auditLogger.logError(userId, "convert_excel_to_xml", error, {
+				input_file: String(inputFile),
+				output_file: String(outputFile),
+				sheet_name: sheetName,
+				encrypted: encryptOutput,
+				report_type: reportType,
+				profile_id: profile ? profile.id : null,
+				violations: error.violations ? error.violations.length : undefined,
+			});
+			throw error;
+		}
+	}
+
+	/**
+	 * Describe how the columns of a sheet map to output names: from a
+	 * profile tag, from the header text (sanitized, renamed when that
+	 * changed it) or generated as COL_n for a blank header cell
+	 */
+	_describeColumns(worksheet, columns) {
+		const headerRow = XLSX.utils.decode_range(worksheet["!ref"] || "A1").s.r;
+		return columns.map((column) => {
+			const fromProfile = column.attribute || column.path !== null;
+			const generated =
+				this._getDisplay(
+					worksheet[XLSX.utils.encode_cell({ r: headerRow, c: column.index })]
+				).trim() === "";
+			const element = this._fieldName(column);
+			return {
+				column: column.letter,
+				header: generated ? null : column.header,
+				element,
+				source: fromProfile ? "profile" : generated ? "generated" : "header",
+				renamed: !fromProfile && element !== column.header,
+				attribute: column.attribute,
+				repeat: column.repeat,
+				type: column.typeRule ? column.typeRule.type : null,
+			};
+		});
+	}
+
+	/**
+	 * Preview a conversion without writing an output file: the HEADER as
+	 * it would be written, the first previewRows rows of each sheet as XML
+	 * fragments and the column mapping applied. Takes the same options as
+	 * convert; problems in the previewed rows and control totals are
+	 * returned as violations instead of failing the preview. Schemas are
+	 * not checked.
+	 */
+	preview(
+		inputFile,
+		headerFields = null,
+		sheetName = null,
+		userId = "system",
+		options = {}
+	) {
+		const startTime = Date.now();
+		const { previewRows = 10, controlTotals: totalDefinitions = [] } = options;
+
+		if (!fs.existsSync(inputFile)) {
+			throw new Error(`Input file not found: ${inputFile}`);
+		}
+
+		const workbook = this._readWorkbook(inputFile, options.csvOptions);
+		if (options.headerSheet) {
+			headerFields = {
+				...this._readHeaderSheet(workbook, options.headerSheet),
+				...(headerFields || {}),
+			};
+		}
+		const envelope = this._resolveEnvelope(options.envelope);
+		const sheetSpecs = this._resolveSheetSpecs(
+			workbook,
+			sheetName,
+			options,
+			envelope
+		);
+
+		const violations = [];
+		const sheets = [];
+		for (const spec of sheetSpecs) {
+			const worksheet = this._getSpecWorksheet(
+				workbook,
+				spec,
+				sheetSpecs.length
+			);
+			if (!worksheet) continue;
+
+			let columns;
+			try {
+				columns = this._resolveColumns(worksheet, spec.profile);
+			} catch (error) {
+				if (!(error instanceof DataValidationError)) throw error;
+				violations.push(
+					...error.violations.map((v) => ({ sheet: spec.name, ...v }))
+				);
+				continue;
+			}
+
+			// Stop reading once the last previewed row is in
+			const sheetViolations = [];
+			const records = [];
+			for (const record of this._iterateRecords(
+				worksheet,
+				columns,
+				sheetViolations,
+				spec.profile ? spec.profile.rules : null
+			)) {
+				records.push(record);
+				if (records.length >= previewRows) break;
+			}
+			if (records.length === 0 && spec.skipEmpty) continue;
+			violations.push(
+				...sheetViolations.map((v) => ({ sheet: spec.name, ...v }))
+			);
+
+			const rows = fragment();
+			this._createDataSection(rows, records, columns, spec.rowElement);
+			sheets.push({
+				name: spec.name,
+				wrapper_element: spec.wrapperElement,
+				row_element: spec.rowElement,
+				rows_previewed: records.length,
+				columns: this._describeColumns(worksheet, columns),
+				xml: records.length > 0 ? rows.end({ prettyPrint: true }) : "",
+			});
+		}
+
+		// Header values and control totals cover every row, as in convert
+		let totals = {};
+		try {
+			totals = this._computeControlTotals(
+				totalDefinitions,
+				this._lazySections(workbook, sheetSpecs)
+			);
+		} catch (error) {
+			if (!(error instanceof DataValidationError)) throw error;
+			violations.push(...error.violations);
+		}
+		const resolvedFields = {
+			...this._resolveHeaderFields(headerFields, {
+				workbook,
+				sheetNames: sheetSpecs.map((spec) => spec.name),
+				sourceFileName: options.sourceFileName || path.basename(inputFile),
+				now: new Date(),
+				rowCount: () => this._countRecords(workbook, sheetSpecs),
+			}),
+			...totals,
+		};
+		const header = fragment();
+		this._createHeader(header, resolvedFields);
+
+		auditLogger.logConversionEvent(
+			userId,
+			String(inputFile),
+			"",
+			Date.now() - startTime,
+			"success",
+			{
+				dry_run: true,
+				preview_rows: previewRows,
+				sheets: sheets.map((sheet) => sheet.name),
+				violations: violations.length,
+			}
+		);
+
+		return {
+			rootElement: envelope.rootElement,
+			header:
+				Object.keys(resolvedFields).length > 0
+					? header.end({ prettyPrint: true })
+					: "",
+			sheets,
+			controlTotals: totals,
+			violations,
+		};
+	}
+
+	/**
+	 * Describe every sheet of a workbook: used range, row/column counts,
+	 * header row and the first data rows as conversion would see them
+	 */
+	inspectWorkbook(filePath, previewRows = 5, csvOptions = null) {
+		if (!fs.existsSync(filePath)) {
+			throw new Error(`Input file not found: ${filePath}`);
+		}
+
+		const workbook = this._readWorkbook(filePath, csvOptions);
+		return workbook.SheetNames.map((name) => {
+			const worksheet = workbook.Sheets[name];
+			const ref = worksheet["!ref"] || null;
+			const range = XLSX.utils.decode_range(ref || "A1");
+			const isEmpty =
+				!ref || (range.e.r === 0 && range.e.c === 0 && !worksheet["A1"]);
+
+			if (isEmpty) {
+				return {
+					name,
+					used_range: null,
+					row_count: 0,
+					column_count: 0,
+					header_row: null,
+					columns: [],
+					preview: [],
+				};
+			}
+
+			const columns = this._resolveColumns(worksheet);
+			const records = this._processExcelData(worksheet, columns, previewRows);
+
+			return {
+				name,
+				used_range: ref,
+				row_count: range.e.r - range.s.r + 1,
+				column_count: range.e.c - range.s.c + 1,
+				header_row: range.s.r + 1,
+				columns: columns.map((column) => ({
+					column: column.letter,
+					header: column.header,
+					element: this._sanitizeXmlTag(column.key),
+				})),
+				preview: records.map((record) => ({
+					row: record[SOURCE_ROW],
+					values: { ...record },
+				})),
+			};
+		});
+	}
+
+	/**
+	 * Check a single sheet for problems that affect conversion, adding
+	 * findings through addFinding. Returns the sheet's counts.
+	 */
+	_checkSheet(name, worksheet, addFinding) {
+		const ref = worksheet["!ref"];
+		const range = XLSX.utils.decode_range(ref || "A1");
+		if (!ref || (range.e.r === 0 && range.e.c === 0 && !worksheet["A1"])) {
+			addFinding("info", "empty_sheet", name, null, "Sheet is empty");
+			return { name, row_count: 0, column_count: 0, data_row_count: 0 };
+		}
+
+		// Header row: blank headers and duplicates
+		const headerMap = this._readHeaders(worksheet);
+		const seenHeaders = {};
+		const seenElements = {};
+		for (let c = range.s.c; c <= range.e.c; c++) {
+			const letter = XLSX.utils.encode_col(c);
+			const headerCell = worksheet[XLSX.utils.encode_cell({ r: range.s.r, c })];
+			let hasData = false;
+			for (let r = range.s.r + 1; r <= range.e.r && !hasData; r++) {
+				hasData =
+					this._getDisplay(worksheet[XLSX.utils.encode_cell({ r, c })]) !== "";
+			}
+
+			if (this._getDisplay(headerCell).trim() === "") {
+				if (hasData) {
+					addFinding(
+						"warning",
+						"blank_header",
+						name,
+						`${letter}${range.s.r + 1}`,
+						`Column ${letter} has no header and will be written as ${headerMap[c]}`
+					);
+				} else {
+					addFinding(
+						"info",
+						"empty_column",
+						name,
+						letter,
+						`Column ${letter} is empty`
+					);
+				}
+				continue;
+			}
+
+			const header = headerMap[c];
+			const element = this._sanitizeXmlTag(header);
+			if (seenHeaders[header] !== undefined) {
+				addFinding(
+					"warning",
+					"duplicate_header",
+					name,
+					`${letter}${range.s.r + 1}`,
+					`Header "${header}" in column ${letter} duplicates column ${seenHeaders[header]}; its values will overwrite that column`
+				);
+			} else if (seenElements[element] !== undefined) {
+				addFinding(
+					"warning",
+					"duplicate_element",
+					name,
+					`${letter}${range.s.r + 1}`,
+					`Header "${header}" in column ${letter} becomes element ${element}, the same as column ${seenElements[element]}`
+				);
+			}
+			if (seenHeaders[header] === undefined) seenHeaders[header] = letter;
+			if (seenElements[element] === undefined) seenElements[element] = letter;
+
+			if (!hasData) {
+				addFinding(
+					"info",
+					"empty_column",
+					name,
+					letter,
+					`Column ${letter} ("${header}") has no data`
+				);
+			}
+		}
+
+		// Merged cells
+		for (const merge of worksheet["!merges"] || []) {
+			addFinding(
+				"warning",
+				"merged_cells",
+				name,
+				XLSX.utils.encode_range(merge),
+				`Cells ${XLSX.utils.encode_range(
+					merge
+				)} are merged; only the top-left cell keeps its value`
+			);
+		}
+
+		// Formula and error cells
+		let dataRowCount = 0;
+		for (let r = range.s.r; r <= range.e.r; r++) {
+			let rowHasData = false;
+			for (let c = range.s.c; c <= range.e.c; c++) {
+				const addr = XLSX.utils.encode_cell({ r, c });
+				const cell = worksheet[addr];
+				if (!cell) continue;
+				if (this._getDisplay(cell) !== "") rowHasData = true;
+				if (cell.t === "e") {
+					addFinding(
+						"error",
+						"formula_error",
+						name,
+						addr,
+						`Cell ${addr} contains the error ${cell.w || "#ERROR"}`
+					);
+				}
+			}
+			if (r > range.s.r && rowHasData) dataRowCount++;
+		}
+
+		// Hidden rows and columns
+		(worksheet["!rows"] || []).forEach((row, r) => {
+			if (row && row.hidden && r >= range.s.r && r <= range.e.r) {
+				addFinding(
+					"info",
+					"hidden_row",
+					name,
+					String(r + 1),
+					`Row ${r + 1} is hidden but will be converted`
+				);
+			}
+		});
+		(worksheet["!cols"] || []).forEach((col, c) => {
+			if (col && col.hidden && c >= range.s.c && c <= range.e.c) {
+				addFinding(
+					"info",
+					"hidden_column",
+					name,
+					XLSX.utils.encode_col(c),
+					`Column ${XLSX.utils.encode_col(c)} is hidden but will be converted`
+				);
+			}
+		});
+
+		return {
+			name,
+			row_count: range.e.r - range.s.r + 1,
+			column_count: range.e.c - range.s.c + 1,
+			data_row_count: dataRowCount,
+		};
+	}
+
+	/**
+	 * Validate Excel file format and content. Returns a report with a
+	 * finding per problem; each finding has a severity of "error",
+	 * "warning" or "info". The file is valid when there are no errors.
+	 */
+	validateExcelFile(
+		filePath,
+		sheetName = null,
+		csvOptions = null,
+		userId = "system"
+	) {
+		const findings = [];
+		const sheets = [];
+		let truncated = 0;
+
+		const addFinding = (severity, code, sheet, location, message) => {
+			if (findings.length >= MAX_VALIDATION_FINDINGS) {
+				truncated++;
+				return;
+			}
+			findings.push({ severity, code, sheet, location, message });
+		};
+
+		try {
+			// Check file extension
+			if (!config.validateFileExtension(filePath)) {
+				addFinding("error", "invalid_type", null, null, "Invalid file type");
+			} else {
+				// Try to read the file
+				const workbook = isDelimitedFile(filePath)
+					? readDelimitedWorkbook(filePath, csvOptions || {})
+					: XLSX.readFile(filePath, { cellStyles: true });
+
+				// Check if file has sheets
+				if (!workbook.SheetNames || workbook.SheetNames.length === 0) {
+					addFinding(
+						"error",
+						"no_sheets",
+						null,
+						null,
+						"Workbook has no sheets"
+					);
+				} else if (sheetName && !workbook.SheetNames.includes(sheetName)) {
+					addFinding(
+						"error",
+						"sheet_not_found",
+						sheetName,
+						null,
+						`Sheet "${sheetName}" not found in workbook`
+					);
+				} else {
+					for (const name of sheetName ? [sheetName] : workbook.SheetNames) {
+						sheets.push(
+							this._checkSheet(name, workbook.Sheets[name], addFinding)
+						);
+					}
+				}
+			}
+		} catch (error) {
+			auditLogger.logError(userId, "validate_excel_file", error, {
+				file: filePath,
+			});
+			addFinding(
+				"error",
+				"unreadable",
+				null,
+				null,
+				`File could not be read: ${error.message}`
+			);
+		}
+
+		// The sheet (or, without one, any sheet) must have data rows
+		if (
+			sheets.length > 0 &&
+			!sheets.some((sheet) => sheet.data_row_count > 0)
+		) {
+			addFinding(
+				"error",
+				"no_data",
+				sheetName,
+				null,
+				sheetName ? "Sheet has no data rows" : "Workbook has no data rows"
+			);
+		}
+
+		const count = (severity) =>
+			findings.filter((f) => f.severity === severity).length;
+		const summary = {
+			errors: count("error"),
+			warnings: count("warning"),
+			info: count("info"),
+			truncated,
+		};
+
+		return {
+			is_valid: summary.errors === 0,
+			sheets,
+			findings,
+			summary,
+		};
 	}
 }
 
@@ -321,4 +2181,12 @@ const converter = new ExcelToXMLConverter();
 module.exports = {
 	converter,
 	ExcelToXMLConverter,
+	DataValidationError,
+	SchemaValidationError,
+	ConversionInputError,
+	SOURCE_ROW,
+	OUTPUT_FORMATS,
+	XSI_NAMESPACE,
+	isValidXmlName,
+	parseEnvelope,
 };
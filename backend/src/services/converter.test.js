@@ -0,0 +1,154 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "converter-test-"));
+process.env.OUTPUT_DIR = path.join(tempDir, "output");
+process.env.DATA_DIR = path.join(tempDir, "data");
+process.env.SCHEMA_DIR = path.join(tempDir, "schemas");
+process.env.LOG_FILE_PATH = path.join(tempDir, "audit.log");
+
+const XLSX = require("xlsx");
+const { converter, SchemaValidationError } = require("./converter");
+const { schemaRegistry } = require("./schemaRegistry");
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+/**
+ * Workbook with two data sheets holding numbers, blanks and text that
+ * needs escaping
+ */
+function writeWorkbook(filePath) {
+	const workbook = XLSX.utils.book_new();
+	XLSX.utils.book_append_sheet(
+		workbook,
+		XLSX.utils.aoa_to_sheet([
+			["ID", "Amount", "Note"],
+			[1, 10.5, "Fish & chips"],
+			[2, 0.1, null],
+			[3, -7, '<quoted> "text"'],
+		]),
+		"Loans"
+	);
+	XLSX.utils.book_append_sheet(
+		workbook,
+		XLSX.utils.aoa_to_sheet([
+			["Code", "Amount"],
+			["A-1", 1200],
+			["B-2", 3.25],
+		]),
+		"Deposits"
+	);
+	XLSX.writeFile(workbook, filePath);
+}
+
+test("streamed output is byte-identical to the in-memory document", async () => {
+	const inputFile = path.join(tempDir, "input.xlsx");
+	writeWorkbook(inputFile);
+
+	const convert = async (stream) => {
+		const outputFile = path.join(tempDir, `output_${stream}.xml`);
+		const result = await converter.convert(
+			inputFile,
+			outputFile,
+			{ CALLREPORT_ID: "R-1", PERIOD: "2024Q1" },
+			null,
+			false,
+			"system",
+			{
+				sheets: "*",
+				stream,
+				controlTotals: [
+					{ tag: "ROW_COUNT", aggregate: "count" },
+					{ tag: "AMOUNT_TOTAL", aggregate: "sum", column: "Amount" },
+					{ tag: "CHECKSUM", aggregate: "sha256" },
+				],
+			}
+		);
+		return { result, content: fs.readFileSync(outputFile) };
+	};
+
+	const inMemory = await convert(false);
+	const streamed = await convert(true);
+
+	assert.equal(inMemory.result.rowsProcessed, 5);
+	assert.deepEqual(streamed.result.sheets, inMemory.result.sheets);
+	assert.deepEqual(
+		streamed.result.controlTotals,
+		inMemory.result.controlTotals
+	);
+	assert.ok(streamed.content.equals(inMemory.content));
+	assert.ok(!fs.existsSync(path.join(tempDir, "output_true.xml.partial")));
+});
+
+test("streamed documents are checked against the report type schema", async () => {
+	const schemaFile = path.join(tempDir, "LOANS.xsd");
+	fs.writeFileSync(
+		schemaFile,
+		`<?xml version="1.0"?>
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:element name="CALLREPORT">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element name="BODY">
+          <xs:complexType>
+            <xs:sequence>
+              <xs:element name="CALLREPORT_DATA" maxOccurs="unbounded">
+                <xs:complexType>
+                  <xs:sequence>
+                    <xs:element name="ID" type="xs:integer"/>
+                    <xs:element name="Amount" type="xs:decimal"/>
+                  </xs:sequence>
+                </xs:complexType>
+              </xs:element>
+            </xs:sequence>
+          </xs:complexType>
+        </xs:element>
+      </xs:sequence>
+    </xs:complexType>
+  </xs:element>
+</xs:schema>`
+	);
+	schemaRegistry.register("LOANS", [schemaFile]);
+
+	const inputFile = path.join(tempDir, "invalid.xlsx");
+	const workbook = XLSX.utils.book_new();
+	XLSX.utils.book_append_sheet(
+		workbook,
+		XLSX.utils.aoa_to_sheet([
+			["ID", "Amount"],
+			[1, 10],
+			["two", 20],
+			[3, 30],
+		]),
+		"Loans"
+	);
+	XLSX.writeFile(workbook, inputFile);
+
+	const violationsOf = async (stream) => {
+		const outputFile = path.join(tempDir, `invalid_${stream}.xml`);
+		const error = await converter
+			.convert(inputFile, outputFile, null, null, false, "system", {
+				reportType: "LOANS",
+				stream,
+			})
+			.then(
+				() => assert.fail("the conversion should fail"),
+				(error) => error
+			);
+		assert.ok(error instanceof SchemaValidationError);
+		assert.ok(!fs.existsSync(outputFile));
+		assert.ok(!fs.existsSync(`${outputFile}.partial`));
+		return error.violations;
+	};
+
+	const streamed = await violationsOf(true);
+	assert.equal(streamed.length, 1);
+	assert.equal(streamed[0].sheet, "Loans");
+	assert.equal(streamed[0].row, 3);
+	assert.equal(streamed[0].column, "A");
+	assert.equal(streamed[0].element, "ID");
+	assert.deepEqual(streamed, await violationsOf(false));
+});
@@ -0,0 +1,258 @@
+/**
+ * Delimited Text Service
+ *
+ * Reads CSV and TSV files into single-sheet workbooks with explicit
+ * delimiter, encoding and quote settings. Every value stays text, so
+ * leading zeros and long digit strings come through as written.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const XLSX = require("xlsx");
+
+// Delimiter used when none is given, by file extension
+const DEFAULT_DELIMITERS = { ".csv": ",", ".tsv": "\t" };
+const DELIMITED_EXTENSIONS = Object.keys(DEFAULT_DELIMITERS);
+const DEFAULT_ENCODING = "utf-8";
+const DEFAULT_QUOTE = '"';
+
+// Same sheet name SheetJS gives the single sheet of a text file
+const SHEET_NAME = "Sheet1";
+
+/**
+ * Raised when a text file cannot be decoded or split with the given
+ * options; the message tells the sender which option to fix
+ */
+class DelimitedTextError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "DelimitedTextError";
+	}
+}
+
+/**
+ * Check if a file is read as delimited text rather than as a workbook
+ */
+function isDelimitedFile(filePath) {
+	return DELIMITED_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Validate delimited text options ({ delimiter, encoding, quote }),
+ * returns a list of error messages
+ */
+function validateDelimitedOptions(options) {
+	if (!options || typeof options !== "object" || Array.isArray(options)) {
+		return ["csv_options must be an object"];
+	}
+
+	const errors = [];
+	for (const key of ["delimiter", "quote"]) {
+		const value = options[key];
+		if (value === undefined) continue;
+		if (typeof value !== "string" || value.length !== 1) {
+			errors.push(`${key} must be a single character`);
+		} else if (value === "\r" || value === "\n") {
+			errors.push(`${key} cannot be a line break`);
+		}
+	}
+	// Without a delimiter the extension's default is used, and options may
+	// be shared by .csv and .tsv files of a batch
+	const quote = options.quote || DEFAULT_QUOTE;
+	if (options.delimiter !== undefined) {
+		if (options.delimiter === quote) {
+			errors.push("delimiter and quote must be different characters");
+		}
+	} else {
+		for (const [ext, delimiter] of Object.entries(DEFAULT_DELIMITERS)) {
+			if (delimiter === quote) {
+				errors.push(
+					`quote cannot be ${JSON.stringify(delimiter)}, the default delimiter of ${ext} files, unless another delimiter is given`
+				);
+			}
+		}
+	}
+	if (options.encoding !== undefined) {
+		try {
+			new TextDecoder(options.encoding);
+		} catch (error) {
+			errors.push(`Unsupported encoding: ${options.encoding}`);
+		}
+	}
+	return errors;
+}
+
+/**
+ * Fill in the defaults for a file: comma for .csv, tab for .tsv
+ */
+function resolveDelimitedOptions(filePath, options = {}) {
+	const ext = path.extname(filePath).toLowerCase();
+	return {
+		delimiter: options.delimiter || DEFAULT_DELIMITERS[ext] || ",",
+		encoding: options.encoding || DEFAULT_ENCODING,
+		quote: options.quote || DEFAULT_QUOTE,
+	};
+}
+
+/**
+ * Split delimited text into rows of fields. A field that starts with the
+ * quote character runs to the closing quote and may contain delimiters,
+ * line breaks and doubled quotes; elsewhere the quote is a plain
+ * character.
+ */
+function parseDelimited(text, { delimiter, quote }) {
+	const rows = [];
+	let row = [];
+	let field = "";
+	let inQuotes = false;
+	let fieldStarted = false;
+	let line = 1;
+	let quoteLine = 1;
+
+	const endField = () => {
+		row.push(field);
+		field = "";
+		fieldStarted = false;
+	};
+	const endRow = () => {
+		endField();
+		rows.push(row);
+		row = [];
+	};
+
+	for (let i = 0; i < text.length; i++) {
+		const ch = text[i];
+
+		if (inQuotes) {
+			if (ch === quote) {
+				if (text[i + 1] === quote) {
+					field += quote;
+					i++;
+				} else {
+					inQuotes = false;
+				}
+			} else {
+				if (ch === "\n") line++;
+				field += ch;
+			}
+			continue;
+		}
+
+		if (ch === quote && !fieldStarted) {
+			inQuotes = true;
+			fieldStarted = true;
+			quoteLine = line;
+		} else if (ch === delimiter) {
+			endField();
+		} else if (ch === "\r" || ch === "\n") {
+			if (ch === "\r" && text[i + 1] === "\n") i++;
+			line++;
+			endRow();
+		} else {
+			field += ch;
+			fieldStarted = true;
+		}
+	}
+
+	if (inQuotes) {
+		throw new DelimitedTextError(
+			`Unterminated quoted field starting on line ${quoteLine}; check the quote option`
+		);
+	}
+	// A final line break does not start another row
+	if (fieldStarted || row.length > 0) {
+		endRow();
+	}
+	return rows;
+}
+
+/**
+ * Join rows of fields into delimited text with CRLF line endings (RFC
+ * 4180). Fields holding the delimiter, the quote, a line break or
+ * surrounding spaces are quoted.
+ */
+function formatDelimited(
+	rows,
+	{ delimiter = ",", quote = DEFAULT_QUOTE } = {}
+) {
+	const formatField = (value) => {
+		const text = value === null || value === undefined ? "" : String(value);
+		const needsQuotes =
+			text.includes(delimiter) ||
+			text.includes(quote) ||
+			/[\r\n]/.test(text) ||
+			text !== text.trim();
+		return needsQuotes
+			? quote + text.split(quote).join(quote + quote) + quote
+			: text;
+	};
+	return rows
+		.map((row) => row.map(formatField).join(delimiter) + "\r\n")
+		.join("");
+}
+
+/**
+ * Build a worksheet of text cells from rows of fields
+ */
+function rowsToWorksheet(rows) {
+	const worksheet = {};
+	let maxColumn = -1;
+	rows.forEach((fields, r) => {
+		fields.forEach((value, c) => {
+			if (value === "") return;
+			worksheet[XLSX.utils.encode_cell({ r, c })] = {
+				t: "s",
+				v: value,
+				w: value,
+			};
+			maxColumn = Math.max(maxColumn, c);
+		});
+	});
+
+	if (maxColumn >= 0) {
+		worksheet["!ref"] = XLSX.utils.encode_range({
+			s: { r: 0, c: 0 },
+			e: { r: rows.length - 1, c: maxColumn },
+		});
+	}
+	return worksheet;
+}
+
+/**
+ * Read a CSV or TSV file into a workbook with a single sheet
+ */
+function readDelimitedWorkbook(filePath, options = {}) {
+	const { delimiter, encoding, quote } = resolveDelimitedOptions(
+		filePath,
+		options
+	);
+
+	let text;
+	try {
+		text = new TextDecoder(encoding, { fatal: true }).decode(
+			fs.readFileSync(filePath)
+		);
+	} catch (error) {
+		if (error instanceof TypeError) {
+			throw new DelimitedTextError(
+				`File is not valid ${encoding} text; set the encoding option`
+			);
+		}
+		throw error;
+	}
+
+	return {
+		SheetNames: [SHEET_NAME],
+		Sheets: {
+			[SHEET_NAME]: rowsToWorksheet(parseDelimited(text, { delimiter, quote })),
+		},
+	};
+}
+
+module.exports = {
+	DelimitedTextError,
+	isDelimitedFile,
+	validateDelimitedOptions,
+	readDelimitedWorkbook,
+	formatDelimited,
+};
@@ -0,0 +1,321 @@
+/**
+ * Error Report Service
+ *
+ * Writes validation violations to an annotated copy of the workbook: the
+ * offending cells are highlighted and a sheet lists every violation with a
+ * link to its cell. SheetJS cannot write cell styles, so the workbook
+ * parts are written directly.
+ */
+
+const fs = require("fs");
+const { once } = require("events");
+const archiver = require("archiver");
+const XLSX = require("xlsx");
+const { create } = require("xmlbuilder2");
+
+const MAIN_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const RELATIONSHIPS_NS =
+	"http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const PACKAGE_RELATIONSHIPS_NS =
+	"http://schemas.openxmlformats.org/package/2006/relationships";
+const CONTENT_TYPES_NS =
+	"http://schemas.openxmlformats.org/package/2006/content-types";
+const CONTENT_TYPE_PREFIX = "application/vnd.openxmlformats-officedocument";
+
+const ERRORS_SHEET_NAME = "Errors";
+const ERRORS_COLUMNS = ["Sheet", "Row", "Cell", "Field", "Rule", "Message"];
+
+// Indexes into cellXfs of styles.xml
+const STYLE_ERROR = 1;
+const STYLE_HEADING = 2;
+
+const xmlDocument = (name, namespace) =>
+	create({ version: "1.0", encoding: "UTF-8", standalone: true }).ele(
+		namespace,
+		name
+	);
+
+/**
+ * Quote a sheet name for a cell reference such as 'My Sheet'!B3
+ */
+const sheetReference = (name) => `'${name.replace(/'/g, "''")}'`;
+
+/**
+ * Displayed text of a source cell
+ */
+function cellText(cell) {
+	if (!cell) return "";
+	if (cell.w !== undefined) return String(cell.w);
+	return cell.v !== undefined && cell.v !== null ? String(cell.v) : "";
+}
+
+/**
+ * Violations that point at a cell of a sheet the workbook has, grouped by
+ * sheet name as sets of cell addresses
+ */
+function locateViolations(workbook, violations) {
+	const cells = new Map();
+	for (const violation of violations) {
+		const { sheet, row, column } = violation;
+		if (!sheet || !row || !column || !workbook.Sheets[sheet]) continue;
+		if (!cells.has(sheet)) cells.set(sheet, new Set());
+		cells.get(sheet).add(`${column.toUpperCase()}${row}`);
+	}
+	return cells;
+}
+
+/**
+ * Append a cell with inline text to a row element
+ */
+function addTextCell(row, address, text, style = 0) {
+	const cell = row.ele("c", { r: address, ...(style ? { s: style } : {}) });
+	if (text !== "") {
+		cell
+			.att("t", "inlineStr")
+			.ele("is")
+			.ele("t", { "xml:space": "preserve" })
+			.txt(text);
+	}
+}
+
+/**
+ * Copy a worksheet as displayed text, highlighting the given cells
+ */
+function buildDataSheet(worksheet, highlighted) {
+	const root = xmlDocument("worksheet", MAIN_NS);
+	const sheetData = root.ele("sheetData");
+
+	const range = XLSX.utils.decode_range(worksheet["!ref"] || "A1");
+	for (const address of highlighted) {
+		const { r, c } = XLSX.utils.decode_cell(address);
+		range.e.r = Math.max(range.e.r, r);
+		range.e.c = Math.max(range.e.c, c);
+	}
+
+	for (let r = range.s.r; r <= range.e.r; r++) {
+		let row = null;
+		for (let c = range.s.c; c <= range.e.c; c++) {
+			const address = XLSX.utils.encode_cell({ r, c });
+			const text = cellText(worksheet[address]);
+			const isError = highlighted.has(address);
+			if (text === "" && !isError) continue;
+
+			row = row || sheetData.ele("row", { r: r + 1 });
+			addTextCell(row, address, text, isError ? STYLE_ERROR : 0);
+		}
+	}
+	return root.end();
+}
+
+/**
+ * List the violations, linking each located one to its cell
+ */
+function buildErrorsSheet(violations, located) {
+	const root = xmlDocument("worksheet", MAIN_NS);
+	const sheetData = root.ele("sheetData");
+	const links = [];
+
+	const heading = sheetData.ele("row", { r: 1 });
+	ERRORS_COLUMNS.forEach((title, c) =>
+		addTextCell(
+			heading,
+			XLSX.utils.encode_cell({ r: 0, c }),
+			title,
+			STYLE_HEADING
+		)
+	);
+
+	violations.forEach((violation, i) => {
+		const r = i + 1;
+		const cell =
+			violation.row && violation.column
+				? `${violation.column.toUpperCase()}${violation.row}`
+				: "";
+		const values = [
+			violation.sheet || "",
+			violation.row ? String(violation.row) : "",
+			cell,
+			violation.field || violation.element || "",
+			violation.rule || "",
+			violation.message || "",
+		];
+
+		const row = sheetData.ele("row", { r: r + 1 });
+		values.forEach((text, c) =>
+			addTextCell(row, XLSX.utils.encode_cell({ r, c }), text)
+		);
+		if (cell && located.has(violation.sheet)) {
+			links.push({
+				ref: XLSX.utils.encode_cell({ r, c: 2 }),
+				location: `${sheetReference(violation.sheet)}!${cell}`,
+			});
+		}
+	});
+
+	if (links.length > 0) {
+		const hyperlinks = root.ele("hyperlinks");
+		for (const link of links) {
+			hyperlinks.ele("hyperlink", link);
+		}
+	}
+	return root.end();
+}
+
+/**
+ * Styles: the default, an error fill with dark red text, and bold
+ */
+function buildStyles() {
+	const root = xmlDocument("styleSheet", MAIN_NS);
+
+	const fonts = root.ele("fonts", { count: 3 });
+	fonts.ele("font").ele("sz", { val: 11 }).up().ele("name", { val: "Calibri" });
+	fonts
+		.ele("font")
+		.ele("sz", { val: 11 })
+		.up()
+		.ele("color", { rgb: "FF9C0006" })
+		.up()
+		.ele("name", { val: "Calibri" });
+	fonts
+		.ele("font")
+		.ele("b")
+		.up()
+		.ele("sz", { val: 11 })
+		.up()
+		.ele("name", { val: "Calibri" });
+
+	const fills = root.ele("fills", { count: 3 });
+	fills.ele("fill").ele("patternFill", { patternType: "none" });
+	fills.ele("fill").ele("patternFill", { patternType: "gray125" });
+	fills
+		.ele("fill")
+		.ele("patternFill", { patternType: "solid" })
+		.ele("fgColor", { rgb: "FFFFC7CE" })
+		.up()
+		.ele("bgColor", { indexed: 64 });
+
+	const border = root.ele("borders", { count: 1 }).ele("border");
+	for (const side of ["left", "right", "top", "bottom", "diagonal"]) {
+		border.ele(side);
+	}
+
+	const base = { numFmtId: 0, fontId: 0, fillId: 0, borderId: 0 };
+	root.ele("cellStyleXfs", { count: 1 }).ele("xf", base);
+	const cellXfs = root.ele("cellXfs", { count: 3 });
+	cellXfs.ele("xf", { ...base, xfId: 0 });
+	cellXfs.ele("xf", {
+		...base,
+		fontId: 1,
+		fillId: 2,
+		xfId: 0,
+		applyFont: 1,
+		applyFill: 1,
+	});
+	cellXfs.ele("xf", { ...base, fontId: 2, xfId: 0, applyFont: 1 });
+	root
+		.ele("cellStyles", { count: 1 })
+		.ele("cellStyle", { name: "Normal", xfId: 0, builtinId: 0 });
+	return root.end();
+}
+
+/**
+ * Pick a name for the errors sheet that no copied sheet uses
+ */
+function errorsSheetName(sheetNames) {
+	let name = ERRORS_SHEET_NAME;
+	for (let n = 2; sheetNames.includes(name); n++) {
+		name = `${ERRORS_SHEET_NAME} (${n})`;
+	}
+	return name;
+}
+
+/**
+ * Write the annotated workbook to outputFile: the errors sheet first, then
+ * a copy of each sheet with located violations in workbook order
+ */
+async function writeErrorReport(workbook, violations, outputFile) {
+	const located = locateViolations(workbook, violations);
+	const dataSheets = workbook.SheetNames.filter((name) => located.has(name));
+	const sheets = [
+		{
+			name: errorsSheetName(dataSheets),
+			xml: () => buildErrorsSheet(violations, located),
+		},
+		...dataSheets.map((name) => ({
+			name,
+			xml: () => buildDataSheet(workbook.Sheets[name], located.get(name)),
+		})),
+	];
+
+	const contentTypes = xmlDocument("Types", CONTENT_TYPES_NS);
+	contentTypes.ele("Default", {
+		Extension: "rels",
+		ContentType: "application/vnd.openxmlformats-package.relationships+xml",
+	});
+	contentTypes.ele("Default", {
+		Extension: "xml",
+		ContentType: "application/xml",
+	});
+	contentTypes.ele("Override", {
+		PartName: "/xl/workbook.xml",
+		ContentType: `${CONTENT_TYPE_PREFIX}.spreadsheetml.sheet.main+xml`,
+	});
+	contentTypes.ele("Override", {
+		PartName: "/xl/styles.xml",
+		ContentType: `${CONTENT_TYPE_PREFIX}.spreadsheetml.styles+xml`,
+	});
+
+	const packageRels = xmlDocument("Relationships", PACKAGE_RELATIONSHIPS_NS);
+	packageRels.ele("Relationship", {
+		Id: "rId1",
+		Type: `${RELATIONSHIPS_NS}/officeDocument`,
+		Target: "xl/workbook.xml",
+	});
+
+	const workbookXml = xmlDocument("workbook", MAIN_NS).att(
+		"xmlns:r",
+		RELATIONSHIPS_NS
+	);
+	const sheetList = workbookXml.ele("sheets");
+	const workbookRels = xmlDocument("Relationships", PACKAGE_RELATIONSHIPS_NS);
+
+	sheets.forEach((sheet, i) => {
+		const id = i + 1;
+		contentTypes.ele("Override", {
+			PartName: `/xl/worksheets/sheet${id}.xml`,
+			ContentType: `${CONTENT_TYPE_PREFIX}.spreadsheetml.worksheet+xml`,
+		});
+		sheetList.ele("sheet", {
+			name: sheet.name,
+			sheetId: id,
+			"r:id": `rId${id}`,
+		});
+		workbookRels.ele("Relationship", {
+			Id: `rId${id}`,
+			Type: `${RELATIONSHIPS_NS}/worksheet`,
+			Target: `worksheets/sheet${id}.xml`,
+		});
+	});
+	workbookRels.ele("Relationship", {
+		Id: `rId${sheets.length + 1}`,
+		Type: `${RELATIONSHIPS_NS}/styles`,
+		Target: "styles.xml",
+	});
+
+	const out = fs.createWriteStream(outputFile);
+	const archive = archiver("zip", { zlib: { level: 9 } });
+	archive.pipe(out);
+	archive.append(contentTypes.end(), { name: "[Content_Types].xml" });
+	archive.append(packageRels.end(), { name: "_rels/.rels" });
+	archive.append(workbookXml.end(), { name: "xl/workbook.xml" });
+	archive.append(workbookRels.end(), { name: "xl/_rels/workbook.xml.rels" });
+	archive.append(buildStyles(), { name: "xl/styles.xml" });
+	sheets.forEach((sheet, i) => {
+		archive.append(sheet.xml(), { name: `xl/worksheets/sheet${i + 1}.xml` });
+	});
+	await Promise.all([archive.finalize(), once(out, "close")]);
+}
+
+module.exports = {
+	writeErrorReport,
+};
@@ -0,0 +1,269 @@
+/**
+ * Conversion Job Queue
+ *
+ * Queues conversions submitted through the jobs API and runs them on a
+ * pool of worker threads, keeping track of each job's state
+ */
+
+const fs = require("fs");
+const { EventEmitter } = require("events");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { v4: uuidv4 } = require("uuid");
+const config = require("../config");
+const { logger } = require("../utils/logger");
+
+const WORKER_FILE = path.join(__dirname, "../workers/conversionWorker.js");
+
+/**
+ * Job Queue Class
+ *
+ * A job moves from queued to running to succeeded or failed. Jobs wait
+ * in FIFO order until one of at most `size` workers is free.
+ * Workers are started on demand and replaced if they crash. Finished jobs
+ * are kept for config.JOB_RETENTION_MINUTES, after which they are
+ * forgotten; the uploaded input is deleted as soon as a job finishes.
+ *
+ * Emits "update" with the job whenever a job changes state or reports
+ * progress.
+ */
+class JobQueue extends EventEmitter {
+	constructor(size = config.JOB_WORKERS, workerFile = WORKER_FILE) {
+		super();
+		// One listener per open progress stream
+		this.setMaxListeners(0);
+		this.size = Math.max(1, size);
+		this.workerFile = workerFile;
+		this.jobs = new Map();
+		this.pending = [];
+		this.idle = [];
+		this.running = new Map(); // worker => job
+	}
+
+	/**
+	 * Queue a conversion. `task` holds the converter.convert arguments
+	 * ({ inputFile, outputFile, headerFields, sheetName, encryptOutput,
+	 * userId, options }); the download URL, if any, is published once the
+	 * job succeeds, and the error report URL once it fails validation with
+	 * an error report written. onSuccess or onFailure is called with the
+	 * job once it has succeeded or failed, before that is published; the
+	 * fields it returns are added to the job.
+	 */
+	submit(
+		task,
+		{
+			fileName,
+			downloadUrl = null,
+			errorReportUrl = null,
+			onSuccess = null,
+			onFailure = null,
+		}
+	) {
+		this._prune();
+
+		const job = {
+			id: uuidv4(),
+			state: "queued",
+			file_name: fileName,
+			user_id: task.userId,
+			report_type: (task.options && task.options.reportType) || null,
+			stage: null,
+			rows_processed: 0,
+			total_rows: null,
+			sheets: null,
+			control_totals: null,
+			message: null,
+			errors: [],
+			download_url: null,
+			error_report_url: null,
+			created_at: new Date().toISOString(),
+			started_at: null,
+			finished_at: null,
+		};
+		Object.defineProperty(job, "task", { value: { ...task, jobId: job.id } });
+		Object.defineProperty(job, "downloadUrl", { value: downloadUrl });
+		Object.defineProperty(job, "errorReportUrl", { value: errorReportUrl });
+		Object.defineProperty(job, "onSuccess", { value: onSuccess });
+		Object.defineProperty(job, "onFailure", { value: onFailure });
+
+		this.jobs.set(job.id, job);
+		this.pending.push(job);
+		logger.info(`Job ${job.id} queued for file: ${fileName}`);
+		this._dispatch();
+		return job;
+	}
+
+	/**
+	 * Get a job by id, null if unknown or expired
+	 */
+	get(id) {
+		this._prune();
+		return this.jobs.get(id) || null;
+	}
+
+	/**
+	 * Input files of the jobs that are queued or running
+	 */
+	activeInputFiles() {
+		return [...this.pending, ...this.running.values()].map(
+			(job) => job.task.inputFile
+		);
+	}
+
+	/**
+	 * Resolve with the job once it has succeeded or failed
+	 */
+	wait(job) {
+		const isFinished = (current) =>
+			current.state === "succeeded" || current.state === "failed";
+		if (isFinished(job)) {
+			return Promise.resolve(job);
+		}
+
+		return new Promise((resolve) => {
+			const onUpdate = (current) => {
+				if (current.id === job.id && isFinished(current)) {
+					this.off("update", onUpdate);
+					resolve(current);
+				}
+			};
+			this.on("update", onUpdate);
+		});
+	}
+
+	/**
+	 * Hand queued jobs to free workers
+	 */
+	_dispatch() {
+		while (this.pending.length > 0) {
+			let worker = this.idle.pop();
+			if (!worker) {
+				if (this.running.size >= this.size) return;
+				worker = this._spawn();
+			}
+
+			const job = this.pending.shift();
+			job.state = "running";
+			job.started_at = new Date().toISOString();
+			this.running.set(worker, job);
+			worker.postMessage(job.task);
+			this.emit("update", job);
+		}
+	}
+
+	_spawn() {
+		const worker = new Worker(this.workerFile);
+		worker.on("message", (message) => this._onMessage(worker, message));
+		worker.on("error", (error) => this._onWorkerLost(worker, error));
+		worker.on("exit", (code) =>
+			this._onWorkerLost(worker, new Error(`Worker exited with code ${code}`))
+		);
+		return worker;
+	}
+
+	_onMessage(worker, message) {
+		const job = this.running.get(worker);
+		if (!job || job.id !== message.jobId) return;
+
+		if (message.type === "progress") {
+			const { progress } = message;
+			job.stage = progress.stage;
+			job.rows_processed = progress.rowsProcessed;
+			job.total_rows = progress.totalRows;
+			this.emit("update", job);
+			return;
+		}
+
+		if (message.type === "succeeded") {
+			job.state = "succeeded";
+			job.rows_processed = message.result.rowsProcessed;
+			job.sheets = message.result.sheets;
+			job.control_totals = message.result.controlTotals;
+			job.message = "File converted successfully";
+			job.download_url = job.downloadUrl;
+		} else if (message.type === "failed") {
+			const { error } = message;
+			job.state = "failed";
+			if (error.validation) {
+				job.message = error.message;
+				job.report_type = error.reportType || job.report_type;
+				job.errors = error.violations;
+				if (error.errorReport) {
+					job.error_report_url = job.errorReportUrl;
+				}
+			} else {
+				job.message =
+					config.SHOW_ERROR_DETAILS || error.clientError
+						? error.message
+						: "An error occurred during the conversion process. Please try again later.";
+				job.errors = [{ message: job.message }];
+			}
+		}
+
+		this._finish(job);
+		this.running.delete(worker);
+		this.idle.push(worker);
+		this._dispatch();
+	}
+
+	/**
+	 * A worker crashed or exited: fail its job and let _dispatch start a
+	 * replacement when needed
+	 */
+	_onWorkerLost(worker, error) {
+		this.idle = this.idle.filter((w) => w !== worker);
+		const job = this.running.get(worker);
+		if (!job) return;
+
+		this.running.delete(worker);
+		logger.error(
+			`Conversion worker failed during job ${job.id}: ${error.message}`
+		);
+		job.state = "failed";
+		job.message = "The conversion worker stopped unexpectedly";
+		job.errors = [{ message: job.message }];
+		this._finish(job);
+		this._dispatch();
+	}
+
+	_finish(job) {
+		job.finished_at = new Date().toISOString();
+		const { inputFile } = job.task;
+		if (inputFile && fs.existsSync(inputFile)) {
+			fs.unlinkSync(inputFile);
+		}
+
+		const handler = job.state === "succeeded" ? job.onSuccess : job.onFailure;
+		if (handler) {
+			try {
+				Object.assign(job, handler(job));
+			} catch (error) {
+				logger.error(
+					`Job ${job.id} ${job.state} handler failed: ${error.message}`
+				);
+			}
+		}
+		logger.info(`Job ${job.id} ${job.state}: ${job.file_name}`);
+		this.emit("update", job);
+	}
+
+	/**
+	 * Forget finished jobs past the retention period
+	 */
+	_prune() {
+		const cutoff = Date.now() - config.JOB_RETENTION_MINUTES * 60 * 1000;
+		for (const [id, job] of this.jobs) {
+			if (job.finished_at && Date.parse(job.finished_at) < cutoff) {
+				this.jobs.delete(id);
+			}
+		}
+	}
+}
+
+// Create singleton instance
+const jobQueue = new JobQueue();
+
+module.exports = {
+	jobQueue,
+	JobQueue,
+};
@@ -0,0 +1,152 @@
+/**
+ * Header Placeholder Service
+ *
+ * Resolves {{...}} placeholders in header field values at conversion time
+ */
+
+const { formatDate } = require("./coercion");
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z_]+)\s*(?::([^}]*))?\}\}/g;
+const DEFAULT_DATE_FORMAT = "YYYY-MM-DD";
+
+// Sheet!A1, with the sheet name in single quotes when it has spaces
+const CELL_REFERENCE_PATTERN =
+	/^(?:'((?:[^']|'')+)'|([^'!]+))!\$?([A-Z]{1,3})\$?(\d+)$/i;
+
+/**
+ * Placeholders by name, with whether they take an argument after a colon:
+ * - today[:format]: the conversion date
+ * - period_end[:format]: the last quarter end on or before that date
+ * - row_count: data rows converted
+ * - sheet_name: converted sheet names, comma separated
+ * - source_filename: name of the uploaded file
+ * - cell:Sheet!A1: the displayed value of a workbook cell
+ */
+const PLACEHOLDERS = {
+	today: "optional",
+	period_end: "optional",
+	row_count: "none",
+	sheet_name: "none",
+	source_filename: "none",
+	cell: "required",
+};
+
+/**
+ * Raised when a header value has a placeholder that cannot be resolved
+ */
+class PlaceholderError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "PlaceholderError";
+	}
+}
+
+/**
+ * Check the placeholders of a value, returns a list of error messages
+ */
+function validatePlaceholders(value) {
+	const errors = [];
+	for (const [token, name, arg] of String(value).matchAll(
+		PLACEHOLDER_PATTERN
+	)) {
+		const argument = PLACEHOLDERS[name];
+		if (!argument) {
+			errors.push(`Unknown placeholder ${token}`);
+		} else if (argument === "none" && arg !== undefined) {
+			errors.push(`Placeholder ${token} takes no argument`);
+		} else if (argument === "required" && !arg) {
+			errors.push(`Placeholder ${token} needs an argument`);
+		} else if (name === "cell" && !CELL_REFERENCE_PATTERN.test(arg.trim())) {
+			errors.push(`Placeholder ${token} must reference a cell like Summary!B2`);
+		} else if (argument === "optional" && arg !== undefined && !arg.trim()) {
+			errors.push(`Placeholder ${token} has an empty date format`);
+		}
+	}
+	return errors;
+}
+
+const dateParts = (date) => ({
+	y: date.getFullYear(),
+	m: date.getMonth() + 1,
+	d: date.getDate(),
+	H: date.getHours(),
+	M: date.getMinutes(),
+	S: date.getSeconds(),
+});
+
+/**
+ * Last day of the latest calendar quarter ending on or before date
+ */
+function quarterEnd(date) {
+	const { y, m, d } = dateParts(date);
+	const lastDay = (year, month) => new Date(year, month, 0).getDate();
+
+	// The current quarter counts only on its last day
+	if (m % 3 === 0 && d === lastDay(y, m)) {
+		return { y, m, d };
+	}
+	const month = Math.ceil(m / 3) * 3 - 3;
+	return month === 0
+		? { y: y - 1, m: 12, d: 31 }
+		: { y, m: month, d: lastDay(y, month) };
+}
+
+/**
+ * Displayed value of a cell referenced as Sheet!A1
+ */
+function readCell(workbook, reference) {
+	const [, quoted, plain, column, row] = CELL_REFERENCE_PATTERN.exec(
+		reference.trim()
+	);
+	const sheetName = quoted !== undefined ? quoted.replace(/''/g, "'") : plain;
+	const worksheet = workbook.Sheets[sheetName];
+	if (!worksheet) {
+		throw new PlaceholderError(
+			`Sheet "${sheetName}" referenced by {{cell:${reference}}} not found in workbook`
+		);
+	}
+
+	const cell = worksheet[`${column.toUpperCase()}${row}`];
+	if (!cell) return "";
+	if (cell.w !== undefined) return String(cell.w);
+	return cell.v !== undefined && cell.v !== null ? String(cell.v) : "";
+}
+
+/**
+ * Replace the placeholders of a header value. `context` holds the
+ * workbook, sheetNames, sourceFileName, now (a Date) and rowCount, a
+ * function so rows are only counted when a value asks for them.
+ */
+function resolvePlaceholders(value, context) {
+	const text = String(value);
+	const [error] = validatePlaceholders(text);
+	if (error) {
+		throw new PlaceholderError(error);
+	}
+
+	return text.replace(PLACEHOLDER_PATTERN, (token, name, arg) => {
+		const format = arg !== undefined ? arg.trim() : DEFAULT_DATE_FORMAT;
+		switch (name) {
+			case "today":
+				return formatDate(dateParts(context.now), format);
+			case "period_end":
+				return formatDate(quarterEnd(context.now), format);
+			case "row_count":
+				return String(context.rowCount());
+			case "sheet_name":
+				return context.sheetNames.join(",");
+			case "source_filename":
+				return context.sourceFileName || "";
+			case "cell":
+				return readCell(context.workbook, arg);
+			default:
+				return token;
+		}
+	});
+}
+
+module.exports = {
+	PlaceholderError,
+	validatePlaceholders,
+	resolvePlaceholders,
+};
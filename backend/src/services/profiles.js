@@ -0,0 +1,224 @@
+/**
+ * Mapping Profile Service
+ *
+ * Stores column-to-tag mapping profiles that control how spreadsheet
+ * columns become XML elements
+ */
+
+const config = require("../config");
+const { JsonStore } = require("../utils/jsonStore");
+const { validateTypeRule, normalizeTypeRule } = require("./coercion");
+const { validateRules, normalizeRule } = require("./rules");
+
+// Same rule the frontend applies to header tag names
+const XML_NAME_PATTERN = /^[a-zA-Z_][\w.-]*$/;
+const COLUMN_LETTER_PATTERN = /^[A-Za-z]{1,3}$/;
+
+/**
+ * Mapping Profile Store Class
+ *
+ * A profile looks like:
+ * {
+ *   name: "Deposits schedule",
+ *   description: "...",
+ *   drop_unmapped: false,
+ *   columns: [
+ *     { header: "Account No.", tag: "ACCOUNT_NUMBER", required: true },
+ *     { column: "C", tag: "BALANCE", type: "decimal", scale: 2 },
+ *     { header: "Branch", tag: "branch", attribute: true },
+ *     { header: "Street", tag: "ADDRESS/STREET" },
+ *     { header: "Phone 1", tag: "PHONE", repeat: true },
+ *     { header: "Phone 2", tag: "PHONE", repeat: true },
+ *     { header: "Emails", tag: "EMAIL", repeat: true, separator: ";" },
+ *     { header: "Notes", drop: true }
+ *   ],
+ *   rules: [
+ *     { rule: "pattern", column: "ACCOUNT_NUMBER", pattern: "^\\d{10}$" },
+ *     { rule: "range", column: "BALANCE", min: 0 },
+ *     { rule: "compare", column: "MATURITY", operator: "gt", other_column: "START" },
+ *     { rule: "unique", column: "ACCOUNT_NUMBER" }
+ *   ]
+ * }
+ *
+ * Each column is matched by header text (case-insensitive) or by column
+ * letter. Mapped columns are written in the order listed; unmapped columns
+ * follow under their sanitized header unless drop_unmapped is set.
+ *
+ * A mapped column may set a type (string, uppercase, date, decimal,
+ * integer, code or boolean) with its options; see services/coercion.js.
+ *
+ * By default a mapped column becomes a child element of the row. With
+ * attribute set it becomes an attribute of the row element instead. A tag
+ * with slashes is a nested path; consecutive columns under the same parent
+ * path share the parent element. Columns with repeat set may share a tag
+ * and write one element per non-empty value; a separator splits each cell
+ * into several values.
+ *
+ * rules are checked on every record after type coercion and refer to
+ * columns by tag; see services/rules.js for the rule types.
+ */
+class ProfileStore {
+	constructor(filePath = config.getDataPath("profiles.json")) {
+		this.store = new JsonStore(filePath);
+	}
+
+	/**
+	 * Validate a profile definition, returns a list of error messages
+	 */
+	validate(profile) {
+		const errors = [];
+
+		if (!profile || typeof profile !== "object") {
+			return ["Profile must be an object"];
+		}
+		if (typeof profile.name !== "string" || !profile.name.trim()) {
+			errors.push("name is required");
+		}
+		if (!Array.isArray(profile.columns) || profile.columns.length === 0) {
+			errors.push("columns must be a non-empty array");
+			return errors;
+		}
+
+		const tags = new Map();
+		profile.columns.forEach((column, i) => {
+			const label = `columns[${i}]`;
+			if (!column || typeof column !== "object") {
+				errors.push(`${label} must be an object`);
+				return;
+			}
+
+			const hasHeader =
+				typeof column.header === "string" && column.header.trim();
+			const hasColumn =
+				typeof column.column === "string" && column.column.trim();
+			if (!hasHeader === !hasColumn) {
+				errors.push(`${label} must set exactly one of header or column`);
+			}
+			if (hasColumn && !COLUMN_LETTER_PATTERN.test(column.column.trim())) {
+				errors.push(`${label}.column must be a column letter such as "C"`);
+			}
+
+			if (column.drop) {
+				if (column.required) {
+					errors.push(`${label} cannot be both required and dropped`);
+				}
+				return;
+			}
+
+			const segments =
+				typeof column.tag === "string" && !column.attribute
+					? column.tag.split("/")
+					: [column.tag];
+			if (
+				typeof column.tag !== "string" ||
+				!segments.every((segment) => XML_NAME_PATTERN.test(segment))
+			) {
+				errors.push(
+					column.attribute
+						? `${label}.tag must be a valid XML attribute name (letters, digits, underscore, period or hyphen, starting with a letter or underscore)`
+						: `${label}.tag must be a valid XML element name or a slash-separated path of them (letters, digits, underscore, period or hyphen, starting with a letter or underscore)`
+				);
+			} else {
+				// Attributes and elements may share a name; only repeated
+				// columns may share a tag with each other
+				const key = column.attribute ? `@${column.tag}` : column.tag;
+				const previous = tags.get(key);
+				if (previous && !(previous.repeat && column.repeat)) {
+					errors.push(`${label}.tag "${column.tag}" is used more than once`);
+				} else {
+					tags.set(key, { repeat: Boolean(column.repeat) });
+				}
+			}
+
+			if (column.attribute && column.repeat) {
+				errors.push(`${label} cannot be both an attribute and repeated`);
+			}
+			if (column.separator !== undefined) {
+				if (!column.repeat) {
+					errors.push(
+						`${label}.separator can only be set on a repeated column`
+					);
+				} else if (
+					typeof column.separator !== "string" ||
+					column.separator === ""
+				) {
+					errors.push(`${label}.separator must be a non-empty string`);
+				}
+			}
+
+			if (column.type !== undefined) {
+				errors.push(...validateTypeRule(column, `${label}.type`));
+			}
+		});
+
+		if (profile.rules !== undefined && profile.rules !== null) {
+			errors.push(...validateRules(profile.rules, profile.columns));
+		}
+
+		return errors;
+	}
+
+	/**
+	 * Keep only the supported profile fields
+	 */
+	_normalize(profile) {
+		return {
+			name: profile.name.trim(),
+			description: profile.description ? String(profile.description) : "",
+			drop_unmapped: Boolean(profile.drop_unmapped),
+			columns: profile.columns.map((column) => {
+				const normalized = column.header
+					? { header: column.header.trim() }
+					: { column: column.column.trim().toUpperCase() };
+				if (column.drop) {
+					normalized.drop = true;
+				} else {
+					normalized.tag = column.tag;
+					normalized.required = Boolean(column.required);
+					if (column.attribute) {
+						normalized.attribute = true;
+					}
+					if (column.repeat) {
+						normalized.repeat = true;
+						if (column.separator !== undefined) {
+							normalized.separator = column.separator;
+						}
+					}
+					if (column.type !== undefined) {
+						Object.assign(normalized, normalizeTypeRule(column));
+					}
+				}
+				return normalized;
+			}),
+			rules: (profile.rules || []).map(normalizeRule),
+		};
+	}
+
+	list() {
+		return this.store.list();
+	}
+
+	get(id) {
+		return this.store.get(id);
+	}
+
+	create(profile) {
+		return this.store.create(this._normalize(profile));
+	}
+
+	update(id, profile) {
+		return this.store.update(id, this._normalize(profile));
+	}
+
+	remove(id) {
+		return this.store.remove(id);
+	}
+}
+
+// Create singleton instance
+const profileStore = new ProfileStore();
+
+module.exports = {
+	profileStore,
+	ProfileStore,
+};
@@ -0,0 +1,114 @@
+/**
+ * Role Service
+ *
+ * The roles a user can hold and the permissions each grants. Routes check
+ * permissions, never roles, so a role's reach is defined here only.
+ */
+
+const PERMISSIONS = [
+	// Validate, inspect and convert files, and fetch their error reports
+	"conversion:create",
+	// Follow conversion jobs and read the conversion history, for the
+	// user's own conversions
+	"conversion:read",
+	// Read every user's conversions, jobs and error reports
+	"conversion:read_all",
+	// Download converted files
+	"conversion:download",
+	// Approve or reject converted files for download
+	"conversion:approve",
+	"profile:read",
+	"profile:write",
+	"template:read",
+	"template:write",
+	// Output encryption settings
+	"settings:manage",
+	// Accounts and their roles
+	"user:manage",
+	// API keys of machine clients
+	"api_key:manage",
+	// Read the audit log
+	"audit:read",
+];
+
+const ROLE_PERMISSIONS = {
+	preparer: [
+		"conversion:create",
+		"conversion:read",
+		"profile:read",
+		"template:read",
+	],
+	reviewer: [
+		"conversion:read",
+		"conversion:read_all",
+		"conversion:download",
+		"conversion:approve",
+		"profile:read",
+		"template:read",
+	],
+	admin: [
+		"conversion:read",
+		"conversion:read_all",
+		"profile:read",
+		"profile:write",
+		"template:read",
+		"template:write",
+		"settings:manage",
+		"user:manage",
+		"api_key:manage",
+	],
+	auditor: ["audit:read"],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Validate a list of role names, returns a list of error messages
+ */
+function validateRoles(roles) {
+	if (!Array.isArray(roles)) {
+		return ["roles must be an array"];
+	}
+	return roles
+		.filter((role) => !ROLES.includes(role))
+		.map(
+			(role) => `Unknown role "${role}", expected one of ${ROLES.join(", ")}`
+		);
+}
+
+/**
+ * Permissions granted by a list of roles
+ */
+function permissionsOf(roles) {
+	return [
+		...new Set((roles || []).flatMap((role) => ROLE_PERMISSIONS[role] || [])),
+	];
+}
+
+/**
+ * Whether a user (as set on req.user) holds a permission
+ */
+function hasPermission(user, permission) {
+	return Boolean(user) && permissionsOf(user.roles).includes(permission);
+}
+
+/**
+ * Whether a user may read a conversion, job or error report submitted by
+ * ownerId: their own, or anyone's with conversion:read_all
+ */
+function canReadOwnedBy(user, ownerId) {
+	return (
+		Boolean(user) &&
+		(user.id === ownerId || hasPermission(user, "conversion:read_all"))
+	);
+}
+
+module.exports = {
+	PERMISSIONS,
+	ROLES,
+	ROLE_PERMISSIONS,
+	validateRoles,
+	permissionsOf,
+	hasPermission,
+	canReadOwnedBy,
+};
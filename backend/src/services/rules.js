@@ -0,0 +1,333 @@
+/**
+ * Business Rule Service
+ *
+ * Checks records against the declarative rules of a mapping profile:
+ * required values, patterns, allowed values, numeric ranges, comparisons
+ * between two columns and unique key columns
+ */
+
+const { parseFormattedDate } = require("./coercion");
+const { parseDecimal, compareDecimals } = require("./controlTotals");
+
+const RULE_TYPES = [
+	"required",
+	"pattern",
+	"allowed_values",
+	"range",
+	"compare",
+	"unique",
+];
+
+// Comparison operators with how a failed check reads for values and dates
+const OPERATORS = {
+	lt: { test: (order) => order < 0, text: "less than", date: "before" },
+	lte: { test: (order) => order <= 0, text: "at most", date: "on or before" },
+	gt: { test: (order) => order > 0, text: "greater than", date: "after" },
+	gte: { test: (order) => order >= 0, text: "at least", date: "on or after" },
+	eq: { test: (order) => order === 0, text: "equal to", date: "equal to" },
+	ne: {
+		test: (order) => order !== 0,
+		text: "different from",
+		date: "different from",
+	},
+};
+
+const isBlank = (value) =>
+	value === null || value === undefined || String(value).trim() === "";
+
+const isNumber = (value) =>
+	(typeof value === "number" && Number.isFinite(value)) ||
+	(typeof value === "string" && parseDecimal(value) !== null);
+
+/**
+ * Validate the rules of a profile against its columns, returns a list of
+ * error messages. Rules refer to columns by their tag.
+ */
+function validateRules(rules, columns) {
+	if (!Array.isArray(rules)) {
+		return ["rules must be an array"];
+	}
+
+	const tags = new Map();
+	for (const column of Array.isArray(columns) ? columns : []) {
+		if (column && !column.drop && typeof column.tag === "string") {
+			tags.set(column.tag, column);
+		}
+	}
+
+	const errors = [];
+	rules.forEach((rule, i) => {
+		const label = `rules[${i}]`;
+		if (!rule || typeof rule !== "object") {
+			errors.push(`${label} must be an object`);
+			return;
+		}
+		if (!RULE_TYPES.includes(rule.rule)) {
+			errors.push(`${label}.rule must be one of ${RULE_TYPES.join(", ")}`);
+			return;
+		}
+
+		const column = tags.get(rule.column);
+		if (!column) {
+			errors.push(`${label}.column must be the tag of a mapped column`);
+		}
+		if (rule.message !== undefined && typeof rule.message !== "string") {
+			errors.push(`${label}.message must be a string`);
+		}
+
+		switch (rule.rule) {
+			case "pattern":
+				if (typeof rule.pattern !== "string" || !rule.pattern) {
+					errors.push(`${label}.pattern must be a regular expression`);
+				} else {
+					try {
+						new RegExp(rule.pattern);
+					} catch (error) {
+						errors.push(`${label}.pattern is invalid: ${error.message}`);
+					}
+				}
+				break;
+			case "allowed_values":
+				if (
+					!Array.isArray(rule.values) ||
+					rule.values.length === 0 ||
+					!rule.values.every(
+						(value) => typeof value === "string" || isNumber(value)
+					)
+				) {
+					errors.push(`${label}.values must be a non-empty array of values`);
+				}
+				break;
+			case "range": {
+				const bounds = ["min", "max"].filter((key) => rule[key] !== undefined);
+				if (bounds.length === 0) {
+					errors.push(`${label} must set min, max or both`);
+				}
+				for (const key of bounds) {
+					if (!isNumber(rule[key])) {
+						errors.push(`${label}.${key} must be a number`);
+					}
+				}
+				if (
+					bounds.length === 2 &&
+					isNumber(rule.min) &&
+					isNumber(rule.max) &&
+					compareDecimals(
+						parseDecimal(String(rule.min)),
+						parseDecimal(String(rule.max))
+					) > 0
+				) {
+					errors.push(`${label}.min must not be greater than max`);
+				}
+				break;
+			}
+			case "compare": {
+				if (!OPERATORS[rule.operator]) {
+					errors.push(
+						`${label}.operator must be one of ${Object.keys(OPERATORS).join(", ")}`
+					);
+				}
+				const other = tags.get(rule.other_column);
+				if (!other) {
+					errors.push(
+						`${label}.other_column must be the tag of a mapped column`
+					);
+				} else if (rule.other_column === rule.column) {
+					errors.push(`${label}.other_column must differ from column`);
+				}
+				if ((column && column.repeat) || (other && other.repeat)) {
+					errors.push(`${label} cannot compare repeated columns`);
+				}
+				break;
+			}
+			case "unique":
+				if (column && column.repeat) {
+					errors.push(`${label} cannot apply to a repeated column`);
+				}
+				break;
+		}
+	});
+	return errors;
+}
+
+/**
+ * Keep only the options that apply to the rule
+ */
+function normalizeRule(rule) {
+	const normalized = { rule: rule.rule, column: rule.column };
+	switch (rule.rule) {
+		case "pattern":
+			normalized.pattern = rule.pattern;
+			break;
+		case "allowed_values":
+			normalized.values = rule.values.map(String);
+			break;
+		case "range":
+			for (const key of ["min", "max"]) {
+				if (rule[key] !== undefined) normalized[key] = String(rule[key]);
+			}
+			break;
+		case "compare":
+			normalized.operator = rule.operator;
+			normalized.other_column = rule.other_column;
+			break;
+	}
+	if (rule.message) {
+		normalized.message = rule.message;
+	}
+	return normalized;
+}
+
+/**
+ * Value of a column in a comparable form: a date for date columns, a
+ * number when the text is one, text otherwise
+ */
+function comparable(value, column) {
+	const text = String(value);
+	if (column.typeRule && column.typeRule.type === "date") {
+		const date = parseFormattedDate(text, column.typeRule.format);
+		if (date !== null) return { kind: "date", value: date, text };
+	}
+	const number = parseDecimal(text);
+	if (number) return { kind: "number", value: number, text };
+	return { kind: "text", value: text, text };
+}
+
+/**
+ * Order two comparable values; values of different kinds compare as text
+ */
+function compareValues(a, b) {
+	if (a.kind === "number" && b.kind === "number") {
+		return compareDecimals(a.value, b.value);
+	}
+	const left = a.kind === b.kind ? a.value : a.text;
+	const right = a.kind === b.kind ? b.value : b.text;
+	return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * Rule Checker Class
+ *
+ * Checks the records of one sheet, one at a time, against a profile's
+ * rules. Create one per sheet: unique rules remember the values seen so
+ * far. Rules on columns the sheet does not have are skipped.
+ */
+class RuleChecker {
+	constructor(rules, columns) {
+		const byKey = (key) => columns.find((column) => column.key === key);
+		this.rules = (rules || [])
+			.map((rule) => ({
+				rule,
+				column: byKey(rule.column),
+				other: rule.rule === "compare" ? byKey(rule.other_column) : null,
+				regex: rule.rule === "pattern" ? new RegExp(rule.pattern) : null,
+				seen: rule.rule === "unique" ? new Map() : null,
+			}))
+			.filter(
+				(entry) =>
+					entry.column && (entry.rule.rule !== "compare" || entry.other)
+			);
+	}
+
+	/**
+	 * Check a record, returns its violations. Columns listed in skipKeys
+	 * already failed for this row and are not checked again.
+	 */
+	check(record, row, skipKeys = new Set()) {
+		const violations = [];
+		for (const entry of this.rules) {
+			const { rule, column } = entry;
+			if (skipKeys.has(column.key)) continue;
+
+			// A repeated column without values counts as one blank value
+			const values = [].concat(record[column.key]);
+			if (values.length === 0) values.push("");
+			for (const value of values) {
+				const message = this._check(entry, value, record, row);
+				if (message) {
+					violations.push({
+						row,
+						column: column.letter,
+						field: column.header,
+						element: column.key,
+						rule: rule.rule,
+						message: rule.message || message,
+					});
+				}
+			}
+		}
+		return violations;
+	}
+
+	/**
+	 * Check one value against a rule, returns why it fails or null
+	 */
+	_check(entry, value, record, row) {
+		const { rule, column, other } = entry;
+		const name = `"${column.key}"`;
+
+		if (rule.rule === "required") {
+			return isBlank(value) ? `Required value for ${name} is missing` : null;
+		}
+		if (isBlank(value)) return null;
+
+		switch (rule.rule) {
+			case "pattern":
+				return entry.regex.test(String(value))
+					? null
+					: `Value "${value}" of ${name} does not match ${rule.pattern}`;
+			case "allowed_values":
+				return rule.values.includes(String(value))
+					? null
+					: `Value "${value}" of ${name} is not one of: ${rule.values.join(", ")}`;
+			case "range": {
+				const number = parseDecimal(value);
+				if (!number) return `Value "${value}" of ${name} is not a number`;
+				if (
+					rule.min !== undefined &&
+					compareDecimals(number, parseDecimal(rule.min)) < 0
+				) {
+					return `Value "${value}" of ${name} is below the minimum of ${rule.min}`;
+				}
+				if (
+					rule.max !== undefined &&
+					compareDecimals(number, parseDecimal(rule.max)) > 0
+				) {
+					return `Value "${value}" of ${name} is above the maximum of ${rule.max}`;
+				}
+				return null;
+			}
+			case "compare": {
+				const otherValue = record[other.key];
+				if (isBlank(otherValue)) return null;
+				const left = comparable(value, column);
+				const right = comparable(otherValue, other);
+				const operator = OPERATORS[rule.operator];
+				if (operator.test(compareValues(left, right))) return null;
+				const relation =
+					left.kind === "date" && right.kind === "date"
+						? operator.date
+						: operator.text;
+				return `${name} (${value}) must be ${relation} "${other.key}" (${otherValue})`;
+			}
+			case "unique": {
+				const key = String(value);
+				const firstRow = entry.seen.get(key);
+				if (firstRow !== undefined) {
+					return `Duplicate value "${value}" of ${name}, first seen in row ${firstRow}`;
+				}
+				entry.seen.set(key, row);
+				return null;
+			}
+			default:
+				return null;
+		}
+	}
+}
+
+module.exports = {
+	RULE_TYPES,
+	RuleChecker,
+	validateRules,
+	normalizeRule,
+};
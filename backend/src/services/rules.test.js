@@ -0,0 +1,170 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { RuleChecker, validateRules, normalizeRule } = require("./rules");
+
+// Profile columns, referred to by tag, and the resolved sheet columns
+// the checker sees, referred to by key
+const PROFILE_COLUMNS = [
+	{ column: "A", tag: "LOAN_ID" },
+	{ column: "B", tag: "AMOUNT" },
+	{ column: "C", tag: "START", type: { type: "date" } },
+	{ column: "D", tag: "END", type: { type: "date" } },
+	{ column: "E", tag: "STATUS" },
+	{ column: "F", tag: "OLD", drop: true },
+];
+const SHEET_COLUMNS = [
+	{ key: "LOAN_ID", letter: "A", header: "Loan" },
+	{ key: "AMOUNT", letter: "B", header: "Amount" },
+	{
+		key: "START",
+		letter: "C",
+		header: "Start",
+		typeRule: { type: "date", format: "DD.MM.YYYY" },
+	},
+	{
+		key: "END",
+		letter: "D",
+		header: "End",
+		typeRule: { type: "date", format: "DD.MM.YYYY" },
+	},
+	{ key: "STATUS", letter: "E", header: "Status" },
+];
+
+const checker = (rules) =>
+	new RuleChecker(rules.map(normalizeRule), SHEET_COLUMNS);
+const messages = (violations) => violations.map((v) => v.message);
+
+test("valid rules pass validation", () => {
+	assert.deepEqual(
+		validateRules(
+			[
+				{ rule: "required", column: "LOAN_ID" },
+				{ rule: "pattern", column: "LOAN_ID", pattern: "^L\\d+$" },
+				{ rule: "allowed_values", column: "STATUS", values: ["open", 1] },
+				{ rule: "range", column: "AMOUNT", min: 0, max: "1000000" },
+				{
+					rule: "compare",
+					column: "END",
+					operator: "gte",
+					other_column: "START",
+				},
+				{ rule: "unique", column: "LOAN_ID" },
+			],
+			PROFILE_COLUMNS
+		),
+		[]
+	);
+});
+
+test("invalid rules are reported by position", () => {
+	assert.deepEqual(
+		validateRules(
+			[
+				{ rule: "checksum", column: "LOAN_ID" },
+				{ rule: "required", column: "OLD" },
+				{ rule: "pattern", column: "LOAN_ID", pattern: "(" },
+				{ rule: "range", column: "AMOUNT", min: 5, max: 1 },
+				{
+					rule: "compare",
+					column: "END",
+					operator: "after",
+					other_column: "END",
+				},
+			],
+			PROFILE_COLUMNS
+		).map((error) => error.split(" ")[0]),
+		[
+			"rules[0].rule",
+			"rules[1].column",
+			"rules[2].pattern",
+			"rules[3].min",
+			"rules[4].operator",
+			"rules[4].other_column",
+		]
+	);
+});
+
+test("required, pattern, allowed values and range check each value", () => {
+	const rules = checker([
+		{ rule: "required", column: "LOAN_ID" },
+		{ rule: "pattern", column: "STATUS", pattern: "^[a-z]+$" },
+		{ rule: "allowed_values", column: "STATUS", values: ["open", "closed"] },
+		{ rule: "range", column: "AMOUNT", min: "0", max: "100.50" },
+	]);
+
+	assert.deepEqual(
+		rules.check({ LOAN_ID: "L1", AMOUNT: "100.50", STATUS: "open" }, 2),
+		[]
+	);
+	assert.deepEqual(
+		messages(
+			rules.check({ LOAN_ID: " ", AMOUNT: "100.51", STATUS: "Open" }, 3)
+		),
+		[
+			'Required value for "LOAN_ID" is missing',
+			'Value "Open" of "STATUS" does not match ^[a-z]+$',
+			'Value "Open" of "STATUS" is not one of: open, closed',
+			'Value "100.51" of "AMOUNT" is above the maximum of 100.50',
+		]
+	);
+	// Blank values only fail the required rule
+	assert.deepEqual(
+		rules.check({ LOAN_ID: "L2", AMOUNT: "", STATUS: "" }, 4),
+		[]
+	);
+});
+
+test("violations carry their cell and the rule's own message", () => {
+	const rules = checker([
+		{
+			rule: "range",
+			column: "AMOUNT",
+			min: 0,
+			message: "Amounts cannot be negative",
+		},
+	]);
+	assert.deepEqual(rules.check({ AMOUNT: "-1" }, 7), [
+		{
+			row: 7,
+			column: "B",
+			field: "Amount",
+			element: "AMOUNT",
+			rule: "range",
+			message: "Amounts cannot be negative",
+		},
+	]);
+});
+
+test("compare orders dates by their format, not as text", () => {
+	const rules = checker([
+		{ rule: "compare", column: "END", operator: "gt", other_column: "START" },
+	]);
+	assert.deepEqual(
+		rules.check({ START: "31.01.2024", END: "01.02.2024" }, 2),
+		[]
+	);
+	assert.deepEqual(
+		messages(rules.check({ START: "01.02.2024", END: "31.01.2024" }, 3)),
+		['"END" (31.01.2024) must be after "START" (01.02.2024)']
+	);
+});
+
+test("unique names the row a duplicate was first seen in", () => {
+	const rules = checker([{ rule: "unique", column: "LOAN_ID" }]);
+	assert.deepEqual(rules.check({ LOAN_ID: "L1" }, 2), []);
+	assert.deepEqual(rules.check({ LOAN_ID: "L2" }, 3), []);
+	assert.deepEqual(messages(rules.check({ LOAN_ID: "L1" }, 4)), [
+		'Duplicate value "L1" of "LOAN_ID", first seen in row 2',
+	]);
+});
+
+test("columns that already failed are skipped, and so are rules on columns the sheet lacks", () => {
+	const rules = new RuleChecker(
+		[
+			{ rule: "required", column: "AMOUNT" },
+			{ rule: "required", column: "MISSING" },
+		],
+		SHEET_COLUMNS
+	);
+	assert.deepEqual(rules.check({ AMOUNT: "" }, 2, new Set(["AMOUNT"])), []);
+});
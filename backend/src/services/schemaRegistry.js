@@ -0,0 +1,158 @@
+/**
+ * XSD Schema Registry
+ *
+ * Keeps track of the XSD schemas registered per report type and validates
+ * generated XML documents against them
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { validateXML, memoryPages } = require("xmllint-wasm");
+const config = require("../config");
+const { logger } = require("../utils/logger");
+
+/**
+ * Schema Registry Class
+ *
+ * A report type maps to a main schema plus any schemas it pulls in through
+ * xs:include / xs:import. Schemas are loaded from config.SCHEMA_DIR, where
+ * either a single "<report_type>.xsd" file or a "<report_type>/" folder
+ * registers a report type. Inside a folder, "<report_type>.xsd" (or the
+ * first file alphabetically) is the main schema.
+ */
+class SchemaRegistry {
+	constructor(schemaDir = config.SCHEMA_DIR) {
+		this.schemaDir = schemaDir;
+		this.schemas = new Map();
+		this.loadFromDirectory();
+	}
+
+	/**
+	 * Register XSD files for a report type. The first file is the main schema.
+	 */
+	register(reportType, schemaFiles) {
+		const files = Array.isArray(schemaFiles) ? schemaFiles : [schemaFiles];
+		if (!reportType || files.length === 0) {
+			throw new Error("A report type and at least one XSD file are required");
+		}
+
+		const loaded = files.map((filePath) => ({
+			fileName: path.basename(filePath),
+			contents: fs.readFileSync(filePath, "utf-8"),
+		}));
+
+		this.schemas.set(reportType, {
+			main: loaded[0],
+			dependencies: loaded.slice(1),
+		});
+		logger.info(
+			`Registered XSD schema for report type ${reportType}: ${files
+				.map((f) => path.basename(f))
+				.join(", ")}`
+		);
+	}
+
+	/**
+	 * Load every report type found in the schema directory
+	 */
+	loadFromDirectory() {
+		if (!this.schemaDir || !fs.existsSync(this.schemaDir)) {
+			return;
+		}
+
+		for (const entry of fs.readdirSync(this.schemaDir, {
+			withFileTypes: true,
+		})) {
+			const entryPath = path.join(this.schemaDir, entry.name);
+
+			if (entry.isFile() && path.extname(entry.name).toLowerCase() === ".xsd") {
+				this.register(path.basename(entry.name, ".xsd"), [entryPath]);
+			} else if (entry.isDirectory()) {
+				const xsdFiles = fs
+					.readdirSync(entryPath)
+					.filter((f) => path.extname(f).toLowerCase() === ".xsd")
+					.sort();
+				if (xsdFiles.length === 0) continue;
+
+				const mainIndex = Math.max(xsdFiles.indexOf(`${entry.name}.xsd`), 0);
+				const [main] = xsdFiles.splice(mainIndex, 1);
+				this.register(
+					entry.name,
+					[main, ...xsdFiles].map((f) => path.join(entryPath, f))
+				);
+			}
+		}
+	}
+
+	/**
+	 * Check if a report type has a registered schema
+	 */
+	has(reportType) {
+		return this.schemas.has(reportType);
+	}
+
+	/**
+	 * List registered report types
+	 */
+	list() {
+		return Array.from(this.schemas.entries()).map(([reportType, schema]) => ({
+			report_type: reportType,
+			schema: schema.main.fileName,
+			dependencies: schema.dependencies.map((d) => d.fileName),
+		}));
+	}
+
+	/**
+	 * Validate an XML document against the schema of a report type.
+	 * Resolves with { valid, errors: [{ line, message }] }
+	 */
+	async validate(xmlContent, reportType, fileName = "report.xml") {
+		return this._validate({ fileName, contents: xmlContent }, reportType);
+	}
+
+	/**
+	 * Validate an XML file against the schema of a report type with
+	 * xmllint's streaming reader, which builds no document tree. The
+	 * file's bytes are still held in memory while it is validated.
+	 */
+	async validateFile(filePath, reportType, fileName = "report.xml") {
+		return this._validate(
+			{ fileName, contents: fs.readFileSync(filePath) },
+			reportType,
+			true
+		);
+	}
+
+	async _validate(xmlFile, reportType, stream = false) {
+		const schema = this.schemas.get(reportType);
+		if (!schema) {
+			throw new Error(
+				`No XSD schema registered for report type "${reportType}"`
+			);
+		}
+
+		const result = await validateXML({
+			xml: [xmlFile],
+			schema: [schema.main],
+			preload: schema.dependencies,
+			maxMemoryPages: memoryPages.GiB,
+			stream,
+		});
+
+		return {
+			valid: result.valid,
+			errors: result.errors.map((error) => ({
+				line: error.loc ? error.loc.lineNumber : null,
+				message: error.message,
+			})),
+		};
+	}
+}
+
+// Create singleton instance
+const schemaRegistry = new SchemaRegistry();
+
+module.exports = {
+	schemaRegistry,
+	SchemaRegistry,
+};
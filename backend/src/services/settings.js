@@ -0,0 +1,76 @@
+/**
+ * Settings Service
+ *
+ * Settings admins change at run time, kept in settings.json under the
+ * data directory. Only output encryption is configurable for now.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+
+const DEFAULT_SETTINGS = {
+	// Encrypt every converted file, whatever the request asks for
+	encrypt_outputs: false,
+};
+
+/**
+ * Settings Store Class
+ */
+class SettingsStore {
+	constructor(filePath = config.getDataPath("settings.json")) {
+		this.filePath = filePath;
+	}
+
+	/**
+	 * Current settings, with defaults for any not saved
+	 */
+	get() {
+		if (!fs.existsSync(this.filePath)) {
+			return { ...DEFAULT_SETTINGS };
+		}
+		const content = fs.readFileSync(this.filePath, "utf-8");
+		return {
+			...DEFAULT_SETTINGS,
+			...(content.trim() ? JSON.parse(content) : {}),
+		};
+	}
+
+	/**
+	 * Validate changes to the settings, returns a list of error messages
+	 */
+	validate(changes) {
+		if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+			return ["Settings must be an object"];
+		}
+		const errors = [];
+		for (const [key, value] of Object.entries(changes)) {
+			if (!(key in DEFAULT_SETTINGS)) {
+				errors.push(`Unknown setting "${key}"`);
+			} else if (typeof value !== typeof DEFAULT_SETTINGS[key]) {
+				errors.push(`${key} must be a ${typeof DEFAULT_SETTINGS[key]}`);
+			}
+		}
+		return errors;
+	}
+
+	/**
+	 * Save changes to the settings, returns the new settings
+	 */
+	update(changes) {
+		const settings = { ...this.get(), ...changes };
+		fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+		const tempPath = `${this.filePath}.tmp`;
+		fs.writeFileSync(tempPath, JSON.stringify(settings, null, 2), "utf-8");
+		fs.renameSync(tempPath, this.filePath);
+		return settings;
+	}
+}
+
+// Create singleton instance
+const settingsStore = new SettingsStore();
+
+module.exports = {
+	SettingsStore,
+	settingsStore,
+};
@@ -0,0 +1,135 @@
+/**
+ * Orphaned File Sweeper
+ *
+ * Deletes uploads and output files left behind when a conversion is never
+ * downloaded or the process stops halfway through one: uploaded inputs,
+ * decrypted temp_* downloads, *.partial streamed outputs, intermediate
+ * batch files, error reports and outputs no successful conversion record
+ * refers to. The outputs of successful conversions are left to the
+ * retention purge of the conversion history until they expire.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+const { conversionStore } = require("./conversions");
+const { jobQueue } = require("./jobs");
+const { auditLogger, logger } = require("../utils/logger");
+
+/**
+ * File Sweeper Class
+ *
+ * Files are orphaned once they are older than ORPHAN_FILE_TTL_HOURS,
+ * going by their modification time
+ */
+class FileSweeper {
+	constructor(
+		directories = { uploads: config.UPLOAD_DIR, outputs: config.OUTPUT_DIR }
+	) {
+		this.directories = directories;
+		this.timer = null;
+	}
+
+	/**
+	 * Paths of the files that must be kept whatever their age, by
+	 * directory: the inputs of jobs that have not finished, and the
+	 * outputs of succeeded conversions that have not expired. A record
+	 * keeps only the output_file it names, so the *.partial leftovers of
+	 * a failed conversion are swept.
+	 */
+	_filesInUse(now) {
+		const outputs = conversionStore
+			.list({ status: "succeeded" })
+			.filter(
+				(record) =>
+					record.output_file && !conversionStore.isExpired(record, now)
+			)
+			.map((record) => path.join(this.directories.outputs, record.output_file));
+
+		return {
+			uploads: new Set(jobQueue.activeInputFiles()),
+			outputs: new Set(outputs),
+		};
+	}
+
+	/**
+	 * Delete the orphaned files, returns the number deleted
+	 */
+	sweep(now = Date.now()) {
+		const cutoff = now - config.ORPHAN_FILE_TTL_HOURS * 3600 * 1000;
+		const inUse = this._filesInUse(now);
+		let removed = 0;
+
+		for (const [kind, directory] of Object.entries(this.directories)) {
+			if (!fs.existsSync(directory)) continue;
+
+			for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+				if (!entry.isFile()) continue;
+				const filePath = path.join(directory, entry.name);
+				try {
+					const { size, mtimeMs } = fs.statSync(filePath);
+					if (mtimeMs > cutoff || inUse[kind]?.has(filePath)) {
+						continue;
+					}
+					fs.unlinkSync(filePath);
+					removed++;
+					auditLogger.logFileOperation(
+						"system",
+						"orphan_cleanup",
+						entry.name,
+						size,
+						"success",
+						{
+							directory: kind,
+							modified_at: new Date(mtimeMs).toISOString(),
+						}
+					);
+				} catch (error) {
+					// The file may have been removed by its own request meanwhile
+					if (error.code === "ENOENT") continue;
+					auditLogger.logError("system", "orphan_cleanup", error, {
+						file_name: entry.name,
+					});
+				}
+			}
+		}
+		return removed;
+	}
+
+	/**
+	 * Sweep now, to clear what a crash left behind, and then every
+	 * SWEEP_INTERVAL_MINUTES
+	 */
+	start(intervalMinutes = config.SWEEP_INTERVAL_MINUTES) {
+		const sweep = () => {
+			try {
+				const removed = this.sweep();
+				if (removed > 0) {
+					logger.info(`Removed ${removed} orphaned file(s)`);
+				}
+			} catch (error) {
+				auditLogger.logError("system", "orphan_cleanup", error);
+			}
+		};
+
+		this.stop();
+		sweep();
+		this.timer = setInterval(sweep, intervalMinutes * 60 * 1000);
+		this.timer.unref();
+	}
+
+	stop() {
+		if (this.timer) {
+			clearInterval(this.timer);
+			this.timer = null;
+		}
+	}
+}
+
+// Create singleton instance
+const fileSweeper = new FileSweeper();
+
+module.exports = {
+	FileSweeper,
+	fileSweeper,
+};
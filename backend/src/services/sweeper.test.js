@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "sweeper-test-"));
+process.env.DATA_DIR = path.join(tempDir, "data");
+process.env.OUTPUT_DIR = path.join(tempDir, "outputs");
+process.env.LOG_FILE_PATH = path.join(tempDir, "audit.log");
+
+const config = require("../config");
+const { conversionStore } = require("./conversions");
+const { jobQueue } = require("./jobs");
+const { FileSweeper } = require("./sweeper");
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const HOUR = 3600 * 1000;
+const uploadsDir = path.join(tempDir, "uploads");
+const outputsDir = config.OUTPUT_DIR;
+fs.mkdirSync(uploadsDir, { recursive: true });
+
+/**
+ * Write a file last modified hoursAgo hours before now
+ */
+function writeFile(directory, name, hoursAgo, now) {
+	const filePath = path.join(directory, name);
+	fs.writeFileSync(filePath, "content");
+	const mtime = new Date(now - hoursAgo * HOUR);
+	fs.utimesSync(filePath, mtime, mtime);
+	return filePath;
+}
+
+const outputName = (fileId) => `${fileId}_output.xml`;
+
+test("sweeps orphaned uploads and outputs past the TTL, and keeps what is in use", (t) => {
+	const now = Date.now();
+	const old = config.ORPHAN_FILE_TTL_HOURS + 1;
+
+	// Records: a conversion whose output has expired, a succeeded one and
+	// a failed one
+	const expired = "00000000-0000-0000-0000-000000000001";
+	const kept = "00000000-0000-0000-0000-000000000002";
+	const failed = "00000000-0000-0000-0000-000000000003";
+	const record = (fileId) =>
+		conversionStore.record({
+			fileId,
+			fileName: "loans.xlsx",
+			outputFile: writeFile(outputsDir, outputName(fileId), old, now),
+			outputFormat: "xml",
+			userId: "maker",
+		});
+	record(expired);
+	conversionStore.purgeExpired(
+		now + (config.OUTPUT_RETENTION_HOURS + 1) * HOUR
+	);
+	record(kept);
+	conversionStore.recordFailure({
+		fileId: failed,
+		fileName: "loans.xlsx",
+		outputFormat: "xml",
+		userId: "maker",
+		message: "Sheet not found",
+	});
+
+	const activeInput = writeFile(uploadsDir, "active", old, now);
+	t.mock.method(jobQueue, "activeInputFiles", () => [activeInput]);
+	writeFile(uploadsDir, "abandoned", old, now);
+	writeFile(uploadsDir, "fresh", 1, now);
+	writeFile(outputsDir, outputName(expired), old, now);
+	writeFile(outputsDir, outputName(failed), old, now);
+	writeFile(outputsDir, `${outputName(kept)}.partial`, old, now);
+	writeFile(outputsDir, `${outputName(failed)}.partial`, old, now);
+	writeFile(outputsDir, `temp_${kept}.xml`, old, now);
+	writeFile(
+		outputsDir,
+		"00000000-0000-0000-0000-000000000004_errors.xlsx",
+		old,
+		now
+	);
+
+	const sweeper = new FileSweeper({ uploads: uploadsDir, outputs: outputsDir });
+	assert.equal(sweeper.sweep(now), 7);
+	assert.deepEqual(fs.readdirSync(uploadsDir).sort(), ["active", "fresh"]);
+	assert.deepEqual(fs.readdirSync(outputsDir), [outputName(kept)]);
+});
@@ -0,0 +1,160 @@
+/**
+ * Header Template Service
+ *
+ * Stores named sets of header fields, and optionally an XML envelope, that
+ * conversions can start from instead of typing the fields every time
+ */
+
+const config = require("../config");
+const { JsonStore } = require("../utils/jsonStore");
+const { parseEnvelope } = require("./converter");
+const { validatePlaceholders } = require("./placeholders");
+const { validateControlTotals } = require("./controlTotals");
+
+// Same rule the frontend applies to header tag names
+const XML_NAME_PATTERN = /^[a-zA-Z_][\w.-]*$/;
+
+/**
+ * Header Template Store Class
+ *
+ * A template looks like:
+ * {
+ *   name: "Quarterly call report",
+ *   description: "...",
+ *   header_fields: [
+ *     { tagName: "BANK_CODE", tagValue: "0012" },
+ *     { tagName: "REPORT_DATE", tagValue: "{{period_end}}" },
+ *     { tagName: "RECORDS", tagValue: "{{row_count}}" }
+ *   ],
+ *   envelope: { root_element: "FFIEC_REPORT", namespace: "urn:..." },
+ *   control_totals: [{ tag: "TOTAL_AMOUNT", aggregate: "sum", column: "AMOUNT" }]
+ * }
+ *
+ * header_fields use the same shape as the request's header_fields. Values
+ * may contain placeholders (see services/placeholders.js), which are
+ * resolved when a conversion runs. The envelope is optional and takes the
+ * same form as the request's envelope. control_totals are optional too and
+ * are added to those of the request, which wins for a shared tag.
+ */
+class TemplateStore {
+	constructor(filePath = config.getDataPath("templates.json")) {
+		this.store = new JsonStore(filePath);
+	}
+
+	/**
+	 * Validate a template definition, returns a list of error messages
+	 */
+	validate(template) {
+		const errors = [];
+
+		if (!template || typeof template !== "object") {
+			return ["Template must be an object"];
+		}
+		if (typeof template.name !== "string" || !template.name.trim()) {
+			errors.push("name is required");
+		}
+		if (
+			!Array.isArray(template.header_fields) ||
+			template.header_fields.length === 0
+		) {
+			errors.push("header_fields must be a non-empty array");
+		} else {
+			const tags = new Set();
+			template.header_fields.forEach((field, i) => {
+				const label = `header_fields[${i}]`;
+				if (!field || typeof field !== "object") {
+					errors.push(`${label} must be an object`);
+					return;
+				}
+				if (
+					typeof field.tagName !== "string" ||
+					!XML_NAME_PATTERN.test(field.tagName)
+				) {
+					errors.push(
+						`${label}.tagName must be a valid XML element name (letters, digits, underscore, period or hyphen, starting with a letter or underscore)`
+					);
+				} else if (tags.has(field.tagName)) {
+					errors.push(
+						`${label}.tagName "${field.tagName}" is used more than once`
+					);
+				} else {
+					tags.add(field.tagName);
+				}
+				if (typeof field.tagValue !== "string") {
+					errors.push(`${label}.tagValue must be a string`);
+				} else {
+					errors.push(
+						...validatePlaceholders(field.tagValue).map(
+							(error) => `${label}.tagValue: ${error}`
+						)
+					);
+				}
+			});
+		}
+
+		if (template.envelope !== undefined && template.envelope !== null) {
+			try {
+				parseEnvelope(template.envelope);
+			} catch (error) {
+				errors.push(error.message);
+			}
+		}
+
+		if (
+			template.control_totals !== undefined &&
+			template.control_totals !== null
+		) {
+			errors.push(...validateControlTotals(template.control_totals));
+		}
+
+		return errors;
+	}
+
+	/**
+	 * Keep only the supported template fields
+	 */
+	_normalize(template) {
+		return {
+			name: template.name.trim(),
+			description: template.description ? String(template.description) : "",
+			header_fields: template.header_fields.map((field) => ({
+				tagName: field.tagName,
+				tagValue: field.tagValue,
+			})),
+			envelope: template.envelope || null,
+			control_totals: (template.control_totals || []).map((total) => ({
+				tag: total.tag,
+				aggregate: total.aggregate,
+				...(total.column !== undefined ? { column: total.column } : {}),
+			})),
+		};
+	}
+
+	list() {
+		return this.store.list();
+	}
+
+	get(id) {
+		return this.store.get(id);
+	}
+
+	create(template) {
+		return this.store.create(this._normalize(template));
+	}
+
+	update(id, template) {
+		return this.store.update(id, this._normalize(template));
+	}
+
+	remove(id) {
+		return this.store.remove(id);
+	}
+}
+
+// Create singleton instance
+const templateStore = new TemplateStore();
+
+module.exports = {
+	templateStore,
+	TemplateStore,
+};
@@ -0,0 +1,349 @@
+/**
+ * User Service
+ *
+ * Keeps the accounts that can sign in to the API, their roles, and checks
+ * their passwords. Accounts are stored in a JSON file, or in a SQLite
+ * database when USER_STORE is "sqlite".
+ */
+
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+const config = require("../config");
+const { JsonStore } = require("../utils/jsonStore");
+const { validateRoles } = require("./roles");
+
+const USER_STORES = ["file", "sqlite"];
+
+const USERNAME_PATTERN = /^[\w.@-]{1,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+/**
+ * Raised when an account cannot be created; the message says why
+ */
+class UserError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "UserError";
+	}
+}
+
+/**
+ * Hash a password as "scrypt$<salt>$<hash>" with a random salt
+ */
+function hashPassword(password) {
+	const salt = crypto.randomBytes(SALT_BYTES);
+	const hash = crypto.scryptSync(password, salt, KEY_LENGTH);
+	return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+/**
+ * Check a password against a hash made by hashPassword
+ */
+function verifyPassword(password, passwordHash) {
+	const [scheme, salt, hash] = String(passwordHash).split("$");
+	if (scheme !== "scrypt" || !salt || !hash) {
+		return false;
+	}
+	const expected = Buffer.from(hash, "hex");
+	const actual = crypto.scryptSync(
+		password,
+		Buffer.from(salt, "hex"),
+		expected.length
+	);
+	return crypto.timingSafeEqual(actual, expected);
+}
+
+// Checked against when the username is unknown, so a failed login takes
+// as long whether or not the account exists
+const DUMMY_PASSWORD_HASH = hashPassword(
+	crypto.randomBytes(16).toString("hex")
+);
+
+/**
+ * Account without its password hash, as returned by the service.
+ * Accounts created before roles existed have none.
+ */
+function publicUser(user) {
+	if (!user) return null;
+	const { password_hash: passwordHash, ...rest } = user;
+	return { ...rest, roles: rest.roles || [] };
+}
+
+/**
+ * File User Store Class
+ *
+ * Accounts in users.json under the data directory
+ */
+class FileUserStore {
+	constructor(filePath = config.getDataPath("users.json")) {
+		this.store = new JsonStore(filePath);
+	}
+
+	list() {
+		return this.store.list();
+	}
+
+	get(id) {
+		return this.store.get(id);
+	}
+
+	findByUsername(username) {
+		return this.store.list((user) => user.username === username)[0] || null;
+	}
+
+	create(user) {
+		return this.store.create(user);
+	}
+
+	update(id, changes) {
+		return this.store.update(id, changes);
+	}
+
+	remove(id) {
+		return this.store.remove(id);
+	}
+}
+
+/**
+ * SQLite User Store Class
+ *
+ * Accounts in a users table of users.db under the data directory. Uses
+ * the node:sqlite module of Node.js 22.13 and later, or of 22.5 and later
+ * run with --experimental-sqlite.
+ */
+class SqliteUserStore {
+	constructor(filePath = config.getDataPath("users.db")) {
+		let sqlite;
+		try {
+			sqlite = require("node:sqlite");
+		} catch (error) {
+			throw new Error(
+				`USER_STORE=sqlite needs Node.js 22.13 or later (${error.message})`
+			);
+		}
+		this.db = new sqlite.DatabaseSync(filePath);
+		this.db.exec(`
+			CREATE TABLE IF NOT EXISTS users (
+				id TEXT PRIMARY KEY,
+				username TEXT NOT NULL UNIQUE,
+				password_hash TEXT NOT NULL,
+				roles TEXT NOT NULL DEFAULT '[]',
+				created_at TEXT NOT NULL,
+				updated_at TEXT NOT NULL
+			)
+		`);
+
+		// Databases created before roles existed lack the column
+		const columns = this.db.prepare("PRAGMA table_info(users)").all();
+		if (!columns.some((column) => column.name === "roles")) {
+			this.db.exec(
+				"ALTER TABLE users ADD COLUMN roles TEXT NOT NULL DEFAULT '[]'"
+			);
+		}
+	}
+
+	// Rows come back as null-prototype objects with roles as JSON text
+	_row(row) {
+		return row ? { ...row, roles: JSON.parse(row.roles) } : null;
+	}
+
+	list() {
+		return this.db
+			.prepare("SELECT * FROM users ORDER BY created_at")
+			.all()
+			.map((row) => this._row(row));
+	}
+
+	get(id) {
+		return this._row(
+			this.db.prepare("SELECT * FROM users WHERE id = ?").get(id)
+		);
+	}
+
+	findByUsername(username) {
+		return this._row(
+			this.db.prepare("SELECT * FROM users WHERE username = ?").get(username)
+		);
+	}
+
+	create(user) {
+		const now = new Date().toISOString();
+		const record = {
+			id: uuidv4(),
+			roles: [],
+			...user,
+			created_at: now,
+			updated_at: now,
+		};
+		this.db
+			.prepare(
+				"INSERT INTO users (id, username, password_hash, roles, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)"
+			)
+			.run(
+				record.id,
+				record.username,
+				record.password_hash,
+				JSON.stringify(record.roles),
+				record.created_at,
+				record.updated_at
+			);
+		return record;
+	}
+
+	update(id, changes) {
+		const user = this.get(id);
+		if (!user) {
+			return null;
+		}
+		const record = {
+			...user,
+			...changes,
+			id,
+			created_at: user.created_at,
+			updated_at: new Date().toISOString(),
+		};
+		this.db
+			.prepare(
+				"UPDATE users SET password_hash = ?, roles = ?, updated_at = ? WHERE id = ?"
+			)
+			.run(
+				record.password_hash,
+				JSON.stringify(record.roles || []),
+				record.updated_at,
+				id
+			);
+		return record;
+	}
+
+	remove(id) {
+		return (
+			this.db.prepare("DELETE FROM users WHERE id = ?").run(id).changes > 0
+		);
+	}
+}
+
+/**
+ * Create the user store named by USER_STORE
+ */
+function createUserStore(kind = config.USER_STORE) {
+	switch (kind) {
+		case "file":
+			return new FileUserStore();
+		case "sqlite":
+			return new SqliteUserStore();
+		default:
+			throw new Error(
+				`Unknown USER_STORE "${kind}", expected one of ${USER_STORES.join(", ")}`
+			);
+	}
+}
+
+/**
+ * User Service Class
+ *
+ * Account checks on top of a user store. Accounts are returned without
+ * their password hash.
+ */
+class UserService {
+	constructor(store) {
+		this.store = store;
+	}
+
+	/**
+	 * Validate a new account, returns a list of error messages
+	 */
+	validate(username, password, roles = []) {
+		const errors = validateRoles(roles);
+		if (typeof username !== "string" || !USERNAME_PATTERN.test(username)) {
+			errors.push(
+				"username must be 1 to 64 letters, digits, underscores, periods, @ or hyphens"
+			);
+		}
+		if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+			errors.push(
+				`password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+			);
+		}
+		return errors;
+	}
+
+	list() {
+		return this.store.list().map(publicUser);
+	}
+
+	get(id) {
+		return publicUser(this.store.get(id));
+	}
+
+	/**
+	 * Create an account, throws UserError when it is invalid or the
+	 * username is taken
+	 */
+	create(username, password, roles = []) {
+		const errors = this.validate(username, password, roles);
+		if (errors.length > 0) {
+			throw new UserError(errors.join("; "));
+		}
+		if (this.store.findByUsername(username)) {
+			throw new UserError(`User "${username}" already exists`);
+		}
+		return publicUser(
+			this.store.create({
+				username,
+				password_hash: hashPassword(password),
+				roles: [...new Set(roles)],
+			})
+		);
+	}
+
+	/**
+	 * Replace the roles of an account, returns null if it does not exist.
+	 * Throws UserError for unknown roles.
+	 */
+	setRoles(id, roles) {
+		const errors = validateRoles(roles);
+		if (errors.length > 0) {
+			throw new UserError(errors.join("; "));
+		}
+		return publicUser(this.store.update(id, { roles: [...new Set(roles)] }));
+	}
+
+	/**
+	 * Delete an account, returns false if it does not exist
+	 */
+	remove(id) {
+		return this.store.remove(id);
+	}
+
+	/**
+	 * The account with this username and password, or null
+	 */
+	authenticate(username, password) {
+		if (typeof username !== "string" || typeof password !== "string") {
+			return null;
+		}
+		const user = this.store.findByUsername(username);
+		const valid = verifyPassword(
+			password,
+			user ? user.password_hash : DUMMY_PASSWORD_HASH
+		);
+		return user && valid ? publicUser(user) : null;
+	}
+}
+
+// Create singleton instance
+const userService = new UserService(createUserStore());
+
+module.exports = {
+	UserService,
+	UserError,
+	FileUserStore,
+	SqliteUserStore,
+	createUserStore,
+	userService,
+	hashPassword,
+	verifyPassword,
+};
@@ -0,0 +1,360 @@
+/**
+ * XML to Excel Conversion Service
+ *
+ * Reads CALLREPORT documents back into workbooks: the HEADER fields on one
+ * sheet and the rows of each data section on another. The root element may
+ * have any name and namespace.
+ */
+
+const XLSX = require("xlsx");
+const { create } = require("xmlbuilder2");
+const { validateXML, memoryPages } = require("xmllint-wasm");
+const fs = require("fs");
+const config = require("../config");
+const { XSI_NAMESPACE } = require("./converter");
+const { auditLogger } = require("../utils/logger");
+const { encryption } = require("../utils/encryption");
+
+const XML_HEADER_ELEMENT = "HEADER";
+const HEADER_SHEET_NAME = "HEADER";
+const HEADER_SHEET_COLUMNS = ["Tag", "Value"];
+
+// Excel limits sheet names to 31 characters
+const MAX_SHEET_NAME_LENGTH = 31;
+
+const ELEMENT_NODE = 1;
+
+/**
+ * Raised when the uploaded file is not a CALLREPORT-style document that can
+ * be turned into a workbook
+ */
+class XmlDocumentError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "XmlDocumentError";
+	}
+}
+
+const childElements = (node) =>
+	Array.from(node.childNodes).filter(
+		(child) => child.nodeType === ELEMENT_NODE
+	);
+
+// Attributes other than namespace declarations
+const dataAttributes = (node) =>
+	Array.from(node.attributes).filter(
+		(attribute) => attribute.name !== "xmlns" && attribute.prefix !== "xmlns"
+	);
+
+/**
+ * XML to Excel Converter Class
+ *
+ * The counterpart of ExcelToXMLConverter. Each data section (BODY, or the
+ * wrapper element of a multi-sheet conversion) becomes a sheet named after
+ * its wrapper element, with one column per row element in order of first
+ * appearance. Every value is written as text so it reads back exactly as it
+ * appeared in the XML. Converting the workbook back with the request_data
+ * returned by convert() reproduces the document; empty row elements are
+ * not kept, as the XML converter never writes them.
+ *
+ * Only flat rows fit a sheet. Documents with attributes, nested elements
+ * or repeated elements in a row or header field, as written with profile
+ * mappings, are rejected rather than converted with values lost.
+ */
+class XMLToExcelConverter {
+	/**
+	 * Check that the document is well-formed XML
+	 */
+	async _checkWellFormed(xmlContent, fileName) {
+		const result = await validateXML({
+			xml: [{ fileName, contents: xmlContent }],
+			maxMemoryPages: memoryPages.GiB,
+		});
+		if (!result.valid) {
+			const [error] = result.errors;
+			const line = error.loc ? ` (line ${error.loc.lineNumber})` : "";
+			throw new XmlDocumentError(
+				`File is not well-formed XML${line}: ${error.message}`
+			);
+		}
+	}
+
+	/**
+	 * Read the root element name, default namespace, other namespace
+	 * declarations and xsi:schemaLocation in request_data form, leaving
+	 * out what matches the configured defaults
+	 */
+	_readEnvelope(root) {
+		const envelope = {};
+		let namespace = root.prefix ? root.namespaceURI : "";
+		const namespaces = {};
+		let schemaLocation = null;
+
+		for (const attribute of Array.from(root.attributes)) {
+			if (attribute.name === "xmlns") {
+				namespace = attribute.value;
+			} else if (attribute.prefix === "xmlns") {
+				// A prefixed root is written back in the default namespace
+				if (attribute.localName !== root.prefix) {
+					namespaces[attribute.localName] = attribute.value;
+				}
+			} else if (
+				attribute.namespaceURI === XSI_NAMESPACE &&
+				attribute.localName === "schemaLocation"
+			) {
+				schemaLocation = attribute.value;
+			}
+		}
+		// The converter declares xsi itself along with xsi:schemaLocation
+		if (schemaLocation) {
+			delete namespaces.xsi;
+		}
+
+		if (root.localName !== config.XML_ROOT_ELEMENT) {
+			envelope.root_element = root.localName;
+		}
+		if (namespace !== config.XML_NAMESPACE) {
+			envelope.namespace = namespace;
+		}
+		if (Object.keys(namespaces).length > 0) {
+			envelope.namespaces = namespaces;
+		}
+		if (schemaLocation) {
+			envelope.schema_location = schemaLocation;
+		}
+		return envelope;
+	}
+
+	/**
+	 * Check that a header field or row field holds only text. Throws an
+	 * XmlDocumentError naming where the structure was found.
+	 */
+	_checkFlatField(field, location) {
+		const [attribute] = dataAttributes(field);
+		if (attribute) {
+			throw new XmlDocumentError(
+				`<${field.localName}> in ${location} has attribute "${attribute.name}", which a workbook cannot hold`
+			);
+		}
+		const [child] = childElements(field);
+		if (child) {
+			throw new XmlDocumentError(
+				`<${field.localName}> in ${location} has nested element <${child.localName}>, which a workbook cannot hold`
+			);
+		}
+	}
+
+	/**
+	 * Read the envelope, header fields and data sections of a document
+	 */
+	_parseDocument(xmlContent) {
+		const root = create(xmlContent).root().node;
+		const headerFields = [];
+		const sections = [];
+
+		for (const element of childElements(root)) {
+			if (element.localName === XML_HEADER_ELEMENT) {
+				for (const field of childElements(element)) {
+					this._checkFlatField(field, `<${XML_HEADER_ELEMENT}>`);
+					if (headerFields.some(([tag]) => tag === field.localName)) {
+						throw new XmlDocumentError(
+							`<${field.localName}> is repeated in <${XML_HEADER_ELEMENT}>, which a workbook cannot hold`
+						);
+					}
+					headerFields.push([field.localName, field.textContent]);
+				}
+				continue;
+			}
+
+			const rows = childElements(element);
+			if (rows.length === 0) continue;
+
+			const rowElement = rows[0].localName;
+			const columns = [];
+			const records = rows.map((row, i) => {
+				if (row.localName !== rowElement) {
+					throw new XmlDocumentError(
+						`<${element.localName}> mixes <${rowElement}> and <${row.localName}> rows (row ${i + 1})`
+					);
+				}
+				const location = `row ${i + 1} of <${element.localName}>`;
+				const [attribute] = dataAttributes(row);
+				if (attribute) {
+					throw new XmlDocumentError(
+						`<${rowElement}> ${location} has attribute "${attribute.name}", which a workbook cannot hold`
+					);
+				}
+
+				const record = {};
+				for (const field of childElements(row)) {
+					this._checkFlatField(field, location);
+					if (Object.hasOwn(record, field.localName)) {
+						throw new XmlDocumentError(
+							`<${field.localName}> is repeated in ${location}, which a workbook cannot hold`
+						);
+					}
+					if (!columns.includes(field.localName)) {
+						columns.push(field.localName);
+					}
+					record[field.localName] = field.textContent;
+				}
+				return record;
+			});
+
+			sections.push({
+				wrapperElement: element.localName,
+				rowElement,
+				columns,
+				records,
+			});
+		}
+
+		if (sections.length === 0) {
+			throw new XmlDocumentError("Document has no data rows");
+		}
+		return { envelope: this._readEnvelope(root), headerFields, sections };
+	}
+
+	/**
+	 * Pick a sheet name Excel accepts that is not taken yet
+	 */
+	_uniqueSheetName(name, used) {
+		const base = name.slice(0, MAX_SHEET_NAME_LENGTH);
+		let candidate = base;
+		for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+			const suffix = `_${n}`;
+			candidate = base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+		}
+		used.add(candidate.toLowerCase());
+		return candidate;
+	}
+
+	/**
+	 * Build the workbook, returns { workbook, sheets, requestData }
+	 */
+	_buildWorkbook({ envelope, headerFields, sections }) {
+		const workbook = XLSX.utils.book_new();
+		const used = new Set();
+		const requestData = {};
+
+		if (headerFields.length > 0) {
+			const name = this._uniqueSheetName(HEADER_SHEET_NAME, used);
+			XLSX.utils.book_append_sheet(
+				workbook,
+				XLSX.utils.aoa_to_sheet([HEADER_SHEET_COLUMNS, ...headerFields]),
+				name
+			);
+			requestData.header_sheet = name;
+		}
+
+		const sheets = sections.map((section) => {
+			const name = this._uniqueSheetName(section.wrapperElement, used);
+			const rows = section.records.map((record) =>
+				section.columns.map((column) =>
+					record[column] !== undefined && record[column] !== ""
+						? record[column]
+						: null
+				)
+			);
+			XLSX.utils.book_append_sheet(
+				workbook,
+				XLSX.utils.aoa_to_sheet([section.columns, ...rows]),
+				name
+			);
+			return {
+				name,
+				wrapper_element: section.wrapperElement,
+				row_element: section.rowElement,
+				rows: rows.length,
+			};
+		});
+
+		requestData.sheets = sheets.map((sheet) => ({
+			name: sheet.name,
+			wrapper_element: sheet.wrapper_element,
+			row_element: sheet.row_element,
+		}));
+		if (Object.keys(envelope).length > 0) {
+			requestData.envelope = envelope;
+		}
+
+		return { workbook, sheets, requestData };
+	}
+
+	/**
+	 * Convert a CALLREPORT XML file to an .xlsx workbook
+	 *
+	 * Resolves with the sheets written and the request_data that converts
+	 * the workbook back into the same document.
+	 */
+	async convert(
+		inputFile,
+		outputFile,
+		encryptOutput = false,
+		userId = "system"
+	) {
+		const startTime = Date.now();
+
+		try {
+			if (!fs.existsSync(inputFile)) {
+				throw new Error(`Input file not found: ${inputFile}`);
+			}
+
+			const xmlContent = fs.readFileSync(inputFile, "utf-8");
+			await this._checkWellFormed(xmlContent, "input.xml");
+			const { workbook, sheets, requestData } = this._buildWorkbook(
+				this._parseDocument(xmlContent)
+			);
+
+			XLSX.writeFile(workbook, outputFile, { bookType: "xlsx" });
+
+			let finalOutput = outputFile;
+			if (encryptOutput) {
+				finalOutput = `${outputFile}.enc`;
+				encryption.encryptFile(outputFile, finalOutput, userId);
+				fs.unlinkSync(outputFile);
+			}
+
+			const rowsProcessed = sheets.reduce((total, s) => total + s.rows, 0);
+			const conversionTime = Date.now() - startTime;
+
+			auditLogger.logConversionEvent(
+				userId,
+				String(inputFile),
+				String(finalOutput),
+				conversionTime,
+				"success",
+				{
+					direction: "xml_to_excel",
+					rows_processed: rowsProcessed,
+					sheets: sheets.map((s) => ({ sheet_name: s.name, rows: s.rows })),
+					encrypted: encryptOutput,
+				}
+			);
+
+			return {
+				success: true,
+				rowsProcessed,
+				conversionTime,
+				sheets,
+				requestData,
+			};
+		} catch (error) {
+			auditLogger.logError(userId, "convert_xml_to_excel", error, {
+				input_file: String(inputFile),
+				output_file: String(outputFile),
+				encrypted: encryptOutput,
+			});
+			throw error;
+		}
+	}
+}
+
+// Create singleton instance
+const xmlToExcelConverter = new XMLToExcelConverter();
+
+module.exports = {
+	xmlToExcelConverter,
+	XMLToExcelConverter,
+	XmlDocumentError,
+};
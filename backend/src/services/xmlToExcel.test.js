@@ -0,0 +1,123 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "xml-to-excel-test-"));
+process.env.DATA_DIR = tempDir;
+process.env.OUTPUT_DIR = path.join(tempDir, "output");
+process.env.SCHEMA_DIR = path.join(tempDir, "schemas");
+process.env.LOG_FILE_PATH = path.join(tempDir, "audit.log");
+
+const XLSX = require("xlsx");
+const { converter } = require("./converter");
+const { xmlToExcelConverter, XmlDocumentError } = require("./xmlToExcel");
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const tempPath = (name) => path.join(tempDir, name);
+
+test("a workbook converted back reproduces the document", async () => {
+	const book = XLSX.utils.book_new();
+	XLSX.utils.book_append_sheet(
+		book,
+		XLSX.utils.aoa_to_sheet([
+			["ID", "Amount", "Note"],
+			[1, 10.5, "Fish & chips"],
+			[2, 0.1, null],
+		]),
+		"Loans"
+	);
+	XLSX.utils.book_append_sheet(
+		book,
+		XLSX.utils.aoa_to_sheet([
+			["Code", "Amount"],
+			["A-1", 1200],
+		]),
+		"Deposits"
+	);
+	XLSX.writeFile(book, tempPath("source.xlsx"));
+
+	const sheets = [
+		{ name: "Loans", wrapperElement: "LOANS", rowElement: "LOAN" },
+		{ name: "Deposits", wrapperElement: "DEPOSITS", rowElement: "DEPOSIT" },
+	];
+	await converter.convert(
+		tempPath("source.xlsx"),
+		tempPath("original.xml"),
+		{ CALLREPORT_ID: "R-1", PERIOD: "2024Q1" },
+		null,
+		false,
+		"system",
+		{ sheets }
+	);
+
+	const result = await xmlToExcelConverter.convert(
+		tempPath("original.xml"),
+		tempPath("workbook.xlsx")
+	);
+	assert.equal(result.rowsProcessed, 3);
+	assert.deepEqual(result.requestData, {
+		header_sheet: "HEADER",
+		sheets: [
+			{ name: "LOANS", wrapper_element: "LOANS", row_element: "LOAN" },
+			{ name: "DEPOSITS", wrapper_element: "DEPOSITS", row_element: "DEPOSIT" },
+		],
+	});
+
+	await converter.convert(
+		tempPath("workbook.xlsx"),
+		tempPath("roundtrip.xml"),
+		null,
+		null,
+		false,
+		"system",
+		{
+			headerSheet: result.requestData.header_sheet,
+			sheets: result.requestData.sheets.map((sheet) => ({
+				name: sheet.name,
+				wrapperElement: sheet.wrapper_element,
+				rowElement: sheet.row_element,
+			})),
+		}
+	);
+	assert.equal(
+		fs.readFileSync(tempPath("roundtrip.xml"), "utf-8"),
+		fs.readFileSync(tempPath("original.xml"), "utf-8")
+	);
+});
+
+test("values a workbook cannot hold are rejected", async () => {
+	const documents = {
+		attribute: [
+			'<CALLREPORT><BODY><ROW id="1"><ID>1</ID></ROW></BODY></CALLREPORT>',
+			/has attribute "id"/,
+		],
+		nested: [
+			"<CALLREPORT><BODY><ROW><ID><PART>1</PART></ID></ROW></BODY></CALLREPORT>",
+			/has nested element <PART>/,
+		],
+		repeated: [
+			"<CALLREPORT><BODY><ROW><ID>1</ID><ID>2</ID></ROW></BODY></CALLREPORT>",
+			/<ID> is repeated/,
+		],
+		malformed: ["<CALLREPORT><BODY>", /not well-formed XML/],
+	};
+
+	for (const [name, [xml, message]] of Object.entries(documents)) {
+		fs.writeFileSync(tempPath(`${name}.xml`), xml);
+		await assert.rejects(
+			xmlToExcelConverter.convert(
+				tempPath(`${name}.xml`),
+				tempPath(`${name}.xlsx`)
+			),
+			(error) => {
+				assert.ok(error instanceof XmlDocumentError, name);
+				assert.match(error.message, message);
+				return true;
+			}
+		);
+		assert.equal(fs.existsSync(tempPath(`${name}.xlsx`)), false);
+	}
+});
@@ -5,11 +5,16 @@
  */
 
 const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
 const config = require('../config');
 const { logger } = require('./logger');
 
 const ALGORITHM = 'HS256';
 
+// Ids of tokens ended by logout or refresh, with their expiry times, kept
+// until the tokens would have expired anyway
+const revokedTokens = new Map();
+
 /**
  * Custom Authentication Error
  */
@@ -29,6 +34,7 @@ function createAccessToken(data, expiresInMinutes = null) {
     
     const payload = {
       ...data,
+      jti: uuidv4(),
       iat: Math.floor(Date.now() / 1000)
     };
 
@@ -53,8 +59,15 @@ function verifyToken(token) {
     const payload = jwt.verify(token, config.SECRET_KEY, {
       algorithms: [ALGORITHM]
     });
+    if (isTokenRevoked(payload)) {
+      throw new AuthError('Token has been revoked');
+    }
     return payload;
   } catch (error) {
+    if (error instanceof AuthError) {
+      logger.warn(error.message);
+      throw error;
+    }
     if (error.name === 'TokenExpiredError') {
       logger.warn('Token has expired');
       throw new AuthError('Token has expired');
@@ -64,6 +77,34 @@ function verifyToken(token) {
   }
 }
 
+/**
+ * Whether a decoded token was revoked
+ */
+function isTokenRevoked(payload) {
+  return Boolean(payload.jti) && revokedTokens.has(payload.jti);
+}
+
+/**
+ * Revoke a token so it is no longer accepted, returns its payload
+ */
+function revokeToken(token) {
+  const payload = verifyToken(token);
+  const now = Math.floor(Date.now() / 1000);
+
+  // Forget revoked tokens that have expired since
+  for (const [jti, exp] of revokedTokens) {
+    if (exp < now) {
+      revokedTokens.delete(jti);
+    }
+  }
+  if (payload.jti) {
+    revokedTokens.set(payload.jti, payload.exp || now);
+  }
+
+  logger.info(`Token revoked for user: ${payload.sub || 'unknown'}`);
+  return payload;
+}
+
 /**
  * Get current user from token
  */
@@ -114,12 +155,13 @@ function verifySessionTimeout(token) {
 }
 
 /**
- * Refresh an existing token if it's still valid
+ * Refresh an existing token if it's still valid. The old token is
+ * revoked.
  */
 function refreshToken(token) {
   try {
     // Verify current token
-    const payload = verifyToken(token);
+    const payload = revokeToken(token);
 
     // Create new token with updated expiration
     const newToken = createAccessToken(
@@ -141,5 +183,7 @@ module.exports = {
   verifyToken,
   getCurrentUser,
   verifySessionTimeout,
-  refreshToken
+  refreshToken,
+  revokeToken,
+  isTokenRevoked
 };
@@ -37,7 +37,7 @@ class AESEncryption {
   /**
    * Encrypt data using AES-256 CBC
    */
-  encryptData(data) {
+  encryptData(data, userId = 'system') {
     try {
       // Convert string to buffer if necessary
       const dataBuffer = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf-8');
@@ -57,14 +57,14 @@ class AESEncryption {
       // Combine IV and ciphertext and encode to base64
       const result = Buffer.concat([iv, encrypted]).toString('base64');
 
-      auditLogger.logSecurityEvent('system', 'encrypt_data', 'localhost', 'success', {
+      auditLogger.logSecurityEvent(userId, 'encrypt_data', 'localhost', 'success', {
         operation: 'encrypt',
         size: dataBuffer.length
       });
 
       return result;
     } catch (error) {
-      auditLogger.logError('system', 'encrypt_data', error, { operation: 'encrypt' });
+      auditLogger.logError(userId, 'encrypt_data', error, { operation: 'encrypt' });
       throw error;
     }
   }
@@ -72,7 +72,7 @@ class AESEncryption {
   /**
    * Decrypt data using AES-256 CBC
    */
-  decryptData(encryptedData) {
+  decryptData(encryptedData, userId = 'system') {
     try {
       // Decode from base64
       const encryptedBuffer = Buffer.from(encryptedData, 'base64');
@@ -90,14 +90,14 @@ class AESEncryption {
         decipher.final()
       ]);
 
-      auditLogger.logSecurityEvent('system', 'decrypt_data', 'localhost', 'success', {
+      auditLogger.logSecurityEvent(userId, 'decrypt_data', 'localhost', 'success', {
         operation: 'decrypt',
         size: decrypted.length
       });
 
       return decrypted;
     } catch (error) {
-      auditLogger.logError('system', 'decrypt_data', error, { operation: 'decrypt' });
+      auditLogger.logError(userId, 'decrypt_data', error, { operation: 'decrypt' });
       throw error;
     }
   }
@@ -105,24 +105,24 @@ class AESEncryption {
   /**
    * Encrypt a file using AES-256
    */
-  encryptFile(inputPath, outputPath) {
+  encryptFile(inputPath, outputPath, userId = 'system') {
     try {
       // Read file content
       const data = fs.readFileSync(inputPath);
 
       // Encrypt data
-      const encryptedData = this.encryptData(data);
+      const encryptedData = this.encryptData(data, userId);
 
       // Write encrypted data
       fs.writeFileSync(outputPath, encryptedData, 'utf-8');
 
-      auditLogger.logSecurityEvent('system', 'encrypt_file', 'localhost', 'success', {
+      auditLogger.logSecurityEvent(userId, 'encrypt_file', 'localhost', 'success', {
         input_file: inputPath,
         output_file: outputPath,
         size: data.length
       });
     } catch (error) {
-      auditLogger.logError('system', 'encrypt_file', error, { file: inputPath });
+      auditLogger.logError(userId, 'encrypt_file', error, { file: inputPath });
       throw error;
     }
   }
@@ -130,24 +130,24 @@ class AESEncryption {
   /**
    * Decrypt a file using AES-256
    */
-  decryptFile(inputPath, outputPath) {
+  decryptFile(inputPath, outputPath, userId = 'system') {
     try {
       // Read encrypted data
       const encryptedData = fs.readFileSync(inputPath, 'utf-8');
 
       // Decrypt data
-      const decryptedData = this.decryptData(encryptedData);
+      const decryptedData = this.decryptData(encryptedData, userId);
 
       // Write decrypted data
       fs.writeFileSync(outputPath, decryptedData);
 
-      auditLogger.logSecurityEvent('system', 'decrypt_file', 'localhost', 'success', {
+      auditLogger.logSecurityEvent(userId, 'decrypt_file', 'localhost', 'success', {
         input_file: inputPath,
         output_file: outputPath,
         size: decryptedData.length
       });
     } catch (error) {
-      auditLogger.logError('system', 'decrypt_file', error, { file: inputPath });
+      auditLogger.logError(userId, 'decrypt_file', error, { file: inputPath });
       throw error;
     }
   }
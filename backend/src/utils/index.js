@@ -7,10 +7,12 @@
 const { logger, auditLogger } = require('./logger');
 const { encryption } = require('./encryption');
 const auth = require('./auth');
+const { JsonStore } = require('./jsonStore');
 
 module.exports = {
   logger,
   auditLogger,
   encryption,
+  JsonStore,
   ...auth
 };
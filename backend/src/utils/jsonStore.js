@@ -0,0 +1,124 @@
+/**
+ * JSON File Store Utility
+ *
+ * Provides a small persistent collection of records backed by a JSON file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * JSON File Store Class
+ * Each record gets an id and created_at/updated_at timestamps
+ */
+class JsonStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Read all records from disk
+   */
+  _read() {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+    const content = fs.readFileSync(this.filePath, 'utf-8');
+    return content.trim() ? JSON.parse(content) : [];
+  }
+
+  /**
+   * Write all records to disk, replacing the file atomically
+   */
+  _write(records) {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(records, null, 2), 'utf-8');
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * List records, optionally filtered by a predicate
+   */
+  list(predicate = null) {
+    const records = this._read();
+    return predicate ? records.filter(predicate) : records;
+  }
+
+  /**
+   * Get a record by id
+   */
+  get(id) {
+    return this._read().find(record => record.id === id) || null;
+  }
+
+  /**
+   * Create a new record
+   */
+  create(data) {
+    const records = this._read();
+    const now = new Date().toISOString();
+    const record = {
+      id: uuidv4(),
+      ...data,
+      created_at: now,
+      updated_at: now
+    };
+    records.push(record);
+    this._write(records);
+    return record;
+  }
+
+  /**
+   * Update an existing record, returns null if it does not exist
+   */
+  update(id, changes) {
+    const records = this._read();
+    const index = records.findIndex(record => record.id === id);
+    if (index === -1) {
+      return null;
+    }
+    records[index] = {
+      ...records[index],
+      ...changes,
+      id,
+      created_at: records[index].created_at,
+      updated_at: new Date().toISOString()
+    };
+    this._write(records);
+    return records[index];
+  }
+
+  /**
+   * Remove a record, returns false if it does not exist
+   */
+  remove(id) {
+    const records = this._read();
+    const remaining = records.filter(record => record.id !== id);
+    if (remaining.length === records.length) {
+      return false;
+    }
+    this._write(remaining);
+    return true;
+  }
+
+  /**
+   * Remove the records matching a predicate, returns those removed
+   */
+  removeWhere(predicate) {
+    const records = this._read();
+    const removed = records.filter(predicate);
+    if (removed.length > 0) {
+      this._write(records.filter(record => !predicate(record)));
+    }
+    return removed;
+  }
+}
+
+module.exports = {
+  JsonStore
+};
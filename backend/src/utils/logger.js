@@ -135,6 +135,34 @@ class AuditLogger {
     }
   }
 
+  /**
+   * Log changes to saved configuration such as mapping profiles
+   */
+  logConfigurationEvent(userId, action, status = 'success', details = null) {
+    const message = this._formatMessage('configuration', userId, action, details, status);
+    if (status === 'success') {
+      this.logger.info(message);
+    } else {
+      this.logger.warn(message);
+    }
+  }
+
+  /**
+   * Log review transitions of converted outputs
+   */
+  logReviewEvent(userId, action, fileId, status = 'success', details = null) {
+    const reviewDetails = {
+      file_id: fileId,
+      ...(details || {})
+    };
+    const message = this._formatMessage('review', userId, action, reviewDetails, status);
+    if (status === 'success') {
+      this.logger.info(message);
+    } else {
+      this.logger.warn(message);
+    }
+  }
+
   /**
    * Log error events
    */
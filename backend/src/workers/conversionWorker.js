@@ -0,0 +1,53 @@
+/**
+ * Conversion Worker
+ *
+ * Runs conversions for the job queue on a worker thread so they do not
+ * block the Express event loop. Handles one task at a time.
+ */
+
+const { parentPort } = require("worker_threads");
+const {
+	converter,
+	DataValidationError,
+	ConversionInputError,
+} = require("../services/converter");
+const { DelimitedTextError } = require("../services/delimitedText");
+const { PlaceholderError } = require("../services/placeholders");
+
+parentPort.on("message", async (task) => {
+	const { jobId } = task;
+
+	try {
+		const result = await converter.convert(
+			task.inputFile,
+			task.outputFile,
+			task.headerFields,
+			task.sheetName,
+			task.encryptOutput,
+			task.userId,
+			{
+				...task.options,
+				onProgress: (progress) =>
+					parentPort.postMessage({ type: "progress", jobId, progress }),
+			}
+		);
+		parentPort.postMessage({ type: "succeeded", jobId, result });
+	} catch (error) {
+		parentPort.postMessage({
+			type: "failed",
+			jobId,
+			error: {
+				message: error.message,
+				validation: error instanceof DataValidationError,
+				// Shown to the client whatever SHOW_ERROR_DETAILS says
+				clientError:
+					error instanceof ConversionInputError ||
+					error instanceof DelimitedTextError ||
+					error instanceof PlaceholderError,
+				reportType: error.reportType || null,
+				violations: error.violations || [],
+				errorReport: Boolean(error.errorReportFile),
+			},
+		});
+	}
+});
@@ -1,5 +1,5 @@
 import React from "react";
-import { validateFile, convertFile } from "@/lib/api";
+import { validateFile, convertFile, downloadFile } from "@/lib/api";
 import { useToast } from "@/components/ui/toast"; // <-- use the hook
 
 function FileUpload() {
@@ -21,7 +21,7 @@ function FileUpload() {
 		try {
 			const result = await convertFile(file);
 			toast({ title: "Success", description: "File converted!" });
-			window.location.href = result.downloadUrl;
+			await downloadFile(result.downloadUrl);
 		} catch (e: any) {
 			toast({ title: "Error", description: e.message, variant: "destructive" });
 		}
@@ -1,6 +1,6 @@
 "use client";
 
-import React, { useState, useCallback, useEffect, useId } from "react";
+import React, { useState, useCallback, useEffect, useId, useRef } from "react";
 
 // Escapes special XML characters in a string
 function escapeXml(unsafe: string): string {
@@ -25,8 +25,38 @@ import { Label } from "@/components/ui/label";
 import { Progress } from "@/components/ui/progress";
 import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
 import { Separator } from "@/components/ui/separator";
+import {
+	Select,
+	SelectContent,
+	SelectItem,
+	SelectTrigger,
+	SelectValue,
+} from "@/components/ui/select";
+import {
+	Dialog,
+	DialogContent,
+	DialogDescription,
+	DialogFooter,
+	DialogHeader,
+	DialogTitle,
+} from "@/components/ui/dialog";
 import { useToast } from "@/hooks/use-toast";
-import { convertFile } from "@/lib/api";
+import {
+	AuthRequiredError,
+	createJob,
+	downloadFile,
+	getAccessToken,
+	getCurrentUser,
+	listTemplates,
+	login,
+	logout,
+	previewConversion,
+	watchJob,
+	type AuthUser,
+	type ConversionJob,
+	type ConversionPreview,
+	type HeaderTemplate,
+} from "@/lib/api";
 import {
 	PlusCircle,
 	Trash2,
@@ -44,8 +74,70 @@ interface HeaderField {
 	tagValue: string;
 }
 
+// Progress bar value when each conversion stage starts. Rows read while
+// processing (or writing, for streamed conversions) fill the range between
+// ROWS_PROGRESS_START and ROWS_PROGRESS_END.
+const STAGE_PROGRESS: Record<NonNullable<ConversionJob["stage"]>, number> = {
+	reading: 5,
+	processing: 15,
+	validating: 85,
+	writing: 90,
+	encrypting: 95,
+	done: 100,
+};
+const ROWS_PROGRESS_START = 15;
+const ROWS_PROGRESS_END = 85;
+
+const isReadingRows = (job: ConversionJob) =>
+	job.stage === "processing" ||
+	(job.stage === "writing" &&
+		job.total_rows !== null &&
+		job.rows_processed < job.total_rows);
+
+function getJobProgress(job: ConversionJob): number {
+	if (!job.stage) return 0;
+	if (isReadingRows(job) && job.total_rows) {
+		const share = Math.min(job.rows_processed / job.total_rows, 1);
+		return Math.round(
+			ROWS_PROGRESS_START + share * (ROWS_PROGRESS_END - ROWS_PROGRESS_START)
+		);
+	}
+	return STAGE_PROGRESS[job.stage];
+}
+
+function getJobStageMessage(job: ConversionJob): string {
+	const rows =
+		job.total_rows !== null
+			? `${job.rows_processed} of ${job.total_rows}`
+			: String(job.rows_processed);
+	switch (job.stage) {
+		case "reading":
+			return "Reading workbook...";
+		case "processing":
+			return `Processing rows (${rows})...`;
+		case "validating":
+			return "Validating against the report schema...";
+		case "writing":
+			return isReadingRows(job)
+				? `Writing rows (${rows})...`
+				: "Writing XML file...";
+		case "encrypting":
+			return "Encrypting output...";
+		case "done":
+			return "Finishing up...";
+		default:
+			return "Waiting for a free converter...";
+	}
+}
+
+// Delimited text files take delimiter, encoding and quote options
+const isDelimitedFileName = (name: string) => /\.(csv|tsv)$/i.test(name);
+
 export function ExcelToXmlConverter() {
 	const [headerFields, setHeaderFields] = useState<HeaderField[]>([]);
+	const [templates, setTemplates] = useState<HeaderTemplate[]>([]);
+	const [selectedTemplate, setSelectedTemplate] =
+		useState<HeaderTemplate | null>(null);
 	const [currentTagName, setCurrentTagName] = useState<string>("");
 	const [currentTagValue, setCurrentTagValue] = useState<string>("");
 	const [currentTagNameError, setCurrentTagNameError] = useState<
@@ -57,26 +149,139 @@ export function ExcelToXmlConverter() {
 
 	const [excelFile, setExcelFile] = useState<File | null>(null);
 	const [originalFileName, setOriginalFileName] = useState<string>("");
+	const [csvDelimiter, setCsvDelimiter] = useState<string>("");
+	const [csvEncoding, setCsvEncoding] = useState<string>("utf-8");
+	const [csvQuote, setCsvQuote] = useState<string>('"');
 	const [conversionProgress, setConversionProgress] = useState<number>(0);
 	const [conversionStatus, setConversionStatus] = useState<
 		"idle" | "validating" | "converting" | "completed" | "error"
 	>("idle");
 
 	const [statusMessage, setStatusMessage] = useState<string | null>(null);
+	const [errorReportUrl, setErrorReportUrl] = useState<string | null>(null);
+	const [downloadUrl, setDownloadUrl] = useState<string | null>(null);
+	const [preview, setPreview] = useState<ConversionPreview | null>(null);
+	const [isPreviewing, setIsPreviewing] = useState<boolean>(false);
+	const [currentUser, setCurrentUser] = useState<AuthUser | null>(null);
+	const [isSignInOpen, setIsSignInOpen] = useState<boolean>(false);
+	const [isSigningIn, setIsSigningIn] = useState<boolean>(false);
+	const [signInUsername, setSignInUsername] = useState<string>("");
+	const [signInPassword, setSignInPassword] = useState<string>("");
+	const [signInError, setSignInError] = useState<string | null>(null);
 	const { toast } = useToast();
 	const formId = useId();
+	const stopWatchingJobRef = useRef<(() => void) | null>(null);
+
+	// Close the progress stream when the component goes away
+	useEffect(() => () => stopWatchingJobRef.current?.(), []);
+
+	// Ask the user to sign in when the API needs a token, returns whether
+	// the error was that
+	const requireSignIn = useCallback((error: unknown): boolean => {
+		if (!(error instanceof AuthRequiredError)) return false;
+		setCurrentUser(null);
+		setIsSignInOpen(true);
+		return true;
+	}, []);
+
+	const loadTemplates = useCallback(() => {
+		listTemplates()
+			.then(setTemplates)
+			.catch((error) => {
+				if (!requireSignIn(error)) {
+					console.error("Could not load templates:", error);
+				}
+			});
+	}, [requireSignIn]);
+
+	// Saved header templates are optional; the form works without them
+	useEffect(() => {
+		if (getAccessToken() !== null) {
+			getCurrentUser()
+				.then(setCurrentUser)
+				.catch((error) => {
+					if (!requireSignIn(error)) {
+						console.error("Could not load your account:", error);
+					}
+				});
+		}
+		loadTemplates();
+	}, [loadTemplates, requireSignIn]);
+
+	// Without a signed-in account the API runs as the system user, who may
+	// download every output
+	const canDownload =
+		currentUser === null ||
+		currentUser.permissions.includes("conversion:download");
+
+	const handleSignIn = async (event: React.FormEvent) => {
+		event.preventDefault();
+		setIsSigningIn(true);
+		setSignInError(null);
+		try {
+			const user = await login(signInUsername, signInPassword);
+			setCurrentUser(user);
+			setIsSignInOpen(false);
+			setSignInPassword("");
+			loadTemplates();
+			toast({
+				title: "Signed in",
+				description: `Signed in as ${user.username}.`,
+			});
+		} catch (error) {
+			setSignInError(
+				error instanceof Error ? error.message : "Sign in failed."
+			);
+		} finally {
+			setIsSigningIn(false);
+		}
+	};
+
+	const handleSignOut = async () => {
+		try {
+			await logout();
+		} catch (error) {
+			console.error("Could not revoke the session:", error);
+		}
+		setCurrentUser(null);
+		setTemplates([]);
+	};
+
+	// Downloads go through fetch so that they carry the user's token
+	const handleDownload = async (url: string) => {
+		try {
+			await downloadFile(url);
+		} catch (error) {
+			if (requireSignIn(error)) return;
+			toast({
+				title: "Download Failed",
+				description:
+					error instanceof Error ? error.message : "The download failed.",
+				variant: "destructive",
+			});
+		}
+	};
 
 	const resetConverter = useCallback(() => {
+		stopWatchingJobRef.current?.();
+		stopWatchingJobRef.current = null;
 		setHeaderFields([]);
+		setSelectedTemplate(null);
 		setCurrentTagName("");
 		setCurrentTagValue("");
 		setCurrentTagNameError(undefined);
 		setCurrentTagValueError(undefined);
 		setExcelFile(null);
 		setOriginalFileName("");
+		setCsvDelimiter("");
+		setCsvEncoding("utf-8");
+		setCsvQuote('"');
 		setConversionProgress(0);
 		setConversionStatus("idle");
 		setStatusMessage(null);
+		setErrorReportUrl(null);
+		setDownloadUrl(null);
+		setPreview(null);
 
 		// Reset file input
 		const fileInput = document.getElementById(
@@ -165,6 +370,28 @@ export function ExcelToXmlConverter() {
 		});
 	};
 
+	// Convert with a template's header fields, envelope and control totals.
+	// The server resolves the template and its placeholders, such as
+	// {{today:YYYY-MM-DD}}; header fields added here replace its fields of
+	// the same name.
+	const handleLoadTemplate = (templateId: string) => {
+		const template = templates.find((t) => t.id === templateId);
+		if (!template) return;
+
+		setSelectedTemplate(template);
+		toast({
+			title: "Template selected",
+			description: `Conversions use the header of "${template.name}".`,
+		});
+	};
+
+	// Template fields that no header field added here replaces
+	const templateFields =
+		selectedTemplate?.header_fields.filter(
+			(templateField) =>
+				!headerFields.some((field) => field.tagName === templateField.tagName)
+		) ?? [];
+
 	const handleRemoveHeaderField = (idToRemove: string) => {
 		const updatedFields = headerFields.filter(
 			(field) => field.id !== idToRemove
@@ -183,8 +410,14 @@ export function ExcelToXmlConverter() {
 		const validTypes = [
 			"application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
 			"application/vnd.ms-excel",
+			"application/vnd.oasis.opendocument.spreadsheet",
+			"text/csv",
+			"text/tab-separated-values",
 			".xlsx",
 			".xls",
+			".ods",
+			".csv",
+			".tsv",
 		];
 
 		const isValidType = validTypes.some(
@@ -204,7 +437,8 @@ export function ExcelToXmlConverter() {
 			event.target.value = "";
 			toast({
 				title: "Invalid File Type",
-				description: "Please upload a valid Excel file (.xlsx, .xls).",
+				description:
+					"Please upload a valid spreadsheet (.xlsx, .xls, .ods, .csv, .tsv).",
 				variant: "destructive",
 			});
 		}
@@ -260,9 +494,52 @@ export function ExcelToXmlConverter() {
 		return true;
 	};
 
+	// Request data shared by conversions and previews
+	const buildRequestData = () => ({
+		header_fields: headerFields.map((field) => ({
+			tagName: field.tagName,
+			tagValue: field.tagValue,
+		})),
+		...(selectedTemplate && { template_id: selectedTemplate.id }),
+		...(isDelimitedFileName(excelFile!.name) && {
+			csv_options: {
+				...(csvDelimiter && { delimiter: csvDelimiter }),
+				encoding: csvEncoding || "utf-8",
+				quote: csvQuote || '"',
+			},
+		}),
+	});
+
+	const handlePreview = async () => {
+		setPreview(null);
+		if (!validateAllInputsBeforeConversion()) {
+			return;
+		}
+
+		setIsPreviewing(true);
+		try {
+			setPreview(await previewConversion(excelFile!, buildRequestData()));
+		} catch (error) {
+			requireSignIn(error);
+			toast({
+				title: "Preview Failed",
+				description:
+					error instanceof Error
+						? error.message
+						: "An unknown error occurred during the preview.",
+				variant: "destructive",
+			});
+		} finally {
+			setIsPreviewing(false);
+		}
+	};
+
 	const handleConvert = async () => {
 		setConversionStatus("validating");
 		setStatusMessage(null);
+		setErrorReportUrl(null);
+		setDownloadUrl(null);
+		setPreview(null);
 
 		if (!validateAllInputsBeforeConversion()) {
 			setConversionStatus("error");
@@ -274,16 +551,6 @@ export function ExcelToXmlConverter() {
 		setStatusMessage("Conversion in progress...");
 		setConversionProgress(0);
 
-		const progressInterval = setInterval(() => {
-			setConversionProgress((prev) => {
-				if (prev >= 100) {
-					clearInterval(progressInterval);
-					return 100;
-				}
-				return prev + 10;
-			});
-		}, 200);
-
 		try {
 			// Debug: Check what we're sending
 			console.log("=== SENDING TO BACKEND ===");
@@ -291,40 +558,64 @@ export function ExcelToXmlConverter() {
 			console.log("headerFields JSON:", JSON.stringify(headerFields));
 
 			// Prepare request data with header fields
-			const requestData = {
-				header_fields: headerFields.map((field) => ({
-					tagName: field.tagName,
-					tagValue: field.tagValue,
-				})),
-			};
-
-			const file = excelFile!;
-			const formData = new FormData();
-			formData.append("file", file);
-			formData.append("header_fields", JSON.stringify(headerFields));
-
-			const response = await fetch("/api/v1/convert", {
-				method: "POST",
-				body: formData, // <-- This is important!
-			});
+			const requestData = buildRequestData();
 
-			if (!response.ok) {
-				throw new Error("Failed to convert file. Please try again.");
-			}
+			const job = await createJob(excelFile!, requestData);
+
+			// Drive the progress bar from the job's progress events
+			const finishedJob = await new Promise<ConversionJob>(
+				(resolve, reject) => {
+					stopWatchingJobRef.current = watchJob(
+						job.id,
+						(update) => {
+							setConversionProgress(getJobProgress(update));
+							if (update.state === "succeeded" || update.state === "failed") {
+								resolve(update);
+							} else {
+								setStatusMessage(getJobStageMessage(update));
+							}
+						},
+						reject
+					);
+				}
+			);
+			stopWatchingJobRef.current = null;
 
-			const result = await response.json();
+			if (finishedJob.state === "failed") {
+				setErrorReportUrl(finishedJob.error_report_url);
+				throw new Error(
+					finishedJob.message || "Failed to convert file. Please try again."
+				);
+			}
 
-			clearInterval(progressInterval);
 			setConversionProgress(100);
 			setConversionStatus("completed");
+
+			// Outputs that need approval are downloaded once a reviewer approves
+			// them, and only by users who may download
+			if (finishedJob.review_state === "pending_review") {
+				setStatusMessage(
+					canDownload
+						? "Conversion successful! Your XML file is waiting for review before it can be downloaded."
+						: "Conversion successful! Your XML file is waiting for review. Ask a reviewer to download it once it is approved."
+				);
+				return;
+			}
+			if (!canDownload) {
+				setStatusMessage(
+					"Conversion successful! Ask a reviewer to download your XML file."
+				);
+				return;
+			}
 			setStatusMessage(
 				"Conversion successful! Your XML file is ready for download."
 			);
 
-			// Trigger download using the full API base URL
-			window.location.href = result.downloadUrl;
+			setDownloadUrl(finishedJob.download_url);
+			await handleDownload(finishedJob.download_url!);
 		} catch (error) {
-			clearInterval(progressInterval);
+			stopWatchingJobRef.current = null;
+			requireSignIn(error);
 			setConversionStatus("error");
 			setStatusMessage(
 				error instanceof Error
@@ -373,6 +664,46 @@ export function ExcelToXmlConverter() {
 						1. Define XML Header
 					</h3>
 
+					{templates.length > 0 && (
+						<div className="space-y-1">
+							<Label htmlFor={`${formId}-template`}>
+								Use a saved template
+							</Label>
+							<Select
+								value={selectedTemplate?.id ?? ""}
+								onValueChange={handleLoadTemplate}
+							>
+								<SelectTrigger id={`${formId}-template`}>
+									<SelectValue placeholder="Choose a template" />
+								</SelectTrigger>
+								<SelectContent>
+									{templates.map((template) => (
+										<SelectItem key={template.id} value={template.id}>
+											{template.name}
+										</SelectItem>
+									))}
+								</SelectContent>
+							</Select>
+							{selectedTemplate && (
+								<div className="flex items-center justify-between gap-2">
+									<p className="text-xs text-muted-foreground">
+										Tags added below replace template tags of the same name.
+										{selectedTemplate.control_totals?.length
+											? " Its control totals are added when converting."
+											: ""}
+									</p>
+									<Button
+										variant="ghost"
+										size="sm"
+										onClick={() => setSelectedTemplate(null)}
+									>
+										Clear template
+									</Button>
+								</div>
+							)}
+						</div>
+					)}
+
 					<div className="space-y-3 p-3 border-b border-border pb-6">
 						<div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-start">
 							<div>
@@ -447,8 +778,23 @@ export function ExcelToXmlConverter() {
 								Configured Header Tags
 							</h4>
 						</div>
-						{headerFields.length > 0 ? (
+						{templateFields.length > 0 || headerFields.length > 0 ? (
 							<ul className="space-y-2">
+								{templateFields.map((field) => (
+									<li
+										key={`template-${field.tagName}`}
+										className="flex justify-between items-center p-2.5 bg-background rounded-md border border-dashed border-input"
+									>
+										<code className="text-sm text-muted-foreground break-all mr-3 flex-grow select-all">
+											{`<${escapeXml(field.tagName)}>${escapeXml(
+												field.tagValue
+											)}</${escapeXml(field.tagName)}>`}
+										</code>
+										<span className="text-xs text-muted-foreground shrink-0">
+											From template
+										</span>
+									</li>
+								))}
 								{headerFields.map((field) => (
 									<li
 										key={field.id}
@@ -484,12 +830,12 @@ export function ExcelToXmlConverter() {
 						2. Upload Excel File
 					</h3>
 					<Label htmlFor={`${formId}-file-upload`}>
-						Select .xlsx or .xls file
+						Select .xlsx, .xls, .ods, .csv or .tsv file
 					</Label>
 					<Input
 						id={`${formId}-file-upload`}
 						type="file"
-						accept=".xlsx, .xls, application/vnd.openxmlformats-officedocument.spreadsheetml.sheet, application/vnd.ms-excel"
+						accept=".xlsx, .xls, .ods, .csv, .tsv, application/vnd.openxmlformats-officedocument.spreadsheetml.sheet, application/vnd.ms-excel, application/vnd.oasis.opendocument.spreadsheet, text/csv, text/tab-separated-values"
 						onChange={handleFileChange}
 						className="file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-primary/10 file:text-primary hover:file:bg-primary/20"
 						aria-describedby={`${formId}-file-name`}
@@ -502,6 +848,40 @@ export function ExcelToXmlConverter() {
 							? `Selected file: ${originalFileName}`
 							: "No file selected."}
 					</p>
+					{excelFile && isDelimitedFileName(excelFile.name) && (
+						<div className="grid grid-cols-3 gap-2">
+							<div className="space-y-1">
+								<Label htmlFor={`${formId}-csv-delimiter`}>Delimiter</Label>
+								<Input
+									id={`${formId}-csv-delimiter`}
+									value={csvDelimiter}
+									maxLength={1}
+									placeholder={
+										excelFile.name.toLowerCase().endsWith(".tsv") ? "tab" : ","
+									}
+									onChange={(e) => setCsvDelimiter(e.target.value)}
+								/>
+							</div>
+							<div className="space-y-1">
+								<Label htmlFor={`${formId}-csv-encoding`}>Encoding</Label>
+								<Input
+									id={`${formId}-csv-encoding`}
+									value={csvEncoding}
+									placeholder="utf-8"
+									onChange={(e) => setCsvEncoding(e.target.value)}
+								/>
+							</div>
+							<div className="space-y-1">
+								<Label htmlFor={`${formId}-csv-quote`}>Quote</Label>
+								<Input
+									id={`${formId}-csv-quote`}
+									value={csvQuote}
+									maxLength={1}
+									onChange={(e) => setCsvQuote(e.target.value)}
+								/>
+							</div>
+						</div>
+					)}
 				</div>
 
 				<Separator />
@@ -523,6 +903,82 @@ export function ExcelToXmlConverter() {
 							? "Converting..."
 							: "Convert to XML"}
 					</Button>
+					<Button
+						onClick={handlePreview}
+						disabled={
+							isPreviewing ||
+							conversionStatus === "converting" ||
+							conversionStatus === "validating"
+						}
+						className="w-full border-primary text-primary hover:bg-primary/10"
+					>
+						<Eye className="mr-2 h-4 w-4" />
+						{isPreviewing ? "Building preview..." : "Preview XML"}
+					</Button>
+
+					{preview && (
+						<div className="space-y-3 p-4 border rounded-md bg-muted/20 shadow-inner">
+							<h4 className="text-md font-semibold text-accent">
+								Preview of &lt;{preview.root_element}&gt;
+							</h4>
+							<pre className="text-xs bg-background p-3 rounded-md border overflow-x-auto">
+								{preview.header}
+							</pre>
+							{preview.sheets.map((sheet) => (
+								<div key={sheet.name} className="space-y-2">
+									<p className="text-sm font-medium">
+										{sheet.name}: first {sheet.rows_previewed} rows as &lt;
+										{sheet.row_element}&gt; in &lt;{sheet.wrapper_element}&gt;
+									</p>
+									<ul className="text-xs text-muted-foreground space-y-1">
+										{sheet.columns
+											.filter(
+												(column) => column.renamed || column.source !== "header"
+											)
+											.map((column) => (
+												<li key={column.column}>
+													{column.column}
+													{column.header
+														? ` "${column.header}"`
+														: ""} &rarr; <code>{column.element}</code>
+													{column.source === "generated"
+														? " (generated name)"
+														: column.source === "profile"
+														? " (profile)"
+														: " (renamed)"}
+												</li>
+											))}
+									</ul>
+									<pre className="text-xs bg-background p-3 rounded-md border overflow-x-auto max-h-64">
+										{sheet.xml}
+									</pre>
+								</div>
+							))}
+							{preview.violations.length > 0 && (
+								<Alert variant="destructive">
+									<AlertCircle className="h-4 w-4" />
+									<AlertTitle>
+										{preview.violations.length} problem(s) found
+									</AlertTitle>
+									<AlertDescription>
+										<ul className="text-xs space-y-1">
+											{preview.violations.slice(0, 20).map((violation, i) => (
+												<li key={i}>
+													{violation.sheet &&
+														`${violation.sheet}${
+															violation.row
+																? ` ${violation.column ?? ""}${violation.row}`
+																: ""
+														}: `}
+													{violation.message}
+												</li>
+											))}
+										</ul>
+									</AlertDescription>
+								</Alert>
+							)}
+						</div>
+					)}
 
 					{(conversionStatus === "converting" ||
 						conversionStatus === "completed" ||
@@ -550,7 +1006,27 @@ export function ExcelToXmlConverter() {
 											? "Validating..."
 											: "Status"}
 									</AlertTitle>
-									<AlertDescription>{statusMessage}</AlertDescription>
+									<AlertDescription>
+										{statusMessage}
+										{conversionStatus === "completed" && downloadUrl && (
+											<button
+												type="button"
+												onClick={() => handleDownload(downloadUrl)}
+												className="block mt-1 underline"
+											>
+												Download the XML file again
+											</button>
+										)}
+										{conversionStatus === "error" && errorReportUrl && (
+											<button
+												type="button"
+												onClick={() => handleDownload(errorReportUrl)}
+												className="block mt-1 underline"
+											>
+												Download the annotated workbook
+											</button>
+										)}
+									</AlertDescription>
 								</Alert>
 							)}
 						</div>
@@ -574,11 +1050,60 @@ export function ExcelToXmlConverter() {
 					</Button>
 				)}
 			</CardContent>
-			<CardFooter className="flex justify-center">
+			<CardFooter className="flex justify-center gap-4">
 				<p className="text-xs text-muted-foreground">
 					Excel2XML Converter &copy; {new Date().getFullYear()}
 				</p>
+				<button
+					type="button"
+					onClick={currentUser ? handleSignOut : () => setIsSignInOpen(true)}
+					className="text-xs text-muted-foreground underline"
+				>
+					{currentUser ? "Sign out" : "Sign in"}
+				</button>
 			</CardFooter>
+			<Dialog open={isSignInOpen} onOpenChange={setIsSignInOpen}>
+				<DialogContent>
+					<form onSubmit={handleSignIn} className="space-y-4">
+						<DialogHeader>
+							<DialogTitle>Sign in</DialogTitle>
+							<DialogDescription>
+								The converter needs you to sign in before it can continue.
+							</DialogDescription>
+						</DialogHeader>
+						<div className="space-y-1">
+							<Label htmlFor={`${formId}-username`}>Username</Label>
+							<Input
+								id={`${formId}-username`}
+								autoComplete="username"
+								value={signInUsername}
+								onChange={(e) => setSignInUsername(e.target.value)}
+							/>
+						</div>
+						<div className="space-y-1">
+							<Label htmlFor={`${formId}-password`}>Password</Label>
+							<Input
+								id={`${formId}-password`}
+								type="password"
+								autoComplete="current-password"
+								value={signInPassword}
+								onChange={(e) => setSignInPassword(e.target.value)}
+							/>
+						</div>
+						{signInError && (
+							<p className="text-xs text-destructive">{signInError}</p>
+						)}
+						<DialogFooter>
+							<Button
+								type="submit"
+								disabled={isSigningIn || !signInUsername || !signInPassword}
+							>
+								{isSigningIn ? "Signing in..." : "Sign in"}
+							</Button>
+						</DialogFooter>
+					</form>
+				</DialogContent>
+			</Dialog>
 		</Card>
 	);
 }
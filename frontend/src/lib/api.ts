@@ -1,10 +1,146 @@
 const API_BASE = process.env.NEXT_PUBLIC_API_BASE || "/api/v1";
 
-export async function validateFile(file: File): Promise<{ is_valid: boolean; message: string }> {
+// Where the signed-in user's access token is kept between page loads
+const TOKEN_STORAGE_KEY = "converter_x_access_token";
+
+// How often a job is polled when its progress stream cannot be used
+const JOB_POLL_INTERVAL_MS = 1000;
+
+/**
+ * Raised when the API answers 401: the user has to sign in, or sign in
+ * again once their token has expired or been revoked
+ */
+export class AuthRequiredError extends Error {
+  constructor(message = "Please sign in to continue") {
+    super(message);
+    this.name = "AuthRequiredError";
+  }
+}
+
+export function getAccessToken(): string | null {
+  if (typeof window === "undefined") return null;
+  return window.localStorage.getItem(TOKEN_STORAGE_KEY);
+}
+
+function setAccessToken(token: string) {
+  window.localStorage.setItem(TOKEN_STORAGE_KEY, token);
+}
+
+function clearAccessToken() {
+  window.localStorage.removeItem(TOKEN_STORAGE_KEY);
+}
+
+/**
+ * fetch with the signed-in user's token. A 401 drops the stored token and
+ * throws AuthRequiredError.
+ */
+async function authFetch(url: string, init: RequestInit = {}): Promise<Response> {
+  const token = getAccessToken();
+  const headers = new Headers(init.headers);
+  if (token) {
+    headers.set("Authorization", `Bearer ${token}`);
+  }
+
+  const res = await fetch(url, { ...init, headers });
+  if (res.status === 401) {
+    if (token) clearAccessToken();
+    const body = await res.json().catch(() => ({}));
+    throw new AuthRequiredError(body.detail);
+  }
+  return res;
+}
+
+export interface AuthUser {
+  id: string;
+  username: string;
+  roles: string[];
+  permissions: string[];
+}
+
+export async function login(username: string, password: string): Promise<AuthUser> {
+  const res = await fetch(`${API_BASE}/auth/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ username, password }),
+  });
+
+  if (!res.ok) {
+    throw new Error((await res.json()).detail || "Sign in failed");
+  }
+  const body = await res.json();
+  setAccessToken(body.access_token);
+  return body.user;
+}
+
+export async function logout(): Promise<void> {
+  try {
+    await authFetch(`${API_BASE}/auth/logout`, { method: "POST" });
+  } catch (error) {
+    // The token is dropped either way; an expired one needs no revoking
+    if (!(error instanceof AuthRequiredError)) throw error;
+  } finally {
+    clearAccessToken();
+  }
+}
+
+/**
+ * The signed-in account, for a token kept from an earlier visit
+ */
+export async function getCurrentUser(): Promise<AuthUser> {
+  const res = await authFetch(`${API_BASE}/auth/me`);
+
+  if (!res.ok) {
+    throw new Error((await res.json()).detail || "Could not load your account");
+  }
+  return res.json();
+}
+
+/**
+ * Download a file the API serves, such as an output or an error report,
+ * with the signed-in user's token. Navigating to the URL cannot send it.
+ */
+export async function downloadFile(url: string, fallbackName = "download"): Promise<void> {
+  const res = await authFetch(url);
+
+  if (!res.ok) {
+    throw new Error((await res.json()).detail || "Download failed");
+  }
+  const disposition = res.headers.get("Content-Disposition") || "";
+  const fileName = /filename="?([^";]+)"?/.exec(disposition)?.[1] || fallbackName;
+
+  const objectUrl = URL.createObjectURL(await res.blob());
+  const link = document.createElement("a");
+  link.href = objectUrl;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(objectUrl);
+}
+
+export interface ValidationFinding {
+  severity: "error" | "warning" | "info";
+  code: string;
+  sheet: string | null;
+  location: string | null;
+  message: string;
+}
+
+export interface ValidationReport {
+  is_valid: boolean;
+  message: string;
+  file_size: number;
+  file_type: string;
+  sheets: { name: string; row_count: number; column_count: number; data_row_count: number }[];
+  findings: ValidationFinding[];
+  summary: { errors: number; warnings: number; info: number; truncated: number };
+}
+
+export async function validateFile(file: File): Promise<ValidationReport> {
   const formData = new FormData();
   formData.append("file", file);
 
-  const res = await fetch(`${API_BASE}/validate`, {
+  const res = await authFetch(`${API_BASE}/validate`, {
     method: "POST",
     body: formData,
   });
@@ -22,7 +158,7 @@ export async function convertFile(file: File, requestData?: object): Promise<{ d
     formData.append("request_data", JSON.stringify(requestData));
   }
 
-  const res = await fetch(`${API_BASE}/convert`, {
+  const res = await authFetch(`${API_BASE}/convert`, {
     method: "POST",
     body: formData,
   });
@@ -31,4 +167,281 @@ export async function convertFile(file: File, requestData?: object): Promise<{ d
     throw new Error((await res.json()).detail || "Conversion failed");
   }
   return res.json();
-}
\ No newline at end of file
+}
+
+export interface ConversionPreview {
+  status: string;
+  message: string;
+  root_element: string;
+  header: string;
+  sheets: {
+    name: string;
+    wrapper_element: string;
+    row_element: string;
+    rows_previewed: number;
+    columns: {
+      column: string;
+      header: string | null;
+      element: string;
+      source: "profile" | "header" | "generated";
+      renamed: boolean;
+    }[];
+    xml: string;
+  }[];
+  control_totals: Record<string, string>;
+  violations: { sheet: string | null; row: number | null; column: string | null; message: string; rule?: string }[];
+}
+
+export async function previewConversion(
+  file: File,
+  requestData: object,
+  previewRows = 5
+): Promise<ConversionPreview> {
+  const formData = new FormData();
+  formData.append("file", file);
+  formData.append(
+    "request_data",
+    JSON.stringify({ ...requestData, dry_run: true, preview_rows: previewRows })
+  );
+
+  const res = await authFetch(`${API_BASE}/convert`, {
+    method: "POST",
+    body: formData,
+  });
+
+  if (!res.ok) {
+    const body = await res.json();
+    throw new Error(body.detail || body.message || "Preview failed");
+  }
+  return res.json();
+}
+
+export interface XmlToExcelResult {
+  status: string;
+  message: string;
+  downloadUrl: string;
+  rows_processed: number;
+  sheets: { name: string; wrapper_element: string; row_element: string; rows: number }[];
+  request_data: {
+    header_sheet?: string;
+    sheets: { name: string; wrapper_element: string; row_element: string }[];
+  };
+}
+
+export async function convertXmlToExcel(file: File): Promise<XmlToExcelResult> {
+  const formData = new FormData();
+  formData.append("file", file);
+
+  const res = await authFetch(`${API_BASE}/convert/xml-to-excel`, {
+    method: "POST",
+    body: formData,
+  });
+
+  if (!res.ok) {
+    throw new Error((await res.json()).detail || "Conversion failed");
+  }
+  return res.json();
+}
+
+export interface BatchFileResult {
+  file_name: string;
+  output_file: string | null;
+  status: "succeeded" | "failed";
+  rows_processed: number;
+  sheets: { name: string; rows: number }[];
+  errors: { message: string; sheet?: string; row?: number; column?: string }[];
+}
+
+export interface BatchResult {
+  status: "success" | "partial" | "invalid";
+  message: string;
+  downloadUrl?: string;
+  summary: { files: number; succeeded: number; failed: number; rows_processed: number };
+  files: BatchFileResult[];
+}
+
+export async function convertBatch(files: File[], requestData?: object): Promise<BatchResult> {
+  const formData = new FormData();
+  for (const file of files) {
+    formData.append("files", file);
+  }
+  if (requestData) {
+    formData.append("request_data", JSON.stringify(requestData));
+  }
+
+  const res = await authFetch(`${API_BASE}/convert/batch`, {
+    method: "POST",
+    body: formData,
+  });
+
+  // A batch where no file converts still reports each file's errors
+  if (!res.ok && res.status !== 422) {
+    throw new Error((await res.json()).detail || "Batch conversion failed");
+  }
+  return res.json();
+}
+
+export interface ConversionJob {
+  id: string;
+  state: "queued" | "running" | "succeeded" | "failed";
+  file_name: string;
+  report_type: string | null;
+  stage: "reading" | "processing" | "validating" | "writing" | "encrypting" | "done" | null;
+  rows_processed: number;
+  total_rows: number | null;
+  sheets: { name: string; rows: number }[] | null;
+  message: string | null;
+  control_totals: Record<string, string> | null;
+  errors: { message: string; sheet?: string; row?: number; column?: string; rule?: string }[];
+  download_url: string | null;
+  error_report_url: string | null;
+  review_state?: "pending_review" | "approved" | "rejected";
+  review_url?: string;
+  created_at: string;
+  started_at: string | null;
+  finished_at: string | null;
+}
+
+export async function createJob(file: File, requestData?: object): Promise<ConversionJob> {
+  const formData = new FormData();
+  formData.append("file", file);
+  if (requestData) {
+    formData.append("request_data", JSON.stringify(requestData));
+  }
+
+  const res = await authFetch(`${API_BASE}/jobs`, {
+    method: "POST",
+    body: formData,
+  });
+
+  if (!res.ok) {
+    throw new Error((await res.json()).detail || "Could not start conversion");
+  }
+  return res.json();
+}
+
+export async function getJob(id: string): Promise<ConversionJob> {
+  const res = await authFetch(`${API_BASE}/jobs/${id}`);
+
+  if (!res.ok) {
+    throw new Error((await res.json()).detail || "Could not load job");
+  }
+  return res.json();
+}
+
+/**
+ * Poll a job until it has succeeded or failed, for signed-in users:
+ * EventSource cannot send the Authorization header
+ */
+function pollJob(
+  id: string,
+  onUpdate: (job: ConversionJob) => void,
+  onError: (error: Error) => void
+): () => void {
+  let stopped = false;
+  let timer: ReturnType<typeof setTimeout> | undefined;
+
+  const poll = async () => {
+    try {
+      const job = await getJob(id);
+      if (stopped) return;
+      onUpdate(job);
+      if (job.state !== "succeeded" && job.state !== "failed") {
+        timer = setTimeout(poll, JOB_POLL_INTERVAL_MS);
+      }
+    } catch (error) {
+      if (!stopped) {
+        onError(error instanceof Error ? error : new Error("Could not load job"));
+      }
+    }
+  };
+  poll();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+/**
+ * Subscribe to a job's progress events. onUpdate receives the job after
+ * every change; the stream closes once the job has succeeded or failed.
+ * Signed-in users poll the job instead. Returns a function that stops
+ * watching early.
+ */
+export function watchJob(
+  id: string,
+  onUpdate: (job: ConversionJob) => void,
+  onError: (error: Error) => void
+): () => void {
+  if (getAccessToken()) {
+    return pollJob(id, onUpdate, onError);
+  }
+
+  const source = new EventSource(`${API_BASE}/jobs/${id}/events`);
+
+  source.onmessage = (event) => {
+    const job: ConversionJob = JSON.parse(event.data);
+    if (job.state === "succeeded" || job.state === "failed") {
+      source.close();
+    }
+    onUpdate(job);
+  };
+  source.onerror = () => {
+    source.close();
+    onError(new Error("Lost connection to the conversion progress stream"));
+  };
+
+  return () => source.close();
+}
+
+export interface SheetInspection {
+  name: string;
+  used_range: string | null;
+  row_count: number;
+  column_count: number;
+  header_row: number | null;
+  columns: { column: string; header: string; element: string }[];
+  preview: { row: number; values: Record<string, string> }[];
+}
+
+export async function inspectFile(
+  file: File,
+  previewRows?: number
+): Promise<{ file_name: string; file_size: number; sheets: SheetInspection[] }> {
+  const formData = new FormData();
+  formData.append("file", file);
+  if (previewRows !== undefined) {
+    formData.append("preview_rows", String(previewRows));
+  }
+
+  const res = await authFetch(`${API_BASE}/inspect`, {
+    method: "POST",
+    body: formData,
+  });
+
+  if (!res.ok) {
+    throw new Error((await res.json()).detail || "Inspection failed");
+  }
+  return res.json();
+}
+
+export interface HeaderTemplate {
+  id: string;
+  name: string;
+  description: string;
+  header_fields: { tagName: string; tagValue: string }[];
+  envelope: Record<string, unknown> | null;
+  control_totals?: { tag: string; aggregate: string; column?: string }[] | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export async function listTemplates(): Promise<HeaderTemplate[]> {
+  const res = await authFetch(`${API_BASE}/templates`);
+
+  if (!res.ok) {
+    throw new Error((await res.json()).detail || "Could not load templates");
+  }
+  return (await res.json()).templates;
+}